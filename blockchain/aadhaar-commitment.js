@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+/**
+ * Aadhaar commitments
+ * A 12-digit Aadhaar number has only 10^12 possible values, so a plain hash
+ * published on chain can be reversed by brute force. Identities store a keyed
+ * commitment instead: HMAC-SHA256 with a server-held key, tagged with the
+ * version of that key so keys can be rotated.
+ *
+ * AADHAAR_COMMITMENT_KEYS:        comma-separated "version:hexkey" pairs
+ * AADHAAR_COMMITMENT_KEY_VERSION: version used for new commitments (default: highest)
+ *
+ * Identities migrated from the old contract only have the SHA-256 hash of the
+ * number; those are committed as HMAC(key, legacy hash) and upgraded to a
+ * direct commitment the next time the number is verified.
+ */
+
+const MAX_KEY_VERSION = 65535; // uint16 on chain
+
+let keyring = null;
+
+/**
+ * Parse the configured keys
+ * @returns {{ keys: Map<number, Buffer>, currentVersion: number }}
+ */
+const loadKeyring = () => {
+    const keys = new Map();
+    const entries = (process.env.AADHAAR_COMMITMENT_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    for (const entry of entries) {
+        const [versionText, hexKey] = entry.split(':');
+        const version = parseInt(versionText, 10);
+        if (!Number.isInteger(version) || version < 1 || version > MAX_KEY_VERSION ||
+            !/^[0-9a-fA-F]{64,}$/.test(hexKey || '')) {
+            throw new Error('AADHAAR_COMMITMENT_KEYS entries must look like "1:<at least 32 bytes of hex>"');
+        }
+        keys.set(version, Buffer.from(hexKey, 'hex'));
+    }
+
+    if (keys.size === 0) {
+        throw new Error('AADHAAR_COMMITMENT_KEYS is not configured');
+    }
+
+    const currentVersion = process.env.AADHAAR_COMMITMENT_KEY_VERSION
+        ? parseInt(process.env.AADHAAR_COMMITMENT_KEY_VERSION, 10)
+        : Math.max(...keys.keys());
+
+    if (!keys.has(currentVersion)) {
+        throw new Error(`AADHAAR_COMMITMENT_KEY_VERSION ${currentVersion} has no key in AADHAAR_COMMITMENT_KEYS`);
+    }
+
+    return { keys, currentVersion };
+};
+
+/**
+ * Get the keyring, loading it on first use
+ * @returns {{ keys: Map<number, Buffer>, currentVersion: number }}
+ */
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+    return keyring;
+};
+
+/**
+ * @param {number} keyVersion
+ * @returns {Buffer} Key for the version
+ */
+const getKey = (keyVersion) => {
+    const key = getKeyring().keys.get(Number(keyVersion));
+    if (!key) {
+        throw new Error(`Unknown Aadhaar commitment key version: ${keyVersion}`);
+    }
+    return key;
+};
+
+/**
+ * HMAC a labelled value into a bytes32 hex string
+ * @param {number} keyVersion
+ * @param {string} label - Domain separator for the kind of value
+ * @param {string} value
+ * @returns {string} 0x-prefixed commitment
+ */
+const hmac = (keyVersion, label, value) => {
+    return '0x' + crypto.createHmac('sha256', getKey(keyVersion))
+        .update(`${label}:${value}`)
+        .digest('hex');
+};
+
+/**
+ * SHA-256 hex digest the old contract stored for an Aadhaar number
+ * @param {string} aadhaar - Aadhaar number
+ * @returns {string}
+ */
+const legacyHash = (aadhaar) => {
+    return crypto.createHash('sha256').update(aadhaar.toString()).digest('hex');
+};
+
+/**
+ * @returns {number} Key version used for new commitments
+ */
+const getCurrentKeyVersion = () => getKeyring().currentVersion;
+
+/**
+ * Commit to an Aadhaar number
+ * @param {string} aadhaar - Aadhaar number
+ * @param {number} [keyVersion] - Defaults to the current key version
+ * @returns {{ commitment: string, keyVersion: number }}
+ */
+const commitAadhaar = (aadhaar, keyVersion = getCurrentKeyVersion()) => {
+    return {
+        commitment: hmac(keyVersion, 'aadhaar', aadhaar.toString()),
+        keyVersion: keyVersion
+    };
+};
+
+/**
+ * Commit to a legacy SHA-256 Aadhaar hash (for migrating old identities)
+ * @param {string} hashedAadhaar - Hex SHA-256 of the Aadhaar number
+ * @param {number} [keyVersion] - Defaults to the current key version
+ * @returns {{ commitment: string, keyVersion: number }}
+ */
+const commitLegacyHash = (hashedAadhaar, keyVersion = getCurrentKeyVersion()) => {
+    return {
+        commitment: hmac(keyVersion, 'sha256', hashedAadhaar.toLowerCase()),
+        keyVersion: keyVersion
+    };
+};
+
+/**
+ * Every commitment the number could be registered under, across key versions
+ * and legacy migration, so duplicates are caught after a key rotation
+ * @param {string} aadhaar - Aadhaar number
+ * @returns {Array<string>}
+ */
+const allCommitments = (aadhaar) => {
+    const commitments = [];
+    for (const keyVersion of getKeyring().keys.keys()) {
+        commitments.push(commitAadhaar(aadhaar, keyVersion).commitment);
+        commitments.push(commitLegacyHash(legacyHash(aadhaar), keyVersion).commitment);
+    }
+    return commitments;
+};
+
+/**
+ * Check an Aadhaar number against a stored commitment
+ * @param {string} aadhaar - Aadhaar number
+ * @param {string} commitment - Stored bytes32 commitment
+ * @param {number} keyVersion - Stored key version
+ * @returns {{ valid: boolean, legacy: boolean }} legacy is true when the
+ *          commitment wraps a migrated SHA-256 hash
+ */
+const verifyAadhaar = (aadhaar, commitment, keyVersion) => {
+    const stored = Buffer.from(commitment.replace(/^0x/, ''), 'hex');
+    const matches = (candidate) => {
+        const computed = Buffer.from(candidate.commitment.replace(/^0x/, ''), 'hex');
+        return computed.length === stored.length && crypto.timingSafeEqual(computed, stored);
+    };
+
+    if (matches(commitAadhaar(aadhaar, keyVersion))) {
+        return { valid: true, legacy: false };
+    }
+    if (matches(commitLegacyHash(legacyHash(aadhaar), keyVersion))) {
+        return { valid: true, legacy: true };
+    }
+    return { valid: false, legacy: false };
+};
+
+module.exports = {
+    getCurrentKeyVersion,
+    commitAadhaar,
+    commitLegacyHash,
+    allCommitments,
+    verifyAadhaar,
+    legacyHash
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { getWeb3 } = require('./index');
+
+/**
+ * Selective disclosure of identity attributes
+ * Each attribute is committed as a salted leaf,
+ * keccak256(keccak256(abi.encode(attribute, value, salt))), and IdentityManager
+ * stores the Merkle root of the leaves. A holder can then reveal a single
+ * attribute with its salt and inclusion proof; the salts keep the undisclosed
+ * leaves from being guessed. Pairs are hashed in sorted order, so proofs carry
+ * no left/right flags, and an odd node is promoted to the next level as-is.
+ * This must match IdentityManager.verifyAttribute.
+ */
+
+// Disclosable attributes, in leaf order
+const ATTRIBUTES = ['name', 'email', 'aadhaarVerified'];
+
+/**
+ * Attribute values of an identity, as committed
+ * Every registered identity went through Aadhaar verification, so
+ * aadhaarVerified is always "true"; revocation is checked separately.
+ * @param {object} identity - Identity with its decrypted profile (name, email)
+ * @returns {object} Attribute name => string value
+ */
+const attributeValues = (identity) => ({
+    name: identity.name,
+    email: identity.email,
+    aadhaarVerified: 'true'
+});
+
+/**
+ * Fresh random salts for every attribute
+ * @returns {object} Attribute name => bytes32 hex salt
+ */
+const generateSalts = () => {
+    const salts = {};
+    ATTRIBUTES.forEach((attribute) => {
+        salts[attribute] = '0x' + crypto.randomBytes(32).toString('hex');
+    });
+    return salts;
+};
+
+/**
+ * @param {string} attribute
+ * @param {string} value
+ * @param {string} salt - bytes32 hex
+ * @returns {string} bytes32 hex leaf
+ */
+const hashLeaf = (attribute, value, salt) => {
+    const web3 = getWeb3();
+    const encoded = web3.eth.abi.encodeParameters(['string', 'string', 'bytes32'], [attribute, value, salt]);
+    return web3.utils.keccak256(web3.utils.keccak256(encoded));
+};
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - bytes32 hex
+ * @param {string} b - bytes32 hex
+ * @returns {string} bytes32 hex
+ */
+const hashPair = (a, b) => {
+    const [first, second] = [a.toLowerCase(), b.toLowerCase()].sort();
+    return getWeb3().utils.keccak256('0x' + first.slice(2) + second.slice(2));
+};
+
+/**
+ * Build the attribute tree of an identity
+ * @param {object} values - From attributeValues()
+ * @param {object} salts - From generateSalts()
+ * @returns {{ root: string, layers: Array<Array<string>> }} layers[0] are the leaves in ATTRIBUTES order
+ */
+const buildTree = (values, salts) => {
+    const layers = [ATTRIBUTES.map((attribute) => hashLeaf(attribute, values[attribute], salts[attribute]))];
+
+    while (layers[layers.length - 1].length > 1) {
+        const nodes = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < nodes.length; i += 2) {
+            next.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+        }
+        layers.push(next);
+    }
+
+    return { root: layers[layers.length - 1][0], layers: layers };
+};
+
+/**
+ * Inclusion proof for one attribute
+ * @param {{ layers: Array<Array<string>> }} tree - From buildTree()
+ * @param {string} attribute - One of ATTRIBUTES
+ * @returns {Array<string>} Sibling hashes from the leaf up
+ */
+const getProof = (tree, attribute) => {
+    let index = ATTRIBUTES.indexOf(attribute);
+    if (index === -1) {
+        throw new Error(`Unknown attribute: ${attribute}`);
+    }
+
+    const proof = [];
+    for (const nodes of tree.layers.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < nodes.length) {
+            proof.push(nodes[sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+    return proof;
+};
+
+/**
+ * Commit fresh salts and the resulting root for an identity
+ * The salts are stored before the transaction is sent, so a failed
+ * transaction only leaves a root mismatch that the next commit repairs.
+ * @param {object} identity - Identity with its decrypted profile (name, email)
+ * @param {object} context
+ * @param {IdentityManagerClient} context.identityManager - Initialized contract client
+ * @param {Store} context.store - Storage adapter holding the salts
+ * @returns {Promise<{ root: string, salts: object }>}
+ */
+const commitAttributes = async (identity, { identityManager, store }) => {
+    const salts = generateSalts();
+    const { root } = buildTree(attributeValues(identity), salts);
+
+    await store.saveAttributeSalts({
+        ethereumAddress: identity.ethereumAddress,
+        salts: salts,
+        root: root
+    });
+    await identityManager.setAttributeRootFor(identity.ethereumAddress, root);
+
+    return { root, salts };
+};
+
+module.exports = {
+    ATTRIBUTES,
+    attributeValues,
+    generateSalts,
+    hashLeaf,
+    buildTree,
+    getProof,
+    commitAttributes
+};
@@ -0,0 +1,330 @@
+const EventEmitter = require('events');
+
+// Blocks fetched per getPastEvents call while catching up
+const BATCH_SIZE = 1000;
+
+// Recent block hashes kept to find where a reorg forked
+const REORG_DEPTH = 64;
+
+// Name of the indexer state record
+const STATE_NAME = 'IdentityManager';
+
+// Event arguments naming the wallets an event is about
+const ADDRESS_ARGS = ['userAddress', 'oldAddress', 'newAddress', 'account'];
+
+// Events that change an identity's read model record
+const IDENTITY_EVENTS = [
+    'IdentityRegistered',
+    'IdentityUpdated',
+    'IdentityDeactivated',
+    'IdentityReactivated',
+    'IdentityErased',
+    'IdentityRecovered',
+    'AadhaarCommitmentUpdated'
+];
+
+/**
+ * Background indexer of IdentityManager events
+ * Backfills from block 0, then polls the node for new blocks (which works over
+ * plain HTTP providers). Every event is stored, and each identity an event
+ * changes is re-read from the contract into a read model that
+ * GET /api/blockchain/users pages through without contract calls.
+ *
+ * The state records the last indexed block and the hashes of recent ones. When
+ * a stored hash no longer matches the chain, the index is rolled back to the
+ * newest block that still matches and the identities whose events were dropped
+ * are re-read; if none matches, everything is indexed again. The index is also
+ * rebuilt when the contract address changes (e.g. after truffle migrate --reset).
+ *
+ * Once stored, each indexed event is emitted as 'event', then the range's last
+ * block as 'block' ({ number, hash, timestamp }); a reorg emits 'rollback'
+ * ({ blockNumber }, the last block kept) before the chain is indexed again.
+ */
+class EventIndexer extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {IdentityManagerClient} options.identityManager - Contract client (initialized before start())
+     * @param {Store} options.store - Storage adapter holding the index
+     * @param {number} [options.pollInterval] - Milliseconds between polls
+     */
+    constructor({ identityManager, store, pollInterval = 2000 }) {
+        super();
+        // Every open event stream listens
+        this.setMaxListeners(0);
+        this.identityManager = identityManager;
+        this.store = store;
+        this.pollInterval = pollInterval;
+        this.timer = null;
+    }
+
+    /**
+     * Read model record as an identity like the contract client returns
+     * @param {object} record - Indexed identity
+     * @returns {object}
+     */
+    static toIdentity(record) {
+        return {
+            profileHash: record.profileHash,
+            profilePointer: record.profilePointer,
+            emailIndex: record.emailIndex,
+            aadhaarKeyVersion: record.aadhaarKeyVersion,
+            ethereumAddress: record.ethereumAddress,
+            originalAddress: record.originalAddress || record.ethereumAddress,
+            registrationTime: record.registrationTime,
+            registeredAt: new Date(record.registrationTime * 1000).toISOString(),
+            isActive: record.status === 'active'
+        };
+    }
+
+    /**
+     * Start indexing in the background
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const poll = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                console.error('Event indexer error:', error.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(poll, this.pollInterval);
+            }
+        };
+        this.timer = setTimeout(poll, 0);
+    }
+
+    /**
+     * Stop polling; a sync in progress still completes
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Indexer state, or null before the first sync
+     * @returns {Promise<object|null>} { name, contractAddress, blockNumber, recentBlocks }
+     */
+    async getState() {
+        return this.store.getIndexerState(STATE_NAME);
+    }
+
+    /**
+     * Index everything up to the latest block
+     * @returns {Promise<object>} The new indexer state
+     */
+    async sync() {
+        const web3 = this.identityManager.web3;
+        let state = await this.getState();
+
+        if (!state || state.contractAddress !== this.identityManager.address) {
+            await this.store.clearIndex();
+            state = {
+                name: STATE_NAME,
+                contractAddress: this.identityManager.address,
+                blockNumber: -1,
+                recentBlocks: []
+            };
+        }
+
+        const forkBlock = await this.findForkBlock(state);
+        if (forkBlock < state.blockNumber) {
+            state = await this.rollback(state, forkBlock);
+        }
+
+        const latest = await web3.eth.getBlockNumber();
+        while (state.blockNumber < latest) {
+            const fromBlock = state.blockNumber + 1;
+            const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, latest);
+            state = await this.indexRange(state, fromBlock, toBlock);
+        }
+
+        return state;
+    }
+
+    /**
+     * Newest recorded block the chain still has
+     * @param {object} state - Indexer state
+     * @returns {Promise<number>} Its number, or -1 if none matches
+     */
+    async findForkBlock(state) {
+        const web3 = this.identityManager.web3;
+        for (let i = state.recentBlocks.length - 1; i >= 0; i--) {
+            const { number, hash } = state.recentBlocks[i];
+            const block = await web3.eth.getBlock(number);
+            if (block && block.hash === hash) {
+                return number;
+            }
+        }
+        return state.recentBlocks.length > 0 ? -1 : state.blockNumber;
+    }
+
+    /**
+     * Drop everything indexed after a block and re-read the identities it touched
+     * @param {object} state - Indexer state
+     * @param {number} blockNumber - Last block to keep (-1 to start over)
+     * @returns {Promise<object>} The new indexer state
+     */
+    async rollback(state, blockNumber) {
+        console.warn(`Event indexer: chain reorganized, rolling back from block ${state.blockNumber} to ${blockNumber}`);
+
+        const removed = await this.store.deleteIndexedEventsAfter(blockNumber);
+        await this.refreshIdentities(removed);
+
+        const rolledBack = {
+            ...state,
+            blockNumber: blockNumber,
+            recentBlocks: state.recentBlocks.filter((block) => block.number <= blockNumber)
+        };
+        await this.store.saveIndexerState(rolledBack);
+        this.emit('rollback', { blockNumber });
+        return rolledBack;
+    }
+
+    /**
+     * Index the events of a block range
+     * Events and identities are written before the state, so a crash only
+     * means the range is indexed again; saving an event twice is harmless.
+     * @param {object} state - Indexer state
+     * @param {number} fromBlock
+     * @param {number} toBlock
+     * @returns {Promise<object>} The new indexer state
+     */
+    async indexRange(state, fromBlock, toBlock) {
+        const web3 = this.identityManager.web3;
+        const events = await this.identityManager.getEvents(fromBlock, toBlock);
+
+        const timestamps = {};
+        for (const event of events) {
+            if (!(event.blockNumber in timestamps)) {
+                const block = await web3.eth.getBlock(event.blockNumber);
+                timestamps[event.blockNumber] = Number(block.timestamp);
+            }
+        }
+
+        const indexed = events.map((event) => ({
+            eventId: `${event.blockNumber}:${event.logIndex}`,
+            ...event,
+            addresses: [...new Set(ADDRESS_ARGS.map((name) => event.args[name]).filter(Boolean))],
+            timestamp: timestamps[event.blockNumber]
+        }));
+
+        await this.store.saveIndexedEvents(indexed);
+        await this.refreshIdentities(indexed);
+
+        const lastBlock = await web3.eth.getBlock(toBlock);
+        const next = {
+            ...state,
+            blockNumber: toBlock,
+            recentBlocks: [...state.recentBlocks, { number: toBlock, hash: lastBlock.hash }].slice(-REORG_DEPTH)
+        };
+        await this.store.saveIndexerState(next);
+
+        indexed.forEach((event) => this.emit('event', event));
+        this.emit('block', { number: toBlock, hash: lastBlock.hash, timestamp: Number(lastBlock.timestamp) });
+        return next;
+    }
+
+    /**
+     * Re-read the identities changed by some events
+     * @param {Array<object>} events - Indexed events
+     */
+    async refreshIdentities(events) {
+        const addresses = new Set();
+        events
+            .filter((event) => IDENTITY_EVENTS.includes(event.event))
+            .forEach((event) => event.addresses.forEach((address) => addresses.add(address)));
+
+        for (const address of addresses) {
+            await this.refreshIdentity(address);
+        }
+    }
+
+    /**
+     * Rebuild the read model record of an address from the contract
+     * Inactive identities cannot be read from the contract, so their record
+     * keeps what was indexed while they were active, or falls back to their events.
+     * @param {string} address - Checksummed Ethereum address
+     */
+    async refreshIdentity(address) {
+        const identityManager = this.identityManager;
+        const indexedAt = new Date().toISOString();
+
+        const identity = await identityManager.getIdentity(address);
+        if (identity) {
+            await this.store.saveIndexedIdentity({
+                ethereumAddress: address,
+                originalAddress: identity.originalAddress,
+                status: 'active',
+                registrationTime: identity.registrationTime,
+                profileHash: identity.profileHash,
+                profilePointer: identity.profilePointer,
+                emailIndex: identity.emailIndex,
+                aadhaarKeyVersion: identity.aadhaarKeyVersion,
+                indexedAt: indexedAt
+            });
+            return;
+        }
+
+        const previous = (await this.store.getIndexedIdentity(address)) || await this.fromEvents(address);
+
+        if (await identityManager.isDeactivated(address)) {
+            await this.store.saveIndexedIdentity({ ...previous, status: 'deactivated', indexedAt });
+            return;
+        }
+
+        const erasure = await identityManager.getErasure(address);
+        if (erasure) {
+            await this.store.saveIndexedIdentity({
+                ethereumAddress: address,
+                status: 'erased',
+                registrationTime: previous.registrationTime,
+                erasedAt: erasure.erasedAt,
+                indexedAt: indexedAt
+            });
+            return;
+        }
+
+        const recoveredTo = await identityManager.getRecoveredTo(address);
+        if (recoveredTo) {
+            await this.store.saveIndexedIdentity({
+                ethereumAddress: address,
+                status: 'recovered',
+                registrationTime: previous.registrationTime,
+                recoveredTo: recoveredTo,
+                indexedAt: indexedAt
+            });
+            return;
+        }
+
+        // Nothing on chain, e.g. the registration was dropped by a reorg
+        await this.store.deleteIndexedIdentity(address);
+    }
+
+    /**
+     * What the indexed events say about an identity the read model has no record of
+     * @param {string} address - Checksummed Ethereum address
+     * @returns {Promise<object>} { ethereumAddress, registrationTime, profileHash }
+     */
+    async fromEvents(address) {
+        const record = { ethereumAddress: address, registrationTime: null, profileHash: null };
+
+        for (const event of await this.store.listIndexedEvents(address)) {
+            if (event.event === 'IdentityRegistered' && event.args.userAddress === address) {
+                record.registrationTime = Number(event.args.timestamp);
+            }
+            if (['IdentityRegistered', 'IdentityUpdated'].includes(event.event) && event.args.userAddress === address) {
+                record.profileHash = event.args.profileHash;
+            }
+        }
+        return record;
+    }
+}
+
+EventIndexer.STATE_NAME = STATE_NAME;
+
+module.exports = EventIndexer;
@@ -0,0 +1,204 @@
+const { getWeb3 } = require('./index');
+
+/**
+ * Live identity events for SSE and WebSocket clients
+ * A subscription replays the stored events after the position a client resumes
+ * from, then follows the event indexer. Every message has an ID that is a
+ * position: "block:logIndex" for events and the block number for block and
+ * reorg notifications, so a client resumes after the last ID it received.
+ */
+
+// Contract events a stream carries
+const STREAM_EVENTS = ['IdentityRegistered', 'IdentityUpdated', 'IdentityDeactivated'];
+
+// Types a stream can be filtered to; 'block' is the new-block notification
+const STREAM_TYPES = [...STREAM_EVENTS, 'block'];
+
+/**
+ * @param {number} seconds - Unix time
+ * @returns {string} ISO 8601
+ */
+const toIso = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * Position of a message ID
+ * @param {string} id - "block:logIndex", or a block number for the whole block
+ *        (-1 after a reorg that rolled everything back)
+ * @returns {object|null} { blockNumber, logIndex }, or null if malformed
+ */
+const parsePosition = (id) => {
+    const match = /^(-1|\d+)(?::(\d+))?$/.exec(id);
+    if (!match) {
+        return null;
+    }
+    return {
+        blockNumber: Number(match[1]),
+        logIndex: match[2] === undefined ? Infinity : Number(match[2])
+    };
+};
+
+/**
+ * @param {object} a - Position
+ * @param {object} b - Position
+ * @returns {boolean} Whether a comes after b
+ */
+const isAfter = (a, b) => a.blockNumber > b.blockNumber ||
+    (a.blockNumber === b.blockNumber && a.logIndex > b.logIndex);
+
+/**
+ * Parse the filters of a stream request
+ * @param {object} query - Query string: address and events (comma-separated),
+ *        fromBlock (first block to replay) or lastEventId (the last ID received)
+ * @param {string} [lastEventId] - Last-Event-ID header of a reconnecting EventSource
+ * @returns {object} { addresses, types, after } for subscribe(), or { error }
+ */
+const parseStreamQuery = ({ address, events, fromBlock, lastEventId: lastEventIdParam }, lastEventId) => {
+    const web3 = getWeb3();
+    const list = (value) => [].concat(value).join(',').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+    const addresses = address === undefined ? [] : list(address);
+    if (addresses.some((entry) => !web3.utils.isAddress(entry))) {
+        return { error: 'Invalid Ethereum address format' };
+    }
+
+    const types = events === undefined ? STREAM_TYPES : list(events);
+    if (types.length === 0 || types.some((type) => !STREAM_TYPES.includes(type))) {
+        return { error: `events must be a list of: ${STREAM_TYPES.join(', ')}` };
+    }
+
+    // A reconnect's last ID wins over the fromBlock of the original request
+    let after = null;
+    const resumeId = lastEventId || lastEventIdParam;
+    if (resumeId !== undefined) {
+        after = parsePosition(String(resumeId));
+        if (!after) {
+            return { error: 'Invalid last event ID' };
+        }
+    } else if (fromBlock !== undefined) {
+        const blockNumber = Number(fromBlock);
+        if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+            return { error: 'fromBlock must be a non-negative integer' };
+        }
+        after = { blockNumber: blockNumber - 1, logIndex: Infinity };
+    }
+
+    return {
+        addresses: addresses.map((entry) => web3.utils.toChecksumAddress(entry)),
+        types: types,
+        after: after
+    };
+};
+
+/**
+ * Message of an indexed event
+ * @param {object} event - Indexed event
+ * @returns {object} { id, type, data }
+ */
+const eventMessage = (event) => ({
+    id: event.eventId,
+    type: event.event,
+    position: { blockNumber: event.blockNumber, logIndex: event.logIndex },
+    data: {
+        event: event.event,
+        ethereumAddress: event.args.userAddress,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.logIndex,
+        timestamp: toIso(event.timestamp),
+        args: event.args
+    }
+});
+
+/**
+ * Stream events to a client
+ * Reorg notifications ('reorg', { blockNumber } of the last block kept) are
+ * always sent; the events after that block follow as they are indexed again.
+ * @param {object} options
+ * @param {EventIndexer} options.eventIndexer - Running event indexer
+ * @param {Store} options.store - Storage adapter holding the index
+ * @param {object} options.filter - From parseStreamQuery()
+ * @param {Function} send - Called with each message: { id, type, data }
+ * @returns {object} { ready, close }: ready settles once the replay is sent
+ *          (and rejects if it failed, closing the subscription)
+ */
+const subscribe = ({ eventIndexer, store, filter }, send) => {
+    let position = filter.after;
+    let queue = [];
+    let closed = false;
+
+    const matches = (event) => STREAM_EVENTS.includes(event.event) &&
+        filter.types.includes(event.event) &&
+        (filter.addresses.length === 0 || filter.addresses.includes(event.args.userAddress));
+
+    // Replayed and live messages can overlap, so only what is past the position goes out
+    const deliver = ({ id, type, position: at, data }) => {
+        if (closed || (type !== 'reorg' && position && !isAfter(at, position))) {
+            return;
+        }
+        position = at;
+        send({ id, type, data });
+    };
+
+    // Live messages wait while the replay is running
+    const push = (message) => (queue ? queue.push(message) : deliver(message));
+
+    const onEvent = (event) => {
+        if (matches(event)) {
+            push(eventMessage(event));
+        }
+    };
+    const onBlock = ({ number, hash, timestamp }) => {
+        if (filter.types.includes('block')) {
+            push({
+                id: String(number),
+                type: 'block',
+                position: { blockNumber: number, logIndex: Infinity },
+                data: { number, hash, timestamp: toIso(timestamp) }
+            });
+        }
+    };
+    const onRollback = ({ blockNumber }) => {
+        push({
+            id: String(blockNumber),
+            type: 'reorg',
+            position: { blockNumber, logIndex: Infinity },
+            data: { blockNumber }
+        });
+    };
+
+    eventIndexer.on('event', onEvent);
+    eventIndexer.on('block', onBlock);
+    eventIndexer.on('rollback', onRollback);
+
+    const close = () => {
+        eventIndexer.off('event', onEvent);
+        eventIndexer.off('block', onBlock);
+        eventIndexer.off('rollback', onRollback);
+        closed = true;
+    };
+
+    const replay = async () => {
+        if (position) {
+            const stored = await store.listIndexedEventsAfter(position.blockNumber - 1);
+            stored.filter(matches).map(eventMessage).forEach(deliver);
+        }
+        const live = queue;
+        queue = null;
+        live.forEach(deliver);
+    };
+
+    const ready = replay().catch((error) => {
+        close();
+        throw error;
+    });
+
+    return { ready, close };
+};
+
+module.exports = {
+    STREAM_EVENTS,
+    STREAM_TYPES,
+    parseStreamQuery,
+    subscribe
+};
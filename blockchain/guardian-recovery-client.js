@@ -0,0 +1,210 @@
+const contract = require('@truffle/contract');
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACT_PATH = path.join(__dirname, '../build/contracts/GuardianRecovery.json');
+
+// Contract methods the API depends on; the artifact must expose all of them
+const REQUIRED_METHODS = [
+    'identityManager',
+    'recoveryDelay',
+    'getGuardians',
+    'isGuardian',
+    'hasApproved',
+    'recoveries',
+    'setGuardiansFor',
+    'initiateRecoveryFor',
+    'approveRecoveryFor',
+    'cancelRecoveryFor',
+    'finalizeRecovery',
+];
+
+/**
+ * Typed wrapper around the deployed GuardianRecovery contract
+ * Guardians and the holder prove their wallets to the API, which relays their
+ * actions through the owner-only *For methods; finalizing needs no relaying.
+ */
+class GuardianRecoveryClient {
+    /**
+     * @param {Web3} web3 - Connected Web3 instance
+     * @param {string} [artifactPath] - Path to the truffle artifact
+     */
+    constructor(web3, artifactPath = ARTIFACT_PATH) {
+        this.web3 = web3;
+        this.artifactPath = artifactPath;
+        this.artifact = null;
+        this.instance = null;
+        this.accounts = [];
+        this.recoveryDelay = null;
+
+        if (fs.existsSync(this.artifactPath)) {
+            this.artifact = JSON.parse(fs.readFileSync(this.artifactPath, 'utf8'));
+        }
+    }
+
+    /**
+     * Fail loudly when the artifact does not match the contract the API expects
+     * @param {Array} abi - Contract ABI from the artifact
+     * @param {string} [artifactPath] - Artifact path, for the error message
+     */
+    static assertAbi(abi, artifactPath = ARTIFACT_PATH) {
+        const available = new Set(
+            (abi || []).filter(entry => entry.type === 'function').map(entry => entry.name)
+        );
+        const missing = REQUIRED_METHODS.filter(name => !available.has(name));
+
+        if (missing.length > 0) {
+            throw new Error(
+                `GuardianRecovery artifact at ${artifactPath} is missing ABI methods: ${missing.join(', ')}. ` +
+                'Run "truffle compile && truffle migrate --reset" to rebuild it.'
+            );
+        }
+    }
+
+    /**
+     * Connect to the network and load the deployed contract
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.artifact) {
+            throw new Error('GuardianRecovery artifact not found. Run "truffle compile" first.');
+        }
+        GuardianRecoveryClient.assertAbi(this.artifact.abi, this.artifactPath);
+
+        this.accounts = await this.web3.eth.getAccounts();
+
+        const GuardianRecovery = contract(this.artifact);
+        GuardianRecovery.setProvider(this.web3.currentProvider);
+        this.instance = await GuardianRecovery.deployed();
+        this.recoveryDelay = Number((await this.instance.recoveryDelay()).toString());
+    }
+
+    /**
+     * Whether init() has completed successfully
+     * @returns {boolean}
+     */
+    isInitialized() {
+        return !!this.instance;
+    }
+
+    /**
+     * Deployed contract address
+     * @returns {string|null}
+     */
+    get address() {
+        return this.instance ? this.instance.address : null;
+    }
+
+    /**
+     * Account the server sends transactions from (the contract owner after migration)
+     * @returns {string}
+     */
+    get serverAccount() {
+        return this.accounts[0];
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} { guardians, threshold }
+     */
+    async getGuardians(address) {
+        const result = await this.instance.getGuardians(address);
+        return {
+            guardians: result[0],
+            threshold: Number(result[1].toString())
+        };
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @param {string} guardian - Address to check
+     * @returns {Promise<boolean>} Whether guardian is one of the identity's guardians
+     */
+    async isGuardian(address, guardian) {
+        return this.instance.isGuardian(address, guardian);
+    }
+
+    /**
+     * Pending recovery of an identity
+     * @param {string} address - Identity address
+     * @returns {Promise<object|null>} { newAddress, initiatedAt (ISO), approvals, finalizableAt (ISO) },
+     *          or null if no recovery is pending
+     */
+    async getRecovery(address) {
+        const recovery = await this.instance.recoveries(address);
+        if (this.web3.utils.toBN(recovery.newAddress).isZero()) {
+            return null;
+        }
+
+        const initiatedAt = Number(recovery.initiatedAt.toString());
+        return {
+            newAddress: recovery.newAddress,
+            initiatedAt: new Date(initiatedAt * 1000).toISOString(),
+            approvals: Number(recovery.approvals.toString()),
+            finalizableAt: new Date((initiatedAt + this.recoveryDelay) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @param {string} guardian - Guardian address
+     * @returns {Promise<boolean>} Whether the guardian approved the pending recovery
+     */
+    async hasApproved(address, guardian) {
+        return this.instance.hasApproved(address, guardian);
+    }
+
+    /**
+     * Replace an identity's guardians on the holder's behalf
+     * @param {string} address - Identity address
+     * @param {Array<string>} guardians - Guardian addresses
+     * @param {number} threshold - Approvals a recovery needs
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async setGuardiansFor(address, guardians, threshold) {
+        return this.instance.setGuardiansFor(address, guardians, threshold, { from: this.serverAccount });
+    }
+
+    /**
+     * Start a recovery on a guardian's behalf; counts as their approval
+     * @param {string} address - Identity address
+     * @param {string} guardian - Guardian starting the recovery
+     * @param {string} newAddress - Address the identity should move to
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async initiateRecoveryFor(address, guardian, newAddress) {
+        return this.instance.initiateRecoveryFor(address, guardian, newAddress, { from: this.serverAccount });
+    }
+
+    /**
+     * Approve the pending recovery on a guardian's behalf
+     * @param {string} address - Identity address
+     * @param {string} guardian - Guardian approving the recovery
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async approveRecoveryFor(address, guardian) {
+        return this.instance.approveRecoveryFor(address, guardian, { from: this.serverAccount });
+    }
+
+    /**
+     * Cancel the pending recovery on the holder's behalf
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async cancelRecoveryFor(address) {
+        return this.instance.cancelRecoveryFor(address, { from: this.serverAccount });
+    }
+
+    /**
+     * Move the identity once the recovery has enough approvals and its delay has passed
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async finalizeRecovery(address) {
+        return this.instance.finalizeRecovery(address, { from: this.serverAccount });
+    }
+}
+
+GuardianRecoveryClient.REQUIRED_METHODS = REQUIRED_METHODS;
+
+module.exports = GuardianRecoveryClient;
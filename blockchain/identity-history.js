@@ -0,0 +1,180 @@
+const { getWeb3 } = require('./index');
+const IdentityManagerClient = require('./identity-manager-client');
+
+/**
+ * Audit history of an identity, rebuilt from its indexed IdentityManager events
+ * Events are replayed oldest first while tracking what they change, so each
+ * entry can show every affected field's value before and after. Only on-chain
+ * values appear: the profile itself stays off chain, so a profile change shows
+ * as a new profileHash, with the names (never the values) of the profile fields
+ * it changed as recorded when that version was sealed.
+ */
+
+// Role constants of the contract, by the bytes32 the role events carry
+const ROLE_CONSTANTS = ['ADMIN_ROLE', 'VERIFIER_ROLE'];
+
+// Event arguments already shown as the entry's own fields
+const ENTRY_ARGS = ['userAddress', 'timestamp'];
+
+// Events that anchor a new profile version
+const PROFILE_EVENTS = ['IdentityRegistered', 'IdentityUpdated'];
+
+/**
+ * @param {number} seconds - Unix time
+ * @returns {string} ISO 8601
+ */
+const toIso = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+
+/**
+ * Name of a role identifier, e.g. "admin"
+ * @param {string} role - bytes32 role identifier
+ * @returns {string}
+ */
+const toRoleName = (role) => {
+    const web3 = getWeb3();
+    const constant = ROLE_CONSTANTS.find((name) => web3.utils.keccak256(name) === role.toLowerCase());
+    return constant ? constant.replace(/_ROLE$/, '').toLowerCase() : role;
+};
+
+/**
+ * Field values an event sets, for the address whose history is built
+ * Fields the event clears are set to null.
+ * @param {object} event - Indexed event
+ * @param {string} address - Checksummed address the history is for
+ * @param {object} state - Field values before the event
+ * @returns {object} Field name => new value
+ */
+const applyEvent = ({ event, args }, address, state) => {
+    // Everything but the status and tombstones goes with an erased or recovered identity
+    const cleared = () => {
+        const fields = {};
+        Object.keys(state)
+            .filter((field) => !['status', 'registrationTime', 'recoveredFrom'].includes(field))
+            .forEach((field) => {
+                fields[field] = null;
+            });
+        return fields;
+    };
+
+    switch (event) {
+        case 'IdentityRegistered':
+            return {
+                status: 'active',
+                profileHash: args.profileHash,
+                registrationTime: toIso(args.timestamp)
+            };
+        case 'IdentityUpdated':
+            // The contract drops the attribute root along with the old values
+            return { profileHash: args.profileHash, attributeRoot: null };
+        case 'IdentityDeactivated':
+            return { status: 'deactivated' };
+        case 'IdentityReactivated':
+            return { status: 'active' };
+        case 'IdentityErased':
+            return { ...cleared(), status: 'erased' };
+        case 'IdentityRecovered':
+            return args.oldAddress === address
+                ? { ...cleared(), status: 'recovered', recoveredTo: args.newAddress }
+                : { status: 'active', recoveredFrom: args.oldAddress };
+        case 'AadhaarCommitmentUpdated':
+            return { aadhaarKeyVersion: Number(args.keyVersion) };
+        case 'AttributeRootUpdated':
+            return { attributeRoot: args.root };
+        case 'DelegateChanged': {
+            const delegateType = getWeb3().utils.hexToUtf8(args.delegateType);
+            return { [`delegate:${delegateType}:${args.delegate}`]: toIso(args.validTo) };
+        }
+        case 'ServiceChanged':
+            return { [`service:${args.id}`]: { type: args.serviceType, endpoint: args.endpoint } };
+        case 'ServiceRemoved':
+            return { [`service:${args.id}`]: null };
+        case 'AccessGranted':
+            return {
+                [`access:${args.verifier}`]: {
+                    fields: IdentityManagerClient.fromFieldMask(args.fields),
+                    expiresAt: toIso(args.expiresAt)
+                }
+            };
+        case 'AccessRevoked':
+            return { [`access:${args.verifier}`]: null };
+        case 'RoleGranted':
+            return { [`role:${toRoleName(args.role)}`]: true };
+        case 'RoleRevoked':
+            return { [`role:${toRoleName(args.role)}`]: false };
+        default:
+            return {};
+    }
+};
+
+/**
+ * Recorded profile changes of the profile versions the events anchor
+ * @param {Array<object>} events - Indexed events
+ * @param {Store} store
+ * @returns {Promise<object>} profileHash => profile change record
+ */
+const loadProfileChanges = async (events, store) => {
+    const hashes = [...new Set(events
+        .filter(({ event }) => PROFILE_EVENTS.includes(event))
+        .map(({ args }) => args.profileHash.toLowerCase()))];
+
+    const profileChanges = {};
+    for (const profileHash of hashes) {
+        const change = await store.getProfileChange(profileHash);
+        if (change) {
+            profileChanges[profileHash] = change;
+        }
+    }
+    return profileChanges;
+};
+
+/**
+ * Build the timeline of an address
+ * @param {string} address - Checksummed address
+ * @param {Array<object>} events - Its indexed events, oldest first (store.listIndexedEvents())
+ * @param {object} [profileChanges] - profileHash => profile change record (loadProfileChanges())
+ * @returns {Array<object>} Entries: { event, transactionHash, blockNumber, timestamp (ISO),
+ *          details (the event's other arguments), changes: [{ field, before, after }] },
+ *          plus profileFields (changed profile field names, null if unrecorded) for
+ *          events that anchor a profile version
+ */
+const buildHistory = (address, events, profileChanges = {}) => {
+    const state = {};
+
+    return events.map((indexed) => {
+        const changes = [];
+        for (const [field, after] of Object.entries(applyEvent(indexed, address, state))) {
+            const before = field in state ? state[field] : null;
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes.push({ field, before, after });
+            }
+            state[field] = after;
+        }
+
+        const details = {};
+        Object.entries(indexed.args)
+            .filter(([name]) => !ENTRY_ARGS.includes(name))
+            .forEach(([name, value]) => {
+                details[name] = value;
+            });
+
+        const entry = {
+            event: indexed.event,
+            transactionHash: indexed.transactionHash,
+            blockNumber: indexed.blockNumber,
+            timestamp: toIso(indexed.timestamp),
+            details: details,
+            changes: changes
+        };
+        if (PROFILE_EVENTS.includes(indexed.event)) {
+            const change = profileChanges[indexed.args.profileHash.toLowerCase()];
+            entry.profileFields = change ? change.fields : null;
+        }
+        return entry;
+    });
+};
+
+module.exports = {
+    applyEvent,
+    buildHistory,
+    loadProfileChanges
+};
@@ -0,0 +1,751 @@
+const contract = require('@truffle/contract');
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACT_PATH = path.join(__dirname, '../build/contracts/IdentityManager.json');
+
+// Contract methods the API depends on; the artifact must expose all of them
+const REQUIRED_METHODS = [
+    'registerIdentityWithSignature',
+    'nonces',
+    'eip712Domain',
+    'importIdentity',
+    'closeMigration',
+    'migrationOpen',
+    'updateAadhaarCommitmentFor',
+    'isAadhaarRegistered',
+    'getIdentity',
+    'isRegistered',
+    'isDeactivated',
+    'isEmailRegistered',
+    'getTotalUsers',
+    'getAllUsers',
+    'updateIdentityFor',
+    'deactivateIdentityFor',
+    'reactivateIdentityFor',
+    'eraseIdentityFor',
+    'erasedAt',
+    'recoveredTo',
+    'originalAddress',
+    'getDelegates',
+    'validDelegate',
+    'getServices',
+    'addDelegateFor',
+    'revokeDelegateFor',
+    'setServiceFor',
+    'removeServiceFor',
+    'attributeRoots',
+    'setAttributeRootFor',
+    'verifyAttribute',
+    'getAccessGrants',
+    'grantedFields',
+    'grantAccessFor',
+    'revokeAccessFor',
+    'hasRole',
+    'grantRole',
+    'revokeRole',
+];
+
+// Identity fields a verifier can be granted, in bit order of the contract's access grant bitmask
+const ACCESS_FIELDS = ['name', 'email', 'registrationTime'];
+
+// EIP-712 types for signed registrations; must match REGISTER_TYPEHASH in the contract
+const REGISTRATION_TYPES = {
+    EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' }
+    ],
+    RegisterIdentity: [
+        { name: 'userAddress', type: 'address' },
+        { name: 'profileHash', type: 'bytes32' },
+        { name: 'profilePointer', type: 'string' },
+        { name: 'emailIndex', type: 'bytes32' },
+        { name: 'aadhaarCommitment', type: 'bytes32' },
+        { name: 'aadhaarKeyVersion', type: 'uint16' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * Typed wrapper around the deployed IdentityManager contract
+ * Routes use this instead of calling the truffle contract directly, so the
+ * ABI is only spelled out here and tuple returns become named objects.
+ */
+class IdentityManagerClient {
+    /**
+     * @param {Web3} web3 - Connected Web3 instance
+     * @param {string} [artifactPath] - Path to the truffle artifact
+     */
+    constructor(web3, artifactPath = ARTIFACT_PATH) {
+        this.web3 = web3;
+        this.artifactPath = artifactPath;
+        this.artifact = null;
+        this.instance = null;
+        this.accounts = [];
+        this.networkId = null;
+        this.chainId = null;
+
+        if (fs.existsSync(this.artifactPath)) {
+            this.artifact = JSON.parse(fs.readFileSync(this.artifactPath, 'utf8'));
+        }
+    }
+
+    /**
+     * Fail loudly when the artifact does not match the contract the API expects
+     * @param {Array} abi - Contract ABI from the artifact
+     * @param {string} [artifactPath] - Artifact path, for the error message
+     */
+    static assertAbi(abi, artifactPath = ARTIFACT_PATH) {
+        const available = new Set(
+            (abi || []).filter(entry => entry.type === 'function').map(entry => entry.name)
+        );
+        const missing = REQUIRED_METHODS.filter(name => !available.has(name));
+
+        if (missing.length > 0) {
+            throw new Error(
+                `IdentityManager artifact at ${artifactPath} is missing ABI methods: ${missing.join(', ')}. ` +
+                'Run "truffle compile && truffle migrate --reset" to rebuild it.'
+            );
+        }
+    }
+
+    /**
+     * Connect to the network and load the deployed contract
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.artifact) {
+            throw new Error('Contract artifact not found. Run "truffle compile" first.');
+        }
+        IdentityManagerClient.assertAbi(this.artifact.abi, this.artifactPath);
+
+        this.networkId = await this.web3.eth.net.getId();
+        this.accounts = await this.web3.eth.getAccounts();
+
+        const IdentityManager = contract(this.artifact);
+        IdentityManager.setProvider(this.web3.currentProvider);
+        this.instance = await IdentityManager.deployed();
+
+        // The chain the contract was deployed for, as recorded in its EIP-712 domain
+        this.chainId = (await this.getDomain()).chainId;
+    }
+
+    /**
+     * Whether init() has completed successfully
+     * @returns {boolean}
+     */
+    isInitialized() {
+        return !!this.instance;
+    }
+
+    /**
+     * Deployed contract address
+     * @returns {string|null}
+     */
+    get address() {
+        return this.instance ? this.instance.address : null;
+    }
+
+    /**
+     * Account the server sends transactions from (the contract owner after migration)
+     * @returns {string}
+     */
+    get serverAccount() {
+        return this.accounts[0];
+    }
+
+    /**
+     * Map a getIdentity tuple to a named object
+     * The name and email are not on chain; see profiles/profile-vault.js.
+     * @param {object} result - Raw truffle result
+     * @returns {object} Identity
+     */
+    static toIdentity(result) {
+        const registrationTime = Number(result.registrationTime.toString());
+        return {
+            profileHash: result.profileHash,
+            profilePointer: result.profilePointer,
+            emailIndex: result.emailIndex,
+            aadhaarCommitment: result.aadhaarCommitment,
+            aadhaarKeyVersion: Number(result.aadhaarKeyVersion.toString()),
+            ethereumAddress: result.ethAddress,
+            registrationTime: registrationTime,
+            registeredAt: new Date(registrationTime * 1000).toISOString(),
+            isActive: result.isActive
+        };
+    }
+
+    /**
+     * Get an active identity
+     * originalAddress is the address it was first registered under, which
+     * differs from ethereumAddress once it has been recovered.
+     * @param {string} address - Ethereum address
+     * @returns {Promise<object|null>} Identity, or null if not registered or inactive
+     */
+    async getIdentity(address) {
+        // getIdentity reverts for unknown or inactive identities
+        if (!(await this.instance.isRegistered(address))) {
+            return null;
+        }
+        const identity = IdentityManagerClient.toIdentity(await this.instance.getIdentity(address));
+        const originalAddress = await this.instance.originalAddress(address);
+        return {
+            ...identity,
+            originalAddress: this.web3.utils.toBN(originalAddress).isZero() ? identity.ethereumAddress : originalAddress
+        };
+    }
+
+    /**
+     * @param {string} address - Ethereum address
+     * @returns {Promise<boolean>} Whether an active identity exists
+     */
+    async isRegistered(address) {
+        return this.instance.isRegistered(address);
+    }
+
+    /**
+     * @param {string} address - Ethereum address
+     * @returns {Promise<boolean>} Whether a deactivated identity exists
+     */
+    async isDeactivated(address) {
+        return this.instance.isDeactivated(address);
+    }
+
+    /**
+     * @param {string} emailIndex - bytes32 keyed blind index of the email
+     * @returns {Promise<boolean>} Whether the email is taken by an active identity
+     */
+    async isEmailRegistered(emailIndex) {
+        return this.instance.isEmailRegistered(emailIndex);
+    }
+
+    /**
+     * Tombstone of an erased identity
+     * @param {string} address - Ethereum address
+     * @returns {Promise<object|null>} { erasedAt (ISO) }, or null if the address
+     *          was never erased or has registered again since
+     */
+    async getErasure(address) {
+        const erasedAt = Number((await this.instance.erasedAt(address)).toString());
+        if (!erasedAt || await this.instance.isRegistered(address) || await this.instance.isDeactivated(address)) {
+            return null;
+        }
+        return { erasedAt: new Date(erasedAt * 1000).toISOString() };
+    }
+
+    /**
+     * Address a recovered identity was moved to
+     * @param {string} address - Address the identity was recovered from
+     * @returns {Promise<string|null>} New address, or null if the identity was never recovered
+     */
+    async getRecoveredTo(address) {
+        const recoveredTo = await this.instance.recoveredTo(address);
+        return this.web3.utils.toBN(recoveredTo).isZero() ? null : recoveredTo;
+    }
+
+    /**
+     * @param {string} commitment - bytes32 Aadhaar commitment
+     * @returns {Promise<boolean>} Whether the commitment is taken by an active identity
+     */
+    async isAadhaarRegistered(commitment) {
+        return this.instance.isAadhaarRegistered(commitment);
+    }
+
+    /**
+     * @returns {Promise<number>} Number of active identities
+     */
+    async getTotalUsers() {
+        const total = await this.instance.getTotalUsers();
+        return Number(total.toString());
+    }
+
+    /**
+     * @returns {Promise<Array<string>>} Addresses of active identities
+     */
+    async getAllUsers() {
+        return this.instance.getAllUsers();
+    }
+
+    /**
+     * Events the contract emitted in a block range, oldest first
+     * @param {number} fromBlock
+     * @param {number} toBlock
+     * @returns {Promise<Array<object>>} { event, blockNumber, blockHash, logIndex, transactionHash, args },
+     *          args holding the named event arguments as strings
+     */
+    async getEvents(fromBlock, toBlock) {
+        const events = await this.instance.getPastEvents('allEvents', { fromBlock, toBlock });
+        return events.map((event) => ({
+            event: event.event,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            logIndex: event.logIndex,
+            transactionHash: event.transactionHash,
+            args: Object.fromEntries(
+                Object.entries(event.returnValues)
+                    .filter(([name]) => !/^(\d+|__length__)$/.test(name))
+                    .map(([name, value]) => [name, String(value)])
+            )
+        }));
+    }
+
+    /**
+     * @param {string} address - Ethereum address
+     * @returns {Promise<number>} Next nonce expected in the address's signed registration
+     */
+    async getNonce(address) {
+        const nonce = await this.instance.nonces(address);
+        return Number(nonce.toString());
+    }
+
+    /**
+     * Get the contract's EIP-712 domain
+     * @returns {Promise<object>} { name, version, chainId, verifyingContract }
+     */
+    async getDomain() {
+        const domain = await this.instance.eip712Domain();
+        return {
+            name: domain.name,
+            version: domain.version,
+            chainId: Number(domain.chainId.toString()),
+            verifyingContract: domain.verifyingContract
+        };
+    }
+
+    /**
+     * Build the typed data a wallet signs (eth_signTypedData_v4) to register an identity
+     * @param {object} registration - { userAddress, profileHash, profilePointer, emailIndex,
+     *                                  aadhaarCommitment, aadhaarKeyVersion, deadline }
+     * @returns {Promise<object>} EIP-712 typed data, including the current nonce
+     */
+    async buildRegistrationTypedData(registration) {
+        const {
+            userAddress, profileHash, profilePointer, emailIndex, aadhaarCommitment, aadhaarKeyVersion, deadline
+        } = registration;
+        return {
+            types: REGISTRATION_TYPES,
+            primaryType: 'RegisterIdentity',
+            domain: await this.getDomain(),
+            message: {
+                userAddress: userAddress,
+                profileHash: profileHash,
+                profilePointer: profilePointer,
+                emailIndex: emailIndex,
+                aadhaarCommitment: aadhaarCommitment,
+                aadhaarKeyVersion: aadhaarKeyVersion,
+                nonce: await this.getNonce(userAddress),
+                deadline: deadline
+            }
+        };
+    }
+
+    /**
+     * Recover the signer of registration typed data, so bad signatures are
+     * rejected before the server pays gas to relay them
+     * @param {object} typedData - Typed data from buildRegistrationTypedData
+     * @param {string} signature - 65-byte hex signature
+     * @returns {string} Checksummed signer address
+     */
+    recoverRegistrationSigner(typedData, signature) {
+        const { utils } = this.web3;
+        const { abi } = this.web3.eth;
+        const { domain, message } = typedData;
+
+        const domainSeparator = utils.keccak256(abi.encodeParameters(
+            ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+            [
+                utils.keccak256(
+                    'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+                ),
+                utils.keccak256(domain.name),
+                utils.keccak256(domain.version),
+                domain.chainId,
+                domain.verifyingContract
+            ]
+        ));
+        const structHash = utils.keccak256(abi.encodeParameters(
+            ['bytes32', 'address', 'bytes32', 'bytes32', 'bytes32', 'bytes32', 'uint16', 'uint256', 'uint256'],
+            [
+                utils.keccak256(
+                    'RegisterIdentity(address userAddress,bytes32 profileHash,string profilePointer,bytes32 emailIndex,' +
+                    'bytes32 aadhaarCommitment,uint16 aadhaarKeyVersion,uint256 nonce,uint256 deadline)'
+                ),
+                message.userAddress,
+                message.profileHash,
+                utils.keccak256(message.profilePointer),
+                message.emailIndex,
+                message.aadhaarCommitment,
+                message.aadhaarKeyVersion,
+                message.nonce,
+                message.deadline
+            ]
+        ));
+        const digest = utils.soliditySha3(
+            { t: 'bytes', v: '0x1901' },
+            { t: 'bytes32', v: domainSeparator },
+            { t: 'bytes32', v: structHash }
+        );
+
+        // preFixed: the digest is signed as-is, without the personal_sign prefix
+        return this.web3.eth.accounts.recover(digest, signature, true);
+    }
+
+    /**
+     * Relay a wallet-signed registration; the contract registers the recovered signer
+     * @param {object} registration - Same fields as for buildRegistrationTypedData
+     * @param {string} signature - 65-byte hex signature over the registration typed data
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async registerIdentityWithSignature(registration, signature) {
+        const {
+            userAddress, profileHash, profilePointer, emailIndex, aadhaarCommitment, aadhaarKeyVersion, deadline
+        } = registration;
+        const args = [
+            userAddress,
+            profileHash,
+            profilePointer,
+            emailIndex,
+            aadhaarCommitment,
+            aadhaarKeyVersion,
+            deadline,
+            signature
+        ];
+        const gasEstimate = await this.instance.registerIdentityWithSignature.estimateGas(
+            ...args,
+            { from: this.serverAccount }
+        );
+
+        return this.instance.registerIdentityWithSignature(...args, {
+            from: this.serverAccount,
+            gas: Math.floor(gasEstimate * 1.2), // Add 20% buffer
+            gasPrice: this.web3.utils.toWei('20', 'gwei')
+        });
+    }
+
+    /**
+     * Replace an identity's Aadhaar commitment (owner only)
+     * @param {string} address - Identity address
+     * @param {object} commitment - { commitment, keyVersion }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async updateAadhaarCommitmentFor(address, { commitment, keyVersion }) {
+        return this.instance.updateAadhaarCommitmentFor(address, commitment, keyVersion, { from: this.serverAccount });
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether identities can still be imported
+     */
+    async isMigrationOpen() {
+        return this.instance.migrationOpen();
+    }
+
+    /**
+     * Import an identity from a previous deployment (owner only)
+     * @param {object} identity - { userAddress, profileHash, profilePointer, emailIndex,
+     *                              aadhaarCommitment, aadhaarKeyVersion, registrationTime }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async importIdentity(identity) {
+        const {
+            userAddress, profileHash, profilePointer, emailIndex, aadhaarCommitment, aadhaarKeyVersion, registrationTime
+        } = identity;
+        return this.instance.importIdentity(
+            userAddress,
+            profileHash,
+            profilePointer,
+            emailIndex,
+            aadhaarCommitment,
+            aadhaarKeyVersion,
+            registrationTime,
+            { from: this.serverAccount }
+        );
+    }
+
+    /**
+     * Permanently stop identity imports (owner only)
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async closeMigration() {
+        return this.instance.closeMigration({ from: this.serverAccount });
+    }
+
+    /**
+     * Point an identity at a new profile version on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {object} profile - { profileHash, profilePointer, emailIndex } from the profile vault
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async updateIdentityFor(address, { profileHash, profilePointer, emailIndex }) {
+        return this.instance.updateIdentityFor(address, profileHash, profilePointer, emailIndex, { from: this.serverAccount });
+    }
+
+    /**
+     * Deactivate an identity on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async deactivateIdentityFor(address) {
+        return this.instance.deactivateIdentityFor(address, { from: this.serverAccount });
+    }
+
+    /**
+     * Reactivate an identity on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async reactivateIdentityFor(address) {
+        return this.instance.reactivateIdentityFor(address, { from: this.serverAccount });
+    }
+
+    /**
+     * Erase an identity on the user's behalf, leaving a tombstone (owner only)
+     * @param {string} address - Identity address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async eraseIdentityFor(address) {
+        return this.instance.eraseIdentityFor(address, { from: this.serverAccount });
+    }
+
+    /**
+     * Encode a delegate type name (e.g. "veriKey") as bytes32
+     * @param {string} delegateType
+     * @returns {string} bytes32 hex
+     */
+    toDelegateType(delegateType) {
+        return this.web3.utils.padRight(this.web3.utils.utf8ToHex(delegateType), 64);
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @returns {Promise<Array<object>>} Delegates: { delegate, delegateType, validTo, validUntil, isValid }
+     */
+    async getDelegates(address) {
+        const now = Math.floor(Date.now() / 1000);
+        const delegates = await this.instance.getDelegates(address);
+        return delegates.map((entry) => {
+            const validTo = Number(entry.validTo.toString());
+            return {
+                delegate: entry.delegate,
+                delegateType: this.web3.utils.hexToUtf8(entry.delegateType),
+                validTo: validTo,
+                validUntil: new Date(validTo * 1000).toISOString(),
+                isValid: validTo > now
+            };
+        });
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @returns {Promise<Array<object>>} Services: { id, type, serviceEndpoint }
+     */
+    async getServices(address) {
+        const services = await this.instance.getServices(address);
+        return services.map((entry) => ({
+            id: entry.id,
+            type: entry.serviceType,
+            serviceEndpoint: entry.endpoint
+        }));
+    }
+
+    /**
+     * Add or extend a delegate key on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {object} delegate - { delegateType, delegate, validity (seconds) }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async addDelegateFor(address, { delegateType, delegate, validity }) {
+        return this.instance.addDelegateFor(
+            address,
+            this.toDelegateType(delegateType),
+            delegate,
+            validity,
+            { from: this.serverAccount }
+        );
+    }
+
+    /**
+     * Remove a delegate key on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {object} delegate - { delegateType, delegate }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async revokeDelegateFor(address, { delegateType, delegate }) {
+        return this.instance.revokeDelegateFor(
+            address,
+            this.toDelegateType(delegateType),
+            delegate,
+            { from: this.serverAccount }
+        );
+    }
+
+    /**
+     * Add or replace a service endpoint on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {object} service - { id, type, serviceEndpoint }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async setServiceFor(address, { id, type, serviceEndpoint }) {
+        return this.instance.setServiceFor(address, id, type, serviceEndpoint, { from: this.serverAccount });
+    }
+
+    /**
+     * Remove a service endpoint on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {string} id - Service ID (DID URL fragment)
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async removeServiceFor(address, id) {
+        return this.instance.removeServiceFor(address, id, { from: this.serverAccount });
+    }
+
+    /**
+     * Encode field names as an access grant bitmask
+     * @param {Array<string>} fields - Entries of ACCESS_FIELDS
+     * @returns {string} Decimal bitmask
+     */
+    static toFieldMask(fields) {
+        return fields
+            .reduce((mask, field) => mask | (1 << ACCESS_FIELDS.indexOf(field)), 0)
+            .toString();
+    }
+
+    /**
+     * Decode an access grant bitmask, ignoring bits with no field
+     * @param {string|BN} mask
+     * @returns {Array<string>} Field names
+     */
+    static fromFieldMask(mask) {
+        const bits = Number(mask.toString());
+        return ACCESS_FIELDS.filter((field, bit) => bits & (1 << bit));
+    }
+
+    /**
+     * @param {string} address - Identity address
+     * @returns {Promise<Array<object>>} Grants: { verifier, fields, expiresAt (ISO), isValid }
+     */
+    async getAccessGrants(address) {
+        const now = Math.floor(Date.now() / 1000);
+        const grants = await this.instance.getAccessGrants(address);
+        return grants.map((entry) => {
+            const expiresAt = Number(entry.expiresAt.toString());
+            return {
+                verifier: entry.verifier,
+                fields: IdentityManagerClient.fromFieldMask(entry.fields),
+                expiresAt: new Date(expiresAt * 1000).toISOString(),
+                isValid: expiresAt > now
+            };
+        });
+    }
+
+    /**
+     * Fields a verifier may currently read
+     * @param {string} address - Identity address
+     * @param {string} verifier - Verifier address
+     * @returns {Promise<Array<string>>} Field names; empty without an unexpired grant
+     */
+    async getGrantedFields(address, verifier) {
+        return IdentityManagerClient.fromFieldMask(await this.instance.grantedFields(address, verifier));
+    }
+
+    /**
+     * Grant a verifier access to some of a user's fields on their behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {object} grant - { verifier, fields (ACCESS_FIELDS entries), expiresAt (Unix seconds) }
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async grantAccessFor(address, { verifier, fields, expiresAt }) {
+        return this.instance.grantAccessFor(
+            address,
+            verifier,
+            IdentityManagerClient.toFieldMask(fields),
+            expiresAt,
+            { from: this.serverAccount }
+        );
+    }
+
+    /**
+     * Withdraw a verifier's access on the user's behalf (owner only)
+     * @param {string} address - Identity address
+     * @param {string} verifier - Verifier address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async revokeAccessFor(address, verifier) {
+        return this.instance.revokeAccessFor(address, verifier, { from: this.serverAccount });
+    }
+
+    /**
+     * Encode a role name (e.g. "verifier") as the contract's role identifier
+     * @param {string} role
+     * @returns {string} bytes32 hex, keccak256("VERIFIER_ROLE")
+     */
+    toRole(role) {
+        return this.web3.utils.keccak256(`${role.toUpperCase()}_ROLE`);
+    }
+
+    /**
+     * @param {string} role - Role name, e.g. "admin"
+     * @param {string} address - Account address
+     * @returns {Promise<boolean>} Whether the account holds the role on chain
+     */
+    async hasRole(role, address) {
+        return this.instance.hasRole(this.toRole(role), address);
+    }
+
+    /**
+     * Mirror a role assignment on chain (the server account must be an admin)
+     * @param {string} role - Role name, e.g. "verifier"
+     * @param {string} address - Account address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async grantRole(role, address) {
+        return this.instance.grantRole(this.toRole(role), address, { from: this.serverAccount });
+    }
+
+    /**
+     * Mirror a role removal on chain (the server account must be an admin)
+     * @param {string} role - Role name, e.g. "verifier"
+     * @param {string} address - Account address
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async revokeRole(role, address) {
+        return this.instance.revokeRole(this.toRole(role), address, { from: this.serverAccount });
+    }
+
+    /**
+     * Merkle root of an identity's salted attributes
+     * @param {string} address - Identity address
+     * @returns {Promise<string|null>} bytes32 hex, or null if none is committed
+     */
+    async getAttributeRoot(address) {
+        const root = await this.instance.attributeRoots(address);
+        return /^0x0+$/.test(root) ? null : root;
+    }
+
+    /**
+     * Commit an identity's attribute root (owner only)
+     * @param {string} address - Identity address
+     * @param {string} root - bytes32 hex
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async setAttributeRootFor(address, root) {
+        return this.instance.setAttributeRootFor(address, root, { from: this.serverAccount });
+    }
+
+    /**
+     * Check a disclosed attribute against the identity's committed root
+     * @param {string} address - Identity address
+     * @param {object} disclosure - { attribute, value, salt, proof }
+     * @returns {Promise<boolean>}
+     */
+    async verifyAttribute(address, { attribute, value, salt, proof }) {
+        return this.instance.verifyAttribute(address, attribute, value, salt, proof);
+    }
+}
+
+IdentityManagerClient.REQUIRED_METHODS = REQUIRED_METHODS;
+IdentityManagerClient.ACCESS_FIELDS = ACCESS_FIELDS;
+
+module.exports = IdentityManagerClient;
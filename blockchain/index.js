@@ -0,0 +1,86 @@
+const Web3 = require('web3');
+const IdentityManagerClient = require('./identity-manager-client');
+const RevocationRegistryClient = require('./revocation-registry-client');
+const GuardianRecoveryClient = require('./guardian-recovery-client');
+const EventIndexer = require('./event-indexer');
+const { getStore } = require('../storage');
+
+let web3 = null;
+let identityManager = null;
+let revocationRegistry = null;
+let guardianRecovery = null;
+let eventIndexer = null;
+
+/**
+ * Get the shared Web3 connection to the node
+ * GANACHE_URL: JSON-RPC endpoint (default http://127.0.0.1:9545)
+ * @returns {Web3}
+ */
+const getWeb3 = () => {
+    if (!web3) {
+        web3 = new Web3(process.env.GANACHE_URL || 'http://127.0.0.1:9545');
+    }
+    return web3;
+};
+
+/**
+ * Get the shared IdentityManager client, creating it on first use
+ * Call init() on it before use (routes/blockchain.js does this at startup); it
+ * checks the artifact's ABI and fails if it is out of date.
+ * @returns {IdentityManagerClient}
+ */
+const getIdentityManager = () => {
+    if (!identityManager) {
+        identityManager = new IdentityManagerClient(getWeb3());
+    }
+    return identityManager;
+};
+
+/**
+ * Get the shared RevocationRegistry client, creating it on first use
+ * Like getIdentityManager(), init() must be called on it before use.
+ * @returns {RevocationRegistryClient}
+ */
+const getRevocationRegistry = () => {
+    if (!revocationRegistry) {
+        revocationRegistry = new RevocationRegistryClient(getWeb3());
+    }
+    return revocationRegistry;
+};
+
+/**
+ * Get the shared GuardianRecovery client, creating it on first use
+ * Like getIdentityManager(), init() must be called on it before use.
+ * @returns {GuardianRecoveryClient}
+ */
+const getGuardianRecovery = () => {
+    if (!guardianRecovery) {
+        guardianRecovery = new GuardianRecoveryClient(getWeb3());
+    }
+    return guardianRecovery;
+};
+
+/**
+ * Get the shared IdentityManager event indexer, creating it on first use
+ * INDEXER_POLL_INTERVAL_MS: milliseconds between polls for new blocks (default 2000)
+ * Call start() once the IdentityManager client is initialized.
+ * @returns {EventIndexer}
+ */
+const getEventIndexer = () => {
+    if (!eventIndexer) {
+        eventIndexer = new EventIndexer({
+            identityManager: getIdentityManager(),
+            store: getStore(),
+            pollInterval: Number(process.env.INDEXER_POLL_INTERVAL_MS) || 2000
+        });
+    }
+    return eventIndexer;
+};
+
+module.exports = {
+    getWeb3,
+    getIdentityManager,
+    getRevocationRegistry,
+    getGuardianRecovery,
+    getEventIndexer
+};
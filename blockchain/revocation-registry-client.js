@@ -0,0 +1,172 @@
+const contract = require('@truffle/contract');
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACT_PATH = path.join(__dirname, '../build/contracts/RevocationRegistry.json');
+
+// Contract methods the API depends on; the artifact must expose all of them
+const REQUIRED_METHODS = [
+    'issuer',
+    'revoke',
+    'unrevoke',
+    'isRevoked',
+    'revokedAt',
+];
+
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Typed wrapper around the deployed RevocationRegistry contract
+ * Attestations are addressed by a bytes32 ID; other identifiers (such as a
+ * credential's urn:uuid) are hashed into one with toAttestationId().
+ */
+class RevocationRegistryClient {
+    /**
+     * @param {Web3} web3 - Connected Web3 instance
+     * @param {string} [artifactPath] - Path to the truffle artifact
+     */
+    constructor(web3, artifactPath = ARTIFACT_PATH) {
+        this.web3 = web3;
+        this.artifactPath = artifactPath;
+        this.artifact = null;
+        this.instance = null;
+        this.accounts = [];
+
+        if (fs.existsSync(this.artifactPath)) {
+            this.artifact = JSON.parse(fs.readFileSync(this.artifactPath, 'utf8'));
+        }
+    }
+
+    /**
+     * Fail loudly when the artifact does not match the contract the API expects
+     * @param {Array} abi - Contract ABI from the artifact
+     * @param {string} [artifactPath] - Artifact path, for the error message
+     */
+    static assertAbi(abi, artifactPath = ARTIFACT_PATH) {
+        const available = new Set(
+            (abi || []).filter(entry => entry.type === 'function').map(entry => entry.name)
+        );
+        const missing = REQUIRED_METHODS.filter(name => !available.has(name));
+
+        if (missing.length > 0) {
+            throw new Error(
+                `RevocationRegistry artifact at ${artifactPath} is missing ABI methods: ${missing.join(', ')}. ` +
+                'Run "truffle compile && truffle migrate --reset" to rebuild it.'
+            );
+        }
+    }
+
+    /**
+     * Connect to the network and load the deployed contract
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.artifact) {
+            throw new Error('RevocationRegistry artifact not found. Run "truffle compile" first.');
+        }
+        RevocationRegistryClient.assertAbi(this.artifact.abi, this.artifactPath);
+
+        this.accounts = await this.web3.eth.getAccounts();
+
+        const RevocationRegistry = contract(this.artifact);
+        RevocationRegistry.setProvider(this.web3.currentProvider);
+        this.instance = await RevocationRegistry.deployed();
+    }
+
+    /**
+     * Whether init() has completed successfully
+     * @returns {boolean}
+     */
+    isInitialized() {
+        return !!this.instance;
+    }
+
+    /**
+     * Deployed contract address
+     * @returns {string|null}
+     */
+    get address() {
+        return this.instance ? this.instance.address : null;
+    }
+
+    /**
+     * Account the server sends transactions from (the registry's issuer after migration)
+     * @returns {string}
+     */
+    get serverAccount() {
+        return this.accounts[0];
+    }
+
+    /**
+     * Normalize an attestation identifier to the bytes32 the registry stores
+     * bytes32 hex strings are used as-is; anything else is keccak256-hashed.
+     * @param {string} id - bytes32 hex or any other identifier (e.g. urn:uuid:...)
+     * @returns {string} bytes32 hex
+     */
+    toAttestationId(id) {
+        if (BYTES32_PATTERN.test(id)) {
+            return id.toLowerCase();
+        }
+        return this.web3.utils.keccak256(id);
+    }
+
+    /**
+     * ID of the attestation that an identity's Aadhaar number was verified at registration
+     * Stable across commitment key rotations and recoveries to a new address, so a
+     * revocation outlives them: it names the address the identity was first registered under.
+     * @param {string} identityManagerAddress - IdentityManager the identity lives on
+     * @param {object} identity - Identity from the IdentityManager client
+     * @returns {string} bytes32 hex
+     */
+    aadhaarAttestationId(identityManagerAddress, identity) {
+        return this.web3.utils.soliditySha3(
+            { type: 'string', value: 'aadhaar' },
+            { type: 'address', value: identityManagerAddress },
+            { type: 'address', value: identity.originalAddress || identity.ethereumAddress },
+            { type: 'uint256', value: identity.registrationTime }
+        );
+    }
+
+    /**
+     * @param {string} attestationId - bytes32 attestation ID
+     * @returns {Promise<object>} { attestationId, revoked, revokedAt (ISO or null) }
+     */
+    async getStatus(attestationId) {
+        const revokedAt = Number((await this.instance.revokedAt(attestationId)).toString());
+        return {
+            attestationId: attestationId,
+            revoked: revokedAt !== 0,
+            revokedAt: revokedAt ? new Date(revokedAt * 1000).toISOString() : null
+        };
+    }
+
+    /**
+     * @param {string} attestationId - bytes32 attestation ID
+     * @returns {Promise<boolean>} Whether the attestation is revoked
+     */
+    async isRevoked(attestationId) {
+        return this.instance.isRevoked(attestationId);
+    }
+
+    /**
+     * Revoke an attestation (issuer only)
+     * @param {string} attestationId - bytes32 attestation ID
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async revoke(attestationId) {
+        return this.instance.revoke(attestationId, { from: this.serverAccount });
+    }
+
+    /**
+     * Reinstate a revoked attestation (issuer only)
+     * @param {string} attestationId - bytes32 attestation ID
+     * @returns {Promise<object>} Truffle transaction result
+     */
+    async unrevoke(attestationId) {
+        return this.instance.unrevoke(attestationId, { from: this.serverAccount });
+    }
+}
+
+RevocationRegistryClient.REQUIRED_METHODS = REQUIRED_METHODS;
+
+module.exports = RevocationRegistryClient;
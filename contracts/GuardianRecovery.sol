@@ -0,0 +1,298 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IdentityManager.sol";
+
+/**
+ * @title GuardianRecovery
+ * @dev Guardian-based social recovery of identities whose wallet key was lost
+ * A user nominates guardians and a threshold. Any guardian can ask to move the
+ * identity to a new address; once enough guardians approved and the recovery
+ * delay has passed, anyone can finalize it, and IdentityManager moves the
+ * identity. Until then the holder (or the owner on their behalf) can cancel.
+ */
+contract GuardianRecovery {
+
+    // Pending recovery of an identity (newAddress is zero when there is none)
+    struct Recovery {
+        address newAddress;
+        uint256 initiatedAt;
+        uint256 approvals;
+    }
+    
+    // Identity contract this contract is the recovery manager of
+    IdentityManager public immutable identityManager;
+    
+    // Seconds between initiating and finalizing a recovery, so the holder can still cancel it
+    uint256 public immutable recoveryDelay;
+    
+    // Contract owner (deployer), allowed to act for users and guardians like in IdentityManager
+    address public owner;
+    
+    // Guardians per identity, bounded so approvals stay cheap to check
+    uint256 public constant MAX_GUARDIANS = 10;
+    
+    mapping(address => address[]) private guardians;
+    
+    // Number of guardian approvals a recovery needs
+    mapping(address => uint256) public thresholds;
+    
+    mapping(address => Recovery) public recoveries;
+    
+    // Approvals are kept per recovery round, so a cancelled recovery leaves none behind
+    mapping(address => uint256) private rounds;
+    
+    mapping(address => mapping(uint256 => mapping(address => bool))) private approved;
+    
+    // Events for logging guardian and recovery changes
+    event GuardiansChanged(address indexed userAddress, address[] guardians, uint256 threshold, uint256 timestamp);
+    
+    event RecoveryInitiated(
+        address indexed userAddress,
+        address indexed newAddress,
+        address indexed guardian,
+        uint256 timestamp
+    );
+    
+    event RecoveryApproved(
+        address indexed userAddress,
+        address indexed guardian,
+        uint256 approvals,
+        uint256 timestamp
+    );
+    
+    event RecoveryCancelled(address indexed userAddress, uint256 timestamp);
+    
+    event RecoveryFinalized(address indexed userAddress, address indexed newAddress, uint256 timestamp);
+    
+    // Modifiers for access control
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+    
+    modifier validAddress(address _addr) {
+        require(_addr != address(0), "Invalid address");
+        _;
+    }
+    
+    /**
+     * @param _identityManager IdentityManager deployment; it must make this contract its recovery manager
+     * @param _recoveryDelay Seconds a recovery must wait before it can be finalized
+     */
+    constructor(address _identityManager, uint256 _recoveryDelay) validAddress(_identityManager) {
+        owner = msg.sender;
+        identityManager = IdentityManager(_identityManager);
+        recoveryDelay = _recoveryDelay;
+    }
+    
+    /**
+     * @dev Replace the caller's guardians; an empty list (with threshold 0) turns recovery off
+     * @param _guardians Guardian addresses
+     * @param _threshold Approvals a recovery needs, from 1 to the number of guardians
+     */
+    function setGuardians(address[] memory _guardians, uint256 _threshold) public {
+        require(identityManager.isRegistered(msg.sender), "User not registered or inactive");
+        _setGuardians(msg.sender, _guardians, _threshold);
+    }
+    
+    /**
+     * @dev Replace a user's guardians on their behalf
+     * @param _userAddress Address of the identity
+     * @param _guardians Guardian addresses
+     * @param _threshold Approvals a recovery needs, from 1 to the number of guardians
+     */
+    function setGuardiansFor(
+        address _userAddress,
+        address[] memory _guardians,
+        uint256 _threshold
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identityManager.isRegistered(_userAddress), "Identity not found or inactive");
+        _setGuardians(_userAddress, _guardians, _threshold);
+    }
+    
+    /**
+     * @dev Ask to move an identity to a new address; counts as the calling guardian's approval
+     * @param _userAddress Address of the identity to recover
+     * @param _newAddress Address the identity should move to
+     */
+    function initiateRecovery(address _userAddress, address _newAddress) public {
+        _initiateRecovery(_userAddress, msg.sender, _newAddress);
+    }
+    
+    /**
+     * @dev Ask to move an identity to a new address on a guardian's behalf
+     * @param _userAddress Address of the identity to recover
+     * @param _guardian Guardian asking for the recovery
+     * @param _newAddress Address the identity should move to
+     */
+    function initiateRecoveryFor(
+        address _userAddress,
+        address _guardian,
+        address _newAddress
+    ) public onlyOwner {
+        _initiateRecovery(_userAddress, _guardian, _newAddress);
+    }
+    
+    /**
+     * @dev Approve the pending recovery of an identity
+     * @param _userAddress Address of the identity being recovered
+     */
+    function approveRecovery(address _userAddress) public {
+        _approveRecovery(_userAddress, msg.sender);
+    }
+    
+    /**
+     * @dev Approve the pending recovery of an identity on a guardian's behalf
+     * @param _userAddress Address of the identity being recovered
+     * @param _guardian Guardian approving the recovery
+     */
+    function approveRecoveryFor(address _userAddress, address _guardian) public onlyOwner {
+        _approveRecovery(_userAddress, _guardian);
+    }
+    
+    /**
+     * @dev Cancel a pending recovery of the caller's identity
+     */
+    function cancelRecovery() public {
+        _cancelRecovery(msg.sender);
+    }
+    
+    /**
+     * @dev Cancel a pending recovery of a user's identity on their behalf
+     * @param _userAddress Address of the identity being recovered
+     */
+    function cancelRecoveryFor(address _userAddress) public onlyOwner {
+        _cancelRecovery(_userAddress);
+    }
+    
+    /**
+     * @dev Move an identity once its recovery has enough approvals and the delay has passed
+     * Anyone can finalize; the guardians and threshold move with the identity
+     * @param _userAddress Address of the identity being recovered
+     */
+    function finalizeRecovery(address _userAddress) public {
+        Recovery memory recovery = recoveries[_userAddress];
+        require(recovery.newAddress != address(0), "No recovery in progress");
+        require(recovery.approvals >= thresholds[_userAddress], "Not enough guardian approvals");
+        require(block.timestamp >= recovery.initiatedAt + recoveryDelay, "Recovery delay has not passed");
+        
+        delete recoveries[_userAddress];
+        
+        guardians[recovery.newAddress] = guardians[_userAddress];
+        thresholds[recovery.newAddress] = thresholds[_userAddress];
+        delete guardians[_userAddress];
+        delete thresholds[_userAddress];
+        
+        identityManager.recoverIdentity(_userAddress, recovery.newAddress);
+        
+        emit RecoveryFinalized(_userAddress, recovery.newAddress, block.timestamp);
+    }
+    
+    /**
+     * @dev Get an identity's guardians and threshold
+     * @param _userAddress Address of the identity
+     * @return Guardian addresses
+     * @return Approvals a recovery needs
+     */
+    function getGuardians(address _userAddress) public view returns (address[] memory, uint256) {
+        return (guardians[_userAddress], thresholds[_userAddress]);
+    }
+    
+    /**
+     * @dev Check whether an address is one of an identity's guardians
+     * @param _userAddress Address of the identity
+     * @param _guardian Address to check
+     * @return True if _guardian is a guardian of the identity
+     */
+    function isGuardian(address _userAddress, address _guardian) public view returns (bool) {
+        address[] storage list = guardians[_userAddress];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == _guardian) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Check whether a guardian approved the pending recovery of an identity
+     * @param _userAddress Address of the identity being recovered
+     * @param _guardian Guardian address
+     * @return True if there is a pending recovery and the guardian approved it
+     */
+    function hasApproved(address _userAddress, address _guardian) public view returns (bool) {
+        return recoveries[_userAddress].newAddress != address(0) &&
+            approved[_userAddress][rounds[_userAddress]][_guardian];
+    }
+    
+    /**
+     * @dev Validate and store a guardian list; not allowed while a recovery is pending
+     */
+    function _setGuardians(address _userAddress, address[] memory _guardians, uint256 _threshold) private {
+        require(recoveries[_userAddress].newAddress == address(0), "Recovery in progress");
+        require(_guardians.length <= MAX_GUARDIANS, "Too many guardians");
+        require(
+            _guardians.length == 0 ? _threshold == 0 : _threshold > 0 && _threshold <= _guardians.length,
+            "Invalid threshold"
+        );
+        
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            require(_guardians[i] != address(0) && _guardians[i] != _userAddress, "Invalid guardian");
+            for (uint256 j = 0; j < i; j++) {
+                require(_guardians[j] != _guardians[i], "Duplicate guardian");
+            }
+        }
+        
+        guardians[_userAddress] = _guardians;
+        thresholds[_userAddress] = _threshold;
+        
+        emit GuardiansChanged(_userAddress, _guardians, _threshold, block.timestamp);
+    }
+    
+    /**
+     * @dev Open a new recovery round for an identity
+     */
+    function _initiateRecovery(address _userAddress, address _guardian, address _newAddress) private {
+        require(isGuardian(_userAddress, _guardian), "Caller is not a guardian");
+        require(identityManager.isRegistered(_userAddress), "Identity not found or inactive");
+        require(recoveries[_userAddress].newAddress == address(0), "Recovery already in progress");
+        require(_newAddress != address(0) && _newAddress != _userAddress, "Invalid new address");
+        
+        rounds[_userAddress]++;
+        recoveries[_userAddress] = Recovery({
+            newAddress: _newAddress,
+            initiatedAt: block.timestamp,
+            approvals: 0
+        });
+        
+        emit RecoveryInitiated(_userAddress, _newAddress, _guardian, block.timestamp);
+        
+        _approveRecovery(_userAddress, _guardian);
+    }
+    
+    /**
+     * @dev Record a guardian's approval of the pending recovery
+     */
+    function _approveRecovery(address _userAddress, address _guardian) private {
+        require(recoveries[_userAddress].newAddress != address(0), "No recovery in progress");
+        require(isGuardian(_userAddress, _guardian), "Caller is not a guardian");
+        require(!approved[_userAddress][rounds[_userAddress]][_guardian], "Recovery already approved");
+        
+        approved[_userAddress][rounds[_userAddress]][_guardian] = true;
+        recoveries[_userAddress].approvals++;
+        
+        emit RecoveryApproved(_userAddress, _guardian, recoveries[_userAddress].approvals, block.timestamp);
+    }
+    
+    /**
+     * @dev Drop the pending recovery of an identity
+     */
+    function _cancelRecovery(address _userAddress) private {
+        require(recoveries[_userAddress].newAddress != address(0), "No recovery in progress");
+        
+        delete recoveries[_userAddress];
+        
+        emit RecoveryCancelled(_userAddress, block.timestamp);
+    }
+}
@@ -4,50 +4,192 @@ pragma solidity ^0.8.19;
 /**
  * @title IdentityManager
  * @dev Smart contract for managing decentralized identities
- * Stores user profile information on blockchain including hashed Aadhaar
+ * Names and emails never reach the ledger: an identity holds the hash of and a pointer to
+ * its encrypted off-chain profile, a keyed email index and a keyed Aadhaar commitment
  */
 contract IdentityManager {
     
     // Struct to store user identity information
     struct Identity {
-        string name;
-        string email;
-        string hashedAadhaar;  // SHA-256 hash of Aadhaar number for privacy
+        bytes32 profileHash;        // Hash of the encrypted off-chain profile (name, email)
+        string profilePointer;      // Where the encrypted profile is stored
+        bytes32 emailIndex;         // Keyed blind index of the email, so it can be unique without being published
+        bytes32 aadhaarCommitment;  // Keyed HMAC of the Aadhaar number, never the number or a plain hash
+        uint16 aadhaarKeyVersion;   // Version of the server key the commitment was made with
         address ethAddress;
         uint256 registrationTime;
         bool isActive;
     }
     
+    // Key allowed to act for an identity (ERC-1056 style), e.g. "veriKey" or "sigAuth"
+    struct Delegate {
+        address delegate;
+        bytes32 delegateType;
+        uint256 validTo;
+    }
+    
+    // Service endpoint published in an identity's DID document
+    struct Service {
+        string id;  // DID URL fragment, unique per identity
+        string serviceType;
+        string endpoint;
+    }
+    
+    // Consent for a verifier to read some of an identity's off-chain fields
+    struct AccessGrant {
+        address verifier;
+        uint256 fields;     // Bitmask of granted fields; the bits are assigned by the API
+        uint256 expiresAt;
+    }
+    
     // Mapping from Ethereum address to Identity
     mapping(address => Identity) private identities;
     
-    // Mapping to check if email is already registered
-    mapping(string => bool) private emailExists;
+    // Mapping to check if an email index is already registered
+    mapping(bytes32 => bool) private emailExists;
     
-    // Mapping to check if hashed Aadhaar is already registered
-    mapping(string => bool) private aadhaarExists;
+    // Mapping to check if an Aadhaar commitment is already registered
+    mapping(bytes32 => bool) private aadhaarExists;
     
     // Array to store all registered addresses for enumeration
     address[] private registeredUsers;
     
+    // When an identity was erased; the tombstone outlives the identity for auditing
+    mapping(address => uint256) public erasedAt;
+    
+    // Where a recovered identity was moved to; kept like erasedAt for auditing
+    mapping(address => address) public recoveredTo;
+    
+    // Address a recovered identity was first registered under; zero for identities that never moved
+    mapping(address => address) public originalAddress;
+    
+    // Contract owner (deployer), allowed to manage identities on users' behalf
+    address public owner;
+    
+    // Contract allowed to move identities to a new address (guardian-based social recovery)
+    address public recoveryManager;
+    
+    // API roles mirrored on chain (AccessControl style) so assignments can be audited
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    
+    // Whether the owner can still import identities from a previous deployment
+    bool public migrationOpen;
+    
+    // EIP-712 domain for signed (relayed) registrations
+    string private constant DOMAIN_NAME = "IdentityManager";
+    string private constant DOMAIN_VERSION = "1";
+    
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    
+    bytes32 public constant REGISTER_TYPEHASH = keccak256(
+        "RegisterIdentity(address userAddress,bytes32 profileHash,string profilePointer,bytes32 emailIndex,bytes32 aadhaarCommitment,uint16 aadhaarKeyVersion,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Chain ID is passed in because the CHAINID opcode is not available on byzantium
+    uint256 private immutable domainChainId;
+    
+    bytes32 public immutable DOMAIN_SEPARATOR;
+    
+    // Per-address nonce for signed registrations, preventing signature replay
+    mapping(address => uint256) public nonces;
+    
+    // Delegate keys and service endpoints per identity, bounded so they stay cheap to read
+    uint256 public constant MAX_DELEGATES = 10;
+    uint256 public constant MAX_SERVICES = 10;
+    
+    mapping(address => Delegate[]) private delegates;
+    
+    mapping(address => Service[]) private services;
+    
+    // Merkle root of each identity's salted attributes, for selective disclosure
+    mapping(address => bytes32) public attributeRoots;
+    
+    // Verifiers each identity has granted access to, bounded like delegates
+    uint256 public constant MAX_ACCESS_GRANTS = 20;
+    
+    mapping(address => AccessGrant[]) private accessGrants;
+    
     // Events for logging important actions
     event IdentityRegistered(
         address indexed userAddress,
-        string name,
-        string email,
+        bytes32 profileHash,
         uint256 timestamp
     );
     
     event IdentityUpdated(
         address indexed userAddress,
-        string name,
-        string email,
+        bytes32 profileHash,
+        uint256 timestamp
+    );
+    
+    event IdentityErased(
+        address indexed userAddress,
+        bytes32 profileHash,
         uint256 timestamp
     );
     
+    event IdentityRecovered(address indexed oldAddress, address indexed newAddress, uint256 timestamp);
+    
+    event RecoveryManagerChanged(address indexed recoveryManager, uint256 timestamp);
+    
     event IdentityDeactivated(address indexed userAddress, uint256 timestamp);
     
+    event IdentityReactivated(address indexed userAddress, uint256 timestamp);
+    
+    event AadhaarCommitmentUpdated(address indexed userAddress, uint16 keyVersion, uint256 timestamp);
+    
+    event MigrationClosed(uint256 timestamp);
+    
+    event DelegateChanged(
+        address indexed userAddress,
+        bytes32 delegateType,
+        address delegate,
+        uint256 validTo,
+        uint256 timestamp
+    );
+    
+    event ServiceChanged(
+        address indexed userAddress,
+        string id,
+        string serviceType,
+        string endpoint,
+        uint256 timestamp
+    );
+    
+    event ServiceRemoved(address indexed userAddress, string id, uint256 timestamp);
+    
+    event AttributeRootUpdated(address indexed userAddress, bytes32 root, uint256 timestamp);
+    
+    event AccessGranted(
+        address indexed userAddress,
+        address indexed verifier,
+        uint256 fields,
+        uint256 expiresAt,
+        uint256 timestamp
+    );
+    
+    event AccessRevoked(address indexed userAddress, address indexed verifier, uint256 timestamp);
+    
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    
     // Modifiers for access control
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+    
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Caller is missing the required role");
+        _;
+    }
+    
     modifier onlyRegisteredUser() {
         require(identities[msg.sender].isActive, "User not registered or inactive");
         _;
@@ -58,49 +200,483 @@ contract IdentityManager {
         _;
     }
     
+    /**
+     * @param _chainId Chain ID of the network the contract is deployed to
+     */
+    constructor(uint256 _chainId) {
+        owner = msg.sender;
+        roles[ADMIN_ROLE][msg.sender] = true;
+        migrationOpen = true;
+        domainChainId = _chainId;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes(DOMAIN_NAME)),
+                keccak256(bytes(DOMAIN_VERSION)),
+                _chainId,
+                address(this)
+            )
+        );
+    }
+    
     /**
      * @dev Register a new identity on the blockchain
-     * @param _name User's full name
-     * @param _email User's email address
-     * @param _hashedAadhaar SHA-256 hash of user's Aadhaar number
+     * @param _profileHash Hash of the encrypted off-chain profile
+     * @param _profilePointer Where the encrypted profile is stored
+     * @param _emailIndex Keyed blind index of the user's email address
+     * @param _aadhaarCommitment Keyed commitment to user's Aadhaar number
+     * @param _aadhaarKeyVersion Version of the key the commitment was made with
      */
     function registerIdentity(
-        string memory _name,
-        string memory _email,
-        string memory _hashedAadhaar
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion
     ) public {
-        require(bytes(_name).length > 0, "Name cannot be empty");
-        require(bytes(_email).length > 0, "Email cannot be empty");
-        require(bytes(_hashedAadhaar).length > 0, "Hashed Aadhaar cannot be empty");
-        require(!identities[msg.sender].isActive, "Identity already registered");
-        require(!emailExists[_email], "Email already registered");
-        require(!aadhaarExists[_hashedAadhaar], "Aadhaar already registered");
+        _registerIdentity(
+            msg.sender,
+            _profileHash,
+            _profilePointer,
+            _emailIndex,
+            _aadhaarCommitment,
+            _aadhaarKeyVersion,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Register an identity from an EIP-712 signature, so a relayer can pay the gas
+     * @param _userAddress Address that signed the registration and will own the identity
+     * @param _profileHash Hash of the encrypted off-chain profile
+     * @param _profilePointer Where the encrypted profile is stored
+     * @param _emailIndex Keyed blind index of the user's email address
+     * @param _aadhaarCommitment Keyed commitment to user's Aadhaar number
+     * @param _aadhaarKeyVersion Version of the key the commitment was made with
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature 65-byte signature over the RegisterIdentity typed data
+     */
+    function registerIdentityWithSignature(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion,
+        uint256 _deadline,
+        bytes memory _signature
+    ) public validAddress(_userAddress) {
+        require(block.timestamp <= _deadline, "Signature expired");
         
-        // Create new identity
-        identities[msg.sender] = Identity({
-            name: _name,
-            email: _email,
-            hashedAadhaar: _hashedAadhaar,
-            ethAddress: msg.sender,
-            registrationTime: block.timestamp,
-            isActive: true
-        });
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            _hashRegistration(
+                _userAddress,
+                _profileHash,
+                _profilePointer,
+                _emailIndex,
+                _aadhaarCommitment,
+                _aadhaarKeyVersion,
+                _deadline
+            )
+        ));
         
-        // Mark email and Aadhaar as used
-        emailExists[_email] = true;
-        aadhaarExists[_hashedAadhaar] = true;
+        require(_recoverSigner(digest, _signature) == _userAddress, "Invalid signature");
+        
+        nonces[_userAddress]++;
+        _registerIdentity(
+            _userAddress,
+            _profileHash,
+            _profilePointer,
+            _emailIndex,
+            _aadhaarCommitment,
+            _aadhaarKeyVersion,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev Import an identity from a previous deployment, keeping its registration time
+     * @param _userAddress Address that owns the identity
+     * @param _profileHash Hash of the encrypted off-chain profile
+     * @param _profilePointer Where the encrypted profile is stored
+     * @param _emailIndex Keyed blind index of the user's email address
+     * @param _aadhaarCommitment Keyed commitment to user's Aadhaar number (or to its legacy hash)
+     * @param _aadhaarKeyVersion Version of the key the commitment was made with
+     * @param _registrationTime Original registration timestamp
+     */
+    function importIdentity(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion,
+        uint256 _registrationTime
+    ) public onlyOwner validAddress(_userAddress) {
+        require(migrationOpen, "Migration is closed");
+        _registerIdentity(
+            _userAddress,
+            _profileHash,
+            _profilePointer,
+            _emailIndex,
+            _aadhaarCommitment,
+            _aadhaarKeyVersion,
+            _registrationTime
+        );
+    }
+    
+    /**
+     * @dev Permanently stop identity imports once migration is complete
+     */
+    function closeMigration() public onlyOwner {
+        require(migrationOpen, "Migration is closed");
+        migrationOpen = false;
+        
+        emit MigrationClosed(block.timestamp);
+    }
+    
+    /**
+     * @dev Replace a user's Aadhaar commitment, e.g. after a key rotation or to upgrade a migrated one
+     * @param _userAddress Address of the identity to update
+     * @param _aadhaarCommitment New commitment to the same Aadhaar number
+     * @param _aadhaarKeyVersion Version of the key the new commitment was made with
+     */
+    function updateAadhaarCommitmentFor(
+        address _userAddress,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        require(_aadhaarCommitment != bytes32(0), "Aadhaar commitment cannot be empty");
+        
+        Identity storage identity = identities[_userAddress];
+        if (identity.aadhaarCommitment != _aadhaarCommitment) {
+            require(!aadhaarExists[_aadhaarCommitment], "Aadhaar already registered");
+            aadhaarExists[identity.aadhaarCommitment] = false;
+            aadhaarExists[_aadhaarCommitment] = true;
+        }
+        
+        identity.aadhaarCommitment = _aadhaarCommitment;
+        identity.aadhaarKeyVersion = _aadhaarKeyVersion;
+        
+        emit AadhaarCommitmentUpdated(_userAddress, _aadhaarKeyVersion, block.timestamp);
+    }
+    
+    /**
+     * @dev Point the caller's identity at a new version of its off-chain profile
+     * @param _profileHash Hash of the new encrypted profile
+     * @param _profilePointer Where the new encrypted profile is stored
+     * @param _emailIndex Keyed blind index of the (possibly new) email (must be unique)
+     */
+    function updateIdentity(
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex
+    ) public onlyRegisteredUser {
+        _updateIdentity(msg.sender, _profileHash, _profilePointer, _emailIndex);
+    }
+    
+    /**
+     * @dev Point a user's identity at a new version of its off-chain profile on their behalf
+     * @param _userAddress Address of the identity to update
+     * @param _profileHash Hash of the new encrypted profile
+     * @param _profilePointer Where the new encrypted profile is stored
+     * @param _emailIndex Keyed blind index of the (possibly new) email (must be unique)
+     */
+    function updateIdentityFor(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _updateIdentity(_userAddress, _profileHash, _profilePointer, _emailIndex);
+    }
+    
+    /**
+     * @dev Deactivate the caller's identity (soft delete)
+     */
+    function deactivateIdentity() public onlyRegisteredUser {
+        _deactivateIdentity(msg.sender);
+    }
+    
+    /**
+     * @dev Deactivate a user's identity on their behalf
+     * @param _userAddress Address of the identity to deactivate
+     */
+    function deactivateIdentityFor(address _userAddress) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _deactivateIdentity(_userAddress);
+    }
+    
+    /**
+     * @dev Reactivate the caller's previously deactivated identity
+     */
+    function reactivateIdentity() public {
+        _reactivateIdentity(msg.sender);
+    }
+    
+    /**
+     * @dev Reactivate a user's previously deactivated identity on their behalf
+     * @param _userAddress Address of the identity to reactivate
+     */
+    function reactivateIdentityFor(address _userAddress) public onlyOwner validAddress(_userAddress) {
+        _reactivateIdentity(_userAddress);
+    }
+    
+    /**
+     * @dev Erase the caller's identity (right to erasure), active or deactivated
+     * Only a tombstone remains: erasedAt and the IdentityErased event
+     */
+    function eraseIdentity() public {
+        _eraseIdentity(msg.sender);
+    }
+    
+    /**
+     * @dev Erase a user's identity on their behalf, after their off-chain profile is destroyed
+     * @param _userAddress Address of the identity to erase
+     */
+    function eraseIdentityFor(address _userAddress) public onlyOwner validAddress(_userAddress) {
+        _eraseIdentity(_userAddress);
+    }
+    
+    /**
+     * @dev Set the contract allowed to recover identities to a new address
+     * @param _recoveryManager Recovery contract, or the zero address to disable recovery
+     */
+    function setRecoveryManager(address _recoveryManager) public onlyOwner {
+        recoveryManager = _recoveryManager;
+        
+        emit RecoveryManagerChanged(_recoveryManager, block.timestamp);
+    }
+    
+    /**
+     * @dev Move an active identity to a new address once the recovery manager has approved it
+     * Delegates, services, access grants and the attribute root belong to the lost key and are dropped
+     * @param _oldAddress Address of the identity being recovered
+     * @param _newAddress Address the identity moves to
+     */
+    function recoverIdentity(address _oldAddress, address _newAddress) public validAddress(_newAddress) {
+        require(msg.sender == recoveryManager, "Caller is not the recovery manager");
+        require(identities[_oldAddress].isActive, "Identity not found or inactive");
+        require(identities[_newAddress].ethAddress == address(0), "Address already has an identity");
+        
+        bool wasListed = erasedAt[_newAddress] != 0 || recoveredTo[_newAddress] != address(0);
+        
+        Identity memory identity = identities[_oldAddress];
+        identity.ethAddress = _newAddress;
+        identities[_newAddress] = identity;
+        
+        delete identities[_oldAddress];
+        delete delegates[_oldAddress];
+        delete services[_oldAddress];
+        delete accessGrants[_oldAddress];
+        delete attributeRoots[_oldAddress];
+        recoveredTo[_oldAddress] = _newAddress;
         
-        // Add to registered users array
-        registeredUsers.push(msg.sender);
+        address original = originalAddress[_oldAddress];
+        originalAddress[_newAddress] = original == address(0) ? _oldAddress : original;
+        delete originalAddress[_oldAddress];
         
-        emit IdentityRegistered(msg.sender, _name, _email, block.timestamp);
+        if (!wasListed) {
+            registeredUsers.push(_newAddress);
+        }
+        
+        emit IdentityRecovered(_oldAddress, _newAddress, block.timestamp);
+    }
+    
+    /**
+     * @dev Add a delegate key to the caller's identity, or extend an existing one
+     * @param _delegateType Purpose of the key, e.g. "veriKey" or "sigAuth"
+     * @param _delegate Delegate address
+     * @param _validity Seconds from now the delegate is valid for
+     */
+    function addDelegate(bytes32 _delegateType, address _delegate, uint256 _validity) public onlyRegisteredUser {
+        _addDelegate(msg.sender, _delegateType, _delegate, _validity);
+    }
+    
+    /**
+     * @dev Add a delegate key to a user's identity on their behalf
+     * @param _userAddress Address of the identity
+     * @param _delegateType Purpose of the key, e.g. "veriKey" or "sigAuth"
+     * @param _delegate Delegate address
+     * @param _validity Seconds from now the delegate is valid for
+     */
+    function addDelegateFor(
+        address _userAddress,
+        bytes32 _delegateType,
+        address _delegate,
+        uint256 _validity
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _addDelegate(_userAddress, _delegateType, _delegate, _validity);
+    }
+    
+    /**
+     * @dev Remove a delegate key from the caller's identity
+     * @param _delegateType Purpose the key was added for
+     * @param _delegate Delegate address
+     */
+    function revokeDelegate(bytes32 _delegateType, address _delegate) public onlyRegisteredUser {
+        _revokeDelegate(msg.sender, _delegateType, _delegate);
+    }
+    
+    /**
+     * @dev Remove a delegate key from a user's identity on their behalf
+     * @param _userAddress Address of the identity
+     * @param _delegateType Purpose the key was added for
+     * @param _delegate Delegate address
+     */
+    function revokeDelegateFor(
+        address _userAddress,
+        bytes32 _delegateType,
+        address _delegate
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _revokeDelegate(_userAddress, _delegateType, _delegate);
+    }
+    
+    /**
+     * @dev Add or replace a service endpoint on the caller's identity
+     * @param _id DID URL fragment identifying the service
+     * @param _serviceType Service type, e.g. "LinkedDomains"
+     * @param _endpoint Service endpoint URL
+     */
+    function setService(
+        string memory _id,
+        string memory _serviceType,
+        string memory _endpoint
+    ) public onlyRegisteredUser {
+        _setService(msg.sender, _id, _serviceType, _endpoint);
+    }
+    
+    /**
+     * @dev Add or replace a service endpoint on a user's identity on their behalf
+     * @param _userAddress Address of the identity
+     * @param _id DID URL fragment identifying the service
+     * @param _serviceType Service type, e.g. "LinkedDomains"
+     * @param _endpoint Service endpoint URL
+     */
+    function setServiceFor(
+        address _userAddress,
+        string memory _id,
+        string memory _serviceType,
+        string memory _endpoint
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _setService(_userAddress, _id, _serviceType, _endpoint);
+    }
+    
+    /**
+     * @dev Remove a service endpoint from the caller's identity
+     * @param _id DID URL fragment identifying the service
+     */
+    function removeService(string memory _id) public onlyRegisteredUser {
+        _removeService(msg.sender, _id);
+    }
+    
+    /**
+     * @dev Remove a service endpoint from a user's identity on their behalf
+     * @param _userAddress Address of the identity
+     * @param _id DID URL fragment identifying the service
+     */
+    function removeServiceFor(address _userAddress, string memory _id) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _removeService(_userAddress, _id);
+    }
+    
+    /**
+     * @dev Grant a verifier access to some of the caller's fields, replacing any existing grant
+     * @param _verifier Address the verifier authenticates with
+     * @param _fields Bitmask of the granted fields
+     * @param _expiresAt Timestamp the grant expires at
+     */
+    function grantAccess(address _verifier, uint256 _fields, uint256 _expiresAt) public onlyRegisteredUser {
+        _grantAccess(msg.sender, _verifier, _fields, _expiresAt);
+    }
+    
+    /**
+     * @dev Grant a verifier access to some of a user's fields on their behalf
+     * @param _userAddress Address of the identity
+     * @param _verifier Address the verifier authenticates with
+     * @param _fields Bitmask of the granted fields
+     * @param _expiresAt Timestamp the grant expires at
+     */
+    function grantAccessFor(
+        address _userAddress,
+        address _verifier,
+        uint256 _fields,
+        uint256 _expiresAt
+    ) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _grantAccess(_userAddress, _verifier, _fields, _expiresAt);
+    }
+    
+    /**
+     * @dev Withdraw a verifier's access to the caller's fields
+     * @param _verifier Address the access was granted to
+     */
+    function revokeAccess(address _verifier) public onlyRegisteredUser {
+        _revokeAccess(msg.sender, _verifier);
+    }
+    
+    /**
+     * @dev Withdraw a verifier's access to a user's fields on their behalf
+     * @param _userAddress Address of the identity
+     * @param _verifier Address the access was granted to
+     */
+    function revokeAccessFor(address _userAddress, address _verifier) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        _revokeAccess(_userAddress, _verifier);
+    }
+    
+    /**
+     * @dev Give an account a role; admins manage all roles, and the owner starts as an admin
+     * @param _role Role identifier, e.g. VERIFIER_ROLE
+     * @param _account Account to give the role to
+     */
+    function grantRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) validAddress(_account) {
+        if (!roles[_role][_account]) {
+            roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Take a role away from an account
+     * @param _role Role identifier, e.g. VERIFIER_ROLE
+     * @param _account Account to take the role from
+     */
+    function revokeRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        if (roles[_role][_account]) {
+            roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Set the Merkle root of a user's salted attributes (the owner keeps the salts)
+     * @param _userAddress Address of the identity
+     * @param _root Root over keccak256(keccak256(abi.encode(attribute, value, salt))) leaves
+     */
+    function setAttributeRootFor(address _userAddress, bytes32 _root) public onlyOwner validAddress(_userAddress) {
+        require(identities[_userAddress].isActive, "Identity not found or inactive");
+        
+        attributeRoots[_userAddress] = _root;
+        
+        emit AttributeRootUpdated(_userAddress, _root, block.timestamp);
+    }
     
     /**
      * @dev Get user information by address
      * @param _userAddress The address of the user to retrieve
-     * @return name User's name
-     * @return email User's email
-     * @return hashedAadhaar User's hashed Aadhaar number
+     * @return profileHash Hash of the encrypted off-chain profile
+     * @return profilePointer Where the encrypted profile is stored
+     * @return emailIndex Keyed blind index of the user's email
+     * @return aadhaarCommitment Keyed commitment to user's Aadhaar number
+     * @return aadhaarKeyVersion Version of the key the commitment was made with
      * @return ethAddress User's Ethereum address
      * @return registrationTime Registration timestamp
      * @return isActive Whether the identity is active
@@ -110,9 +686,11 @@ contract IdentityManager {
         view 
         validAddress(_userAddress)
         returns (
-            string memory name,
-            string memory email,
-            string memory hashedAadhaar,
+            bytes32 profileHash,
+            string memory profilePointer,
+            bytes32 emailIndex,
+            bytes32 aadhaarCommitment,
+            uint16 aadhaarKeyVersion,
             address ethAddress,
             uint256 registrationTime,
             bool isActive
@@ -122,9 +700,11 @@ contract IdentityManager {
         
         Identity memory identity = identities[_userAddress];
         return (
-            identity.name,
-            identity.email,
-            identity.hashedAadhaar,
+            identity.profileHash,
+            identity.profilePointer,
+            identity.emailIndex,
+            identity.aadhaarCommitment,
+            identity.aadhaarKeyVersion,
             identity.ethAddress,
             identity.registrationTime,
             identity.isActive
@@ -149,19 +729,47 @@ contract IdentityManager {
     
     /**
      * @dev Check if an email is already registered
-     * @param _email Email to check
+     * @param _emailIndex Keyed blind index of the email to check
      * @return bool indicating if email is taken
      */
-    function isEmailRegistered(string memory _email) 
+    function isEmailRegistered(bytes32 _emailIndex) 
         public 
         view 
         returns (bool) 
     {
-        return emailExists[_email];
+        return emailExists[_emailIndex];
+    }
+    
+    /**
+     * @dev Check if an Aadhaar commitment is already registered
+     * @param _aadhaarCommitment Commitment to check
+     * @return bool indicating if the commitment is taken
+     */
+    function isAadhaarRegistered(bytes32 _aadhaarCommitment)
+        public
+        view
+        returns (bool)
+    {
+        return aadhaarExists[_aadhaarCommitment];
     }
     
     
     
+    /**
+     * @dev Check if an address has a deactivated identity that can be reactivated
+     * @param _userAddress Address to check
+     * @return bool indicating if a deactivated identity exists
+     */
+    function isDeactivated(address _userAddress) 
+        public 
+        view 
+        validAddress(_userAddress)
+        returns (bool) 
+    {
+        Identity storage identity = identities[_userAddress];
+        return identity.ethAddress != address(0) && !identity.isActive;
+    }
+    
     /**
      * @dev Get total number of registered users
      * @return Total count of registered users
@@ -194,4 +802,492 @@ contract IdentityManager {
         
         return activeUsers;
     }
+    
+    /**
+     * @dev Get an identity's delegate keys, including expired ones
+     * @param _userAddress Address of the identity
+     * @return Array of delegates
+     */
+    function getDelegates(address _userAddress) public view returns (Delegate[] memory) {
+        return delegates[_userAddress];
+    }
+    
+    /**
+     * @dev Check whether a delegate is currently valid for an identity
+     * @param _userAddress Address of the identity
+     * @param _delegateType Purpose of the key
+     * @param _delegate Delegate address
+     * @return bool indicating if the delegate exists and has not expired
+     */
+    function validDelegate(
+        address _userAddress,
+        bytes32 _delegateType,
+        address _delegate
+    ) public view returns (bool) {
+        (bool found, uint256 index) = _findDelegate(_userAddress, _delegateType, _delegate);
+        return found && delegates[_userAddress][index].validTo > block.timestamp;
+    }
+    
+    /**
+     * @dev Get an identity's service endpoints
+     * @param _userAddress Address of the identity
+     * @return Array of services
+     */
+    function getServices(address _userAddress) public view returns (Service[] memory) {
+        return services[_userAddress];
+    }
+    
+    /**
+     * @dev Check whether an account holds a role
+     * @param _role Role identifier
+     * @param _account Account to check
+     * @return bool indicating if the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+    
+    /**
+     * @dev Get an identity's access grants, including expired ones
+     * @param _userAddress Address of the identity
+     * @return Array of access grants
+     */
+    function getAccessGrants(address _userAddress) public view returns (AccessGrant[] memory) {
+        return accessGrants[_userAddress];
+    }
+    
+    /**
+     * @dev Fields a verifier may currently read; none once the grant expires or the identity is deactivated
+     * @param _userAddress Address of the identity
+     * @param _verifier Verifier address
+     * @return Bitmask of the granted fields
+     */
+    function grantedFields(address _userAddress, address _verifier) public view returns (uint256) {
+        (bool found, uint256 index) = _findAccessGrant(_userAddress, _verifier);
+        if (!found || !identities[_userAddress].isActive) {
+            return 0;
+        }
+        
+        AccessGrant storage grant = accessGrants[_userAddress][index];
+        return grant.expiresAt > block.timestamp ? grant.fields : 0;
+    }
+    
+    /**
+     * @dev Check a disclosed attribute against an active identity's attribute root
+     * @param _userAddress Address of the identity
+     * @param _attribute Attribute name, e.g. "email"
+     * @param _value Disclosed value
+     * @param _salt Salt the attribute was committed with
+     * @param _proof Sibling hashes from the leaf to the root (sorted-pair hashing)
+     * @return bool indicating if the attribute is part of the committed set
+     */
+    function verifyAttribute(
+        address _userAddress,
+        string memory _attribute,
+        string memory _value,
+        bytes32 _salt,
+        bytes32[] memory _proof
+    ) public view returns (bool) {
+        bytes32 root = attributeRoots[_userAddress];
+        if (root == bytes32(0) || !identities[_userAddress].isActive) {
+            return false;
+        }
+        
+        bytes32 node = keccak256(bytes.concat(keccak256(abi.encode(_attribute, _value, _salt))));
+        for (uint256 i = 0; i < _proof.length; i++) {
+            node = node < _proof[i]
+                ? keccak256(abi.encodePacked(node, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], node));
+        }
+        return node == root;
+    }
+    
+    /**
+     * @dev EIP-5267 description of the EIP-712 domain, for wallets and relayers
+     */
+    function eip712Domain()
+        public
+        view
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (
+            hex"0f", // name, version, chainId, verifyingContract
+            DOMAIN_NAME,
+            DOMAIN_VERSION,
+            domainChainId,
+            address(this),
+            bytes32(0),
+            new uint256[](0)
+        );
+    }
+    
+    /**
+     * @dev Create an identity owned by _userAddress
+     */
+    function _registerIdentity(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion,
+        uint256 _registrationTime
+    ) private {
+        require(_profileHash != bytes32(0), "Profile hash cannot be empty");
+        require(bytes(_profilePointer).length > 0, "Profile pointer cannot be empty");
+        require(_emailIndex != bytes32(0), "Email index cannot be empty");
+        require(_aadhaarCommitment != bytes32(0), "Aadhaar commitment cannot be empty");
+        require(!identities[_userAddress].isActive, "Identity already registered");
+        require(!emailExists[_emailIndex], "Email already registered");
+        require(!aadhaarExists[_aadhaarCommitment], "Aadhaar already registered");
+        
+        bool wasListed = identities[_userAddress].ethAddress != address(0) ||
+            erasedAt[_userAddress] != 0 ||
+            recoveredTo[_userAddress] != address(0);
+        
+        // A recovered identity that was erased here leaves its original address behind
+        delete originalAddress[_userAddress];
+        
+        // Create new identity
+        identities[_userAddress] = Identity({
+            profileHash: _profileHash,
+            profilePointer: _profilePointer,
+            emailIndex: _emailIndex,
+            aadhaarCommitment: _aadhaarCommitment,
+            aadhaarKeyVersion: _aadhaarKeyVersion,
+            ethAddress: _userAddress,
+            registrationTime: _registrationTime,
+            isActive: true
+        });
+        
+        // Mark email and Aadhaar as used
+        emailExists[_emailIndex] = true;
+        aadhaarExists[_aadhaarCommitment] = true;
+        
+        // Add to registered users array (a deactivated identity re-registering is already listed)
+        if (!wasListed) {
+            registeredUsers.push(_userAddress);
+        }
+        
+        emit IdentityRegistered(_userAddress, _profileHash, _registrationTime);
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a RegisterIdentity message at the user's current nonce
+     */
+    function _hashRegistration(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex,
+        bytes32 _aadhaarCommitment,
+        uint16 _aadhaarKeyVersion,
+        uint256 _deadline
+    ) private view returns (bytes32) {
+        // Encoded in two halves to stay within the stack limit; every field is
+        // a static 32-byte word, so the concatenation equals a single abi.encode
+        return keccak256(
+            bytes.concat(
+                abi.encode(
+                    REGISTER_TYPEHASH,
+                    _userAddress,
+                    _profileHash,
+                    keccak256(bytes(_profilePointer)),
+                    _emailIndex
+                ),
+                abi.encode(
+                    _aadhaarCommitment,
+                    _aadhaarKeyVersion,
+                    nonces[_userAddress],
+                    _deadline
+                )
+            )
+        );
+    }
+    
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     */
+    function _recoverSigner(bytes32 _digest, bytes memory _signature) private pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        
+        // Reject malleable signatures (upper-half s) and unknown recovery IDs
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+    
+    /**
+     * @dev Apply an identity update, keeping the email registry consistent
+     */
+    function _updateIdentity(
+        address _userAddress,
+        bytes32 _profileHash,
+        string memory _profilePointer,
+        bytes32 _emailIndex
+    ) private {
+        require(_profileHash != bytes32(0), "Profile hash cannot be empty");
+        require(bytes(_profilePointer).length > 0, "Profile pointer cannot be empty");
+        require(_emailIndex != bytes32(0), "Email index cannot be empty");
+        
+        Identity storage identity = identities[_userAddress];
+        
+        // If email is changing, check if new email is available
+        if (identity.emailIndex != _emailIndex) {
+            require(!emailExists[_emailIndex], "Email already registered");
+            emailExists[identity.emailIndex] = false; // Release old email
+            emailExists[_emailIndex] = true; // Reserve new email
+        }
+        
+        identity.profileHash = _profileHash;
+        identity.profilePointer = _profilePointer;
+        identity.emailIndex = _emailIndex;
+        
+        // The attribute root committed to the old values; it is re-set by the owner
+        delete attributeRoots[_userAddress];
+        
+        emit IdentityUpdated(_userAddress, _profileHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Deactivate an identity and release its email and Aadhaar for reuse
+     */
+    function _deactivateIdentity(address _userAddress) private {
+        Identity storage identity = identities[_userAddress];
+        identity.isActive = false;
+        
+        emailExists[identity.emailIndex] = false;
+        aadhaarExists[identity.aadhaarCommitment] = false;
+        
+        emit IdentityDeactivated(_userAddress, block.timestamp);
+    }
+    
+    /**
+     * @dev Reactivate an identity if its email and Aadhaar have not been claimed meanwhile
+     */
+    function _reactivateIdentity(address _userAddress) private {
+        require(isDeactivated(_userAddress), "No deactivated identity found");
+        
+        Identity storage identity = identities[_userAddress];
+        require(!emailExists[identity.emailIndex], "Email already registered");
+        require(!aadhaarExists[identity.aadhaarCommitment], "Aadhaar already registered");
+        
+        identity.isActive = true;
+        emailExists[identity.emailIndex] = true;
+        aadhaarExists[identity.aadhaarCommitment] = true;
+        
+        emit IdentityReactivated(_userAddress, block.timestamp);
+    }
+    
+    /**
+     * @dev Delete an identity and everything attached to it, recording when it was erased
+     */
+    function _eraseIdentity(address _userAddress) private {
+        Identity storage identity = identities[_userAddress];
+        require(identity.ethAddress != address(0), "Identity not found");
+        
+        // A deactivated identity has already released its email and Aadhaar
+        if (identity.isActive) {
+            emailExists[identity.emailIndex] = false;
+            aadhaarExists[identity.aadhaarCommitment] = false;
+        }
+        
+        bytes32 profileHash = identity.profileHash;
+        
+        delete identities[_userAddress];
+        delete delegates[_userAddress];
+        delete services[_userAddress];
+        delete accessGrants[_userAddress];
+        delete attributeRoots[_userAddress];
+        erasedAt[_userAddress] = block.timestamp;
+        
+        emit IdentityErased(_userAddress, profileHash, block.timestamp);
+    }
+    
+    /**
+     * @dev Index of a delegate in an identity's list
+     */
+    function _findDelegate(
+        address _userAddress,
+        bytes32 _delegateType,
+        address _delegate
+    ) private view returns (bool, uint256) {
+        Delegate[] storage list = delegates[_userAddress];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i].delegate == _delegate && list[i].delegateType == _delegateType) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+    
+    /**
+     * @dev Add a delegate, or move the expiry of an existing one
+     */
+    function _addDelegate(
+        address _userAddress,
+        bytes32 _delegateType,
+        address _delegate,
+        uint256 _validity
+    ) private {
+        require(_delegate != address(0) && _delegate != _userAddress, "Invalid delegate");
+        require(_delegateType != bytes32(0), "Delegate type cannot be empty");
+        require(_validity > 0, "Validity must be positive");
+        
+        uint256 validTo = block.timestamp + _validity;
+        (bool found, uint256 index) = _findDelegate(_userAddress, _delegateType, _delegate);
+        if (found) {
+            delegates[_userAddress][index].validTo = validTo;
+        } else {
+            require(delegates[_userAddress].length < MAX_DELEGATES, "Too many delegates");
+            delegates[_userAddress].push(Delegate({
+                delegate: _delegate,
+                delegateType: _delegateType,
+                validTo: validTo
+            }));
+        }
+        
+        emit DelegateChanged(_userAddress, _delegateType, _delegate, validTo, block.timestamp);
+    }
+    
+    /**
+     * @dev Remove a delegate; the event reports it as valid until now
+     */
+    function _revokeDelegate(address _userAddress, bytes32 _delegateType, address _delegate) private {
+        (bool found, uint256 index) = _findDelegate(_userAddress, _delegateType, _delegate);
+        require(found, "Delegate not found");
+        
+        Delegate[] storage list = delegates[_userAddress];
+        list[index] = list[list.length - 1];
+        list.pop();
+        
+        emit DelegateChanged(_userAddress, _delegateType, _delegate, block.timestamp, block.timestamp);
+    }
+    
+    /**
+     * @dev Index of a verifier's grant in an identity's list
+     */
+    function _findAccessGrant(address _userAddress, address _verifier) private view returns (bool, uint256) {
+        AccessGrant[] storage list = accessGrants[_userAddress];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i].verifier == _verifier) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+    
+    /**
+     * @dev Add a grant, or replace the fields and expiry of an existing one
+     */
+    function _grantAccess(address _userAddress, address _verifier, uint256 _fields, uint256 _expiresAt) private {
+        require(_verifier != address(0) && _verifier != _userAddress, "Invalid verifier");
+        require(_fields != 0, "Fields cannot be empty");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        (bool found, uint256 index) = _findAccessGrant(_userAddress, _verifier);
+        if (found) {
+            accessGrants[_userAddress][index].fields = _fields;
+            accessGrants[_userAddress][index].expiresAt = _expiresAt;
+        } else {
+            require(accessGrants[_userAddress].length < MAX_ACCESS_GRANTS, "Too many access grants");
+            accessGrants[_userAddress].push(AccessGrant({
+                verifier: _verifier,
+                fields: _fields,
+                expiresAt: _expiresAt
+            }));
+        }
+        
+        emit AccessGranted(_userAddress, _verifier, _fields, _expiresAt, block.timestamp);
+    }
+    
+    /**
+     * @dev Remove a verifier's grant
+     */
+    function _revokeAccess(address _userAddress, address _verifier) private {
+        (bool found, uint256 index) = _findAccessGrant(_userAddress, _verifier);
+        require(found, "Access grant not found");
+        
+        AccessGrant[] storage list = accessGrants[_userAddress];
+        list[index] = list[list.length - 1];
+        list.pop();
+        
+        emit AccessRevoked(_userAddress, _verifier, block.timestamp);
+    }
+    
+    /**
+     * @dev Index of a service in an identity's list
+     */
+    function _findService(address _userAddress, string memory _id) private view returns (bool, uint256) {
+        Service[] storage list = services[_userAddress];
+        bytes32 idHash = keccak256(bytes(_id));
+        for (uint256 i = 0; i < list.length; i++) {
+            if (keccak256(bytes(list[i].id)) == idHash) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+    
+    /**
+     * @dev Add a service, or replace the one with the same ID
+     */
+    function _setService(
+        address _userAddress,
+        string memory _id,
+        string memory _serviceType,
+        string memory _endpoint
+    ) private {
+        require(bytes(_id).length > 0, "Service ID cannot be empty");
+        require(bytes(_serviceType).length > 0, "Service type cannot be empty");
+        require(bytes(_endpoint).length > 0, "Service endpoint cannot be empty");
+        
+        Service memory service = Service({ id: _id, serviceType: _serviceType, endpoint: _endpoint });
+        (bool found, uint256 index) = _findService(_userAddress, _id);
+        if (found) {
+            services[_userAddress][index] = service;
+        } else {
+            require(services[_userAddress].length < MAX_SERVICES, "Too many services");
+            services[_userAddress].push(service);
+        }
+        
+        emit ServiceChanged(_userAddress, _id, _serviceType, _endpoint, block.timestamp);
+    }
+    
+    /**
+     * @dev Remove a service by ID
+     */
+    function _removeService(address _userAddress, string memory _id) private {
+        (bool found, uint256 index) = _findService(_userAddress, _id);
+        require(found, "Service not found");
+        
+        Service[] storage list = services[_userAddress];
+        list[index] = list[list.length - 1];
+        list.pop();
+        
+        emit ServiceRemoved(_userAddress, _id, block.timestamp);
+    }
 }
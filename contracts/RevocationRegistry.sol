@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RevocationRegistry
+ * @dev Revocation status of attestations the issuer makes about identities
+ * Attestations are identified by a bytes32 ID (e.g. the hash of a credential ID);
+ * an attestation is valid until the issuer revokes it, and can be reinstated.
+ */
+contract RevocationRegistry {
+    
+    // Account allowed to revoke and reinstate attestations (deployer)
+    address public issuer;
+    
+    // Attestation ID => time it was revoked (0 while not revoked)
+    mapping(bytes32 => uint256) public revokedAt;
+    
+    // Events for logging status changes
+    event AttestationRevoked(bytes32 indexed attestationId, uint256 timestamp);
+    
+    event AttestationUnrevoked(bytes32 indexed attestationId, uint256 timestamp);
+    
+    // Modifier for access control
+    modifier onlyIssuer() {
+        require(msg.sender == issuer, "Caller is not the issuer");
+        _;
+    }
+    
+    constructor() {
+        issuer = msg.sender;
+    }
+    
+    /**
+     * @dev Revoke an attestation
+     * @param _attestationId ID of the attestation
+     */
+    function revoke(bytes32 _attestationId) public onlyIssuer {
+        require(revokedAt[_attestationId] == 0, "Attestation already revoked");
+        
+        revokedAt[_attestationId] = block.timestamp;
+        
+        emit AttestationRevoked(_attestationId, block.timestamp);
+    }
+    
+    /**
+     * @dev Reinstate a revoked attestation
+     * @param _attestationId ID of the attestation
+     */
+    function unrevoke(bytes32 _attestationId) public onlyIssuer {
+        require(revokedAt[_attestationId] != 0, "Attestation not revoked");
+        
+        revokedAt[_attestationId] = 0;
+        
+        emit AttestationUnrevoked(_attestationId, block.timestamp);
+    }
+    
+    /**
+     * @dev Check whether an attestation is revoked
+     * @param _attestationId ID of the attestation
+     * @return True if the attestation is currently revoked
+     */
+    function isRevoked(bytes32 _attestationId) public view returns (bool) {
+        return revokedAt[_attestationId] != 0;
+    }
+}
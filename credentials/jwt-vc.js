@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * W3C Verifiable Credentials in the JWT encoding (VC Data Model 1.1, "JWT-VC")
+ *
+ * VC_ISSUER_PRIVATE_KEY: PEM-encoded P-256 private key the server signs with
+ *                        (literal "\n" sequences are accepted for .env files)
+ * VC_TTL_DAYS:           credential lifetime in days (default 365)
+ *
+ * The issuer is identified by a did:jwk derived from its public key, so
+ * verifiers can check signatures without a DID registry.
+ */
+
+const VC_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const VC_TTL_DAYS = parseInt(process.env.VC_TTL_DAYS, 10) || 365;
+
+let issuer = null;
+
+/**
+ * Encode a public JWK as a did:jwk
+ * @param {object} publicJwk
+ * @returns {string}
+ */
+const toDidJwk = (publicJwk) => {
+    return 'did:jwk:' + Buffer.from(JSON.stringify(publicJwk)).toString('base64url');
+};
+
+/**
+ * Load the issuer key from configuration
+ * @returns {{ did: string, kid: string, privateKey: KeyObject, publicJwk: object }}
+ */
+const loadIssuer = () => {
+    const pem = process.env.VC_ISSUER_PRIVATE_KEY;
+    if (!pem) {
+        throw new Error('VC_ISSUER_PRIVATE_KEY is not configured');
+    }
+
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ec' ||
+        privateKey.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error('VC_ISSUER_PRIVATE_KEY must be a P-256 EC key');
+    }
+
+    const { kty, crv, x, y } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    const publicJwk = { kty, crv, x, y };
+    const did = toDidJwk(publicJwk);
+
+    return {
+        did: did,
+        kid: `${did}#0`,
+        privateKey: privateKey,
+        publicJwk: publicJwk
+    };
+};
+
+/**
+ * Get the issuer, loading its key on first use
+ * @returns {{ did: string, kid: string, privateKey: KeyObject, publicJwk: object }}
+ */
+const getIssuer = () => {
+    if (!issuer) {
+        issuer = loadIssuer();
+    }
+    return issuer;
+};
+
+/**
+ * DID for a wallet address on a given chain (CAIP-10 based did:pkh)
+ * @param {number} chainId
+ * @param {string} address - Checksummed Ethereum address
+ * @returns {string}
+ */
+const toSubjectDid = (chainId, address) => `did:pkh:eip155:${chainId}:${address}`;
+
+/**
+ * Issue a credential attesting an on-chain IdentityManager identity
+ * The Aadhaar number is never included; the credential only states that the
+ * identity was registered with an Aadhaar commitment.
+ * @param {object} options
+ * @param {object} options.identity - Identity from the contract client, with its decrypted profile
+ * @param {boolean} options.aadhaarVerified - Whether to claim a verified Aadhaar (false once its attestation is revoked)
+ * @param {string} options.contractAddress - IdentityManager address
+ * @param {number} options.chainId - Chain the contract is deployed on
+ * @returns {{ jwt: string, credential: object }} Signed JWT and the credential it encodes
+ */
+const issueIdentityCredential = ({ identity, aadhaarVerified, contractAddress, chainId }) => {
+    const { did, kid, privateKey } = getIssuer();
+
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + VC_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const id = `urn:uuid:${crypto.randomUUID()}`;
+    const subjectId = toSubjectDid(chainId, identity.ethereumAddress);
+
+    const credential = {
+        '@context': [VC_CONTEXT],
+        id: id,
+        type: ['VerifiableCredential', 'IdentityCredential'],
+        issuer: did,
+        issuanceDate: issuedAt.toISOString(),
+        expirationDate: expiresAt.toISOString(),
+        credentialSubject: {
+            id: subjectId,
+            name: identity.name,
+            email: identity.email,
+            ethereumAddress: identity.ethereumAddress,
+            ...(aadhaarVerified && { aadhaarVerified: true }),
+            identityRegistry: {
+                type: 'IdentityManager',
+                contractAddress: contractAddress,
+                chainId: chainId,
+                registrationTime: identity.registrationTime,
+                registeredAt: identity.registeredAt
+            }
+        }
+    };
+
+    // Registered JWT claims carry issuer, subject, ID and validity (VC-JWT 1.1)
+    const token = jwt.sign(
+        {
+            vc: credential,
+            nbf: Math.floor(issuedAt.getTime() / 1000),
+            exp: Math.floor(expiresAt.getTime() / 1000)
+        },
+        privateKey,
+        {
+            algorithm: 'ES256',
+            keyid: kid,
+            issuer: did,
+            subject: subjectId,
+            jwtid: id
+        }
+    );
+
+    return { jwt: token, credential: credential };
+};
+
+module.exports = {
+    VC_CONTEXT,
+    getIssuer,
+    toDidJwk,
+    toSubjectDid,
+    issueIdentityCredential
+};
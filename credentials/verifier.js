@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getWeb3 } = require('../blockchain');
+const jwtVc = require('./jwt-vc');
+
+/**
+ * Verification of JWT-encoded Verifiable Credentials and Presentations
+ *
+ * Issuers and holders are resolved from their DID:
+ *   did:jwk             - the key is embedded in the DID; ES256/ES384/ES512/RS256/EdDSA
+ *   did:pkh:eip155:...  - a wallet address; the JWT is signed with personal_sign
+ *                         (header alg "EIP191", signature is the 65-byte r||s||v)
+ *
+ * VC_TRUSTED_ISSUERS: comma-separated issuer DIDs to accept besides our own
+ *                     issuer. Credentials from any other issuer fail the trust
+ *                     check, even with a valid signature.
+ *
+ * Credentials from our own issuer are also checked against the RevocationRegistry,
+ * keyed by their ID.
+ *
+ * Every check is reported as { check, status: 'passed' | 'failed' | 'skipped', message }
+ * so relying parties can see why a credential was rejected.
+ */
+
+const JWS_ALGORITHMS = {
+    ES256: { keyType: 'ec', hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { keyType: 'ec', hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { keyType: 'ec', hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    RS256: { keyType: 'rsa', hash: 'sha256' },
+    EdDSA: { keyType: 'ed25519', hash: null }
+};
+
+const WALLET_ALGORITHM = 'EIP191';
+const PKH_DID_PATTERN = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/;
+
+// Allowance for clock drift between us and the issuer
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Latest time a Date can hold, in seconds
+const MAX_DATE_SECONDS = 8.64e12;
+
+/**
+ * Collects the outcome of each check
+ */
+class CheckList {
+    constructor() {
+        this.checks = [];
+    }
+
+    pass(check, message) {
+        this.checks.push({ check, status: 'passed', message });
+    }
+
+    fail(check, message) {
+        this.checks.push({ check, status: 'failed', message });
+    }
+
+    skip(check, message) {
+        this.checks.push({ check, status: 'skipped', message });
+    }
+
+    get passed() {
+        return !this.checks.some((entry) => entry.status === 'failed');
+    }
+}
+
+/**
+ * Decode a compact JWT without verifying it
+ * @param {string} token
+ * @returns {{ header: object, payload: object }|null}
+ */
+const decodeJwt = (token) => {
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+        return null;
+    }
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== 'object') {
+        return null;
+    }
+    return decoded;
+};
+
+/**
+ * Parse a did:pkh for an Ethereum account
+ * @param {string} did
+ * @returns {{ chainId: number, address: string }|null}
+ */
+const parsePkhDid = (did) => {
+    const match = PKH_DID_PATTERN.exec(did || '');
+    if (!match) {
+        return null;
+    }
+    return {
+        chainId: Number(match[1]),
+        address: getWeb3().utils.toChecksumAddress(match[2])
+    };
+};
+
+/**
+ * Resolve the public key a DID signs with
+ * @param {string} did - Issuer or holder DID
+ * @param {string} [kid] - Key ID from the JWT header
+ * @returns {{ publicKey: KeyObject }|{ address: string }}
+ */
+const resolveSigningKey = (did, kid) => {
+    if (typeof did !== 'string') {
+        throw new Error('Signer DID is missing');
+    }
+    if (kid && !kid.startsWith('#') && !kid.startsWith(`${did}#`)) {
+        throw new Error('Key ID does not belong to the signer DID');
+    }
+
+    if (did.startsWith('did:jwk:')) {
+        let publicJwk;
+        try {
+            publicJwk = JSON.parse(Buffer.from(did.slice('did:jwk:'.length), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed did:jwk');
+        }
+        if (publicJwk.d) {
+            throw new Error('did:jwk must not contain a private key');
+        }
+        return { publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }) };
+    }
+
+    const account = parsePkhDid(did);
+    if (account) {
+        return { address: account.address };
+    }
+
+    throw new Error(`Unsupported DID method: ${did.split(':').slice(0, 2).join(':')}`);
+};
+
+/**
+ * Verify a compact JWS against the signer's DID
+ * @param {string} token
+ * @param {object} header - Decoded JWT header
+ * @param {string} did - Expected signer
+ * @throws {Error} If the signature is invalid or cannot be checked
+ */
+const verifyJws = (token, header, did) => {
+    const key = resolveSigningKey(did, header.kid);
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (key.address) {
+        if (header.alg !== WALLET_ALGORITHM) {
+            throw new Error(`Wallet DIDs must sign with ${WALLET_ALGORITHM}, not ${header.alg}`);
+        }
+        if (signature.length !== 65) {
+            throw new Error('Wallet signature must be 65 bytes');
+        }
+        const signer = getWeb3().eth.accounts.recover(signingInput, '0x' + signature.toString('hex'));
+        if (signer !== key.address) {
+            throw new Error('Signature was not made by the DID\'s wallet');
+        }
+        return;
+    }
+
+    const algorithm = JWS_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw new Error(`Unsupported signature algorithm: ${header.alg}`);
+    }
+    if (key.publicKey.asymmetricKeyType !== algorithm.keyType) {
+        throw new Error(`${header.alg} does not match the DID's ${key.publicKey.asymmetricKeyType} key`);
+    }
+
+    const valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(signingInput),
+        { key: key.publicKey, dsaEncoding: algorithm.dsaEncoding },
+        signature
+    );
+    if (!valid) {
+        throw new Error('Signature does not verify');
+    }
+};
+
+/**
+ * Check exp/nbf, falling back to the VC data model's date properties
+ * @param {CheckList} checks
+ * @param {object} payload - JWT payload
+ * @param {object} [document] - vc or vp claim
+ */
+const checkValidityPeriod = (checks, payload, document = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const toSeconds = (date) => (date ? Math.floor(Date.parse(date) / 1000) : undefined);
+    const expiresAt = payload.exp !== undefined ? payload.exp : toSeconds(document.expirationDate);
+    const notBefore = payload.nbf !== undefined ? payload.nbf : toSeconds(document.issuanceDate);
+    const isTime = (seconds) => seconds === undefined ||
+        (Number.isFinite(seconds) && Math.abs(seconds) <= MAX_DATE_SECONDS);
+
+    if (!isTime(expiresAt) || !isTime(notBefore)) {
+        return checks.fail('expiry', 'Validity dates are malformed');
+    }
+    if (expiresAt !== undefined && now > expiresAt + CLOCK_TOLERANCE_SECONDS) {
+        return checks.fail('expiry', `Expired at ${new Date(expiresAt * 1000).toISOString()}`);
+    }
+    if (notBefore !== undefined && now + CLOCK_TOLERANCE_SECONDS < notBefore) {
+        return checks.fail('expiry', `Not valid before ${new Date(notBefore * 1000).toISOString()}`);
+    }
+    checks.pass('expiry', expiresAt !== undefined
+        ? `Valid until ${new Date(expiresAt * 1000).toISOString()}`
+        : 'No expiry set');
+};
+
+/**
+ * @returns {string|null} This server's issuer DID, or null if it does not issue credentials
+ */
+const getOwnIssuerDid = () => {
+    try {
+        return jwtVc.getIssuer().did;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * @returns {string[]} Trusted issuer DIDs: our own and those in VC_TRUSTED_ISSUERS
+ */
+const getTrustedIssuers = () => {
+    const trusted = (process.env.VC_TRUSTED_ISSUERS || '').split(',').map((did) => did.trim()).filter(Boolean);
+    const ownIssuer = getOwnIssuerDid();
+    if (ownIssuer) {
+        trusted.push(ownIssuer);
+    }
+    return trusted;
+};
+
+/**
+ * Verify a JWT-VC
+ * @param {string} token - Compact JWT-VC
+ * @param {object} context
+ * @param {IdentityManagerClient} context.identityManager - Initialized contract client
+ * @param {number} context.chainId - Chain the contract is deployed on
+ * @param {RevocationRegistryClient} [context.revocationRegistry] - Initialized registry client
+ * @param {string} [context.holder] - DID that presented the credential, if it came in a presentation
+ * @returns {Promise<object>} { verified, id, issuer, subject, ethereumAddress, checks }
+ */
+const verifyCredential = async (token, { identityManager, chainId, revocationRegistry, holder }) => {
+    const checks = new CheckList();
+    const result = { verified: false, id: null, issuer: null, subject: null, ethereumAddress: null };
+
+    const decoded = decodeJwt(token);
+    const vc = decoded && decoded.payload.vc;
+    if (!vc || !Array.isArray(vc.type) || !vc.type.includes('VerifiableCredential')) {
+        checks.fail('format', 'Not a JWT-encoded Verifiable Credential');
+        return { ...result, checks: checks.checks };
+    }
+    checks.pass('format', 'JWT-VC');
+
+    const { header, payload } = decoded;
+    const issuer = payload.iss || (vc.issuer && vc.issuer.id) || vc.issuer;
+    const credentialSubject = vc.credentialSubject || {};
+    const subject = payload.sub || credentialSubject.id;
+    result.id = payload.jti || vc.id || null;
+    result.issuer = issuer || null;
+    result.subject = subject || null;
+
+    try {
+        verifyJws(token, header, issuer);
+        checks.pass('issuer_signature', `Signed by ${issuer}`);
+    } catch (error) {
+        checks.fail('issuer_signature', error.message);
+    }
+
+    if (getTrustedIssuers().includes(issuer)) {
+        checks.pass('issuer_trusted', 'Issuer is trusted');
+    } else {
+        checks.fail('issuer_trusted', 'Issuer is neither this server nor in VC_TRUSTED_ISSUERS');
+    }
+
+    checkValidityPeriod(checks, payload, vc);
+
+    if (!revocationRegistry || issuer !== getOwnIssuerDid()) {
+        checks.skip('revocation', 'Issuer does not publish revocation status in our registry');
+    } else if (!result.id) {
+        checks.fail('revocation', 'Credential has no ID to look up');
+    } else {
+        const status = await revocationRegistry.getStatus(revocationRegistry.toAttestationId(result.id));
+        if (status.revoked) {
+            checks.fail('revocation', `Revoked at ${status.revokedAt}`);
+        } else {
+            checks.pass('revocation', 'Not revoked');
+        }
+    }
+
+    if (!holder) {
+        checks.skip('holder_binding', 'Credential was not presented by its holder; submit a presentation to prove holder binding');
+    } else if (subject && subject === holder) {
+        checks.pass('holder_binding', 'Presented by the credential subject');
+    } else {
+        checks.fail('holder_binding', 'Presenter is not the credential subject');
+    }
+
+    // The subject's wallet, from its did:pkh or an explicit ethereumAddress claim
+    const account = parsePkhDid(subject);
+    let address = account ? account.address : credentialSubject.ethereumAddress;
+    if (account && account.chainId !== chainId) {
+        checks.fail('identity_registered', `Subject DID is on chain ${account.chainId}, IdentityManager is on chain ${chainId}`);
+    } else if (!address || !getWeb3().utils.isAddress(address)) {
+        checks.fail('identity_registered', 'Credential subject has no Ethereum address');
+    } else {
+        address = getWeb3().utils.toChecksumAddress(address);
+        result.ethereumAddress = address;
+
+        if (await identityManager.isRegistered(address)) {
+            checks.pass('identity_registered', `Active identity on IdentityManager ${identityManager.address}`);
+        } else if (await identityManager.isDeactivated(address)) {
+            checks.fail('identity_registered', 'Identity has been deactivated');
+        } else if (await identityManager.getErasure(address)) {
+            checks.fail('identity_registered', 'Identity has been erased');
+        } else {
+            checks.fail('identity_registered', 'No identity registered for the subject');
+        }
+    }
+
+    return { ...result, verified: checks.passed, checks: checks.checks };
+};
+
+/**
+ * Verify a JWT-VP and each credential inside it
+ * @param {string} token - Compact JWT-VP signed by the holder
+ * @param {object} context
+ * @param {IdentityManagerClient} context.identityManager - Initialized contract client
+ * @param {number} context.chainId - Chain the contract is deployed on
+ * @param {RevocationRegistryClient} [context.revocationRegistry] - Initialized registry client
+ * @param {string} [context.challenge] - Nonce the relying party expects in the presentation
+ * @param {string} [context.domain] - Audience the relying party expects in the presentation
+ * @returns {Promise<object>} { verified, holder, checks, credentials }
+ */
+const verifyPresentation = async (token, { identityManager, chainId, revocationRegistry, challenge, domain }) => {
+    const checks = new CheckList();
+
+    const decoded = decodeJwt(token);
+    const vp = decoded && decoded.payload.vp;
+    if (!vp || !Array.isArray(vp.type) || !vp.type.includes('VerifiablePresentation')) {
+        checks.fail('format', 'Not a JWT-encoded Verifiable Presentation');
+        return { verified: false, holder: null, checks: checks.checks, credentials: [] };
+    }
+
+    const { header, payload } = decoded;
+    const holder = payload.iss || vp.holder;
+    const credentials = [].concat(vp.verifiableCredential || []);
+    if (vp.holder && payload.iss && vp.holder !== payload.iss) {
+        checks.fail('format', 'vp.holder does not match iss');
+    } else if (credentials.length === 0) {
+        checks.fail('format', 'Presentation contains no credentials');
+    } else {
+        checks.pass('format', `JWT-VP with ${credentials.length} credential(s)`);
+    }
+
+    try {
+        verifyJws(token, header, holder);
+        checks.pass('holder_signature', `Signed by ${holder}`);
+    } catch (error) {
+        checks.fail('holder_signature', error.message);
+    }
+
+    checkValidityPeriod(checks, payload);
+
+    if (challenge === undefined) {
+        checks.skip('challenge', 'No challenge supplied; the presentation may be replayed');
+    } else if (payload.nonce === challenge) {
+        checks.pass('challenge', 'Nonce matches the challenge');
+    } else {
+        checks.fail('challenge', 'Nonce does not match the challenge');
+    }
+
+    if (domain !== undefined) {
+        const audiences = [].concat(payload.aud || []);
+        if (audiences.includes(domain)) {
+            checks.pass('domain', 'Audience matches the domain');
+        } else {
+            checks.fail('domain', 'Audience does not match the domain');
+        }
+    }
+
+    const results = [];
+    for (const credential of credentials) {
+        results.push(await verifyCredential(credential, { identityManager, chainId, revocationRegistry, holder }));
+    }
+
+    return {
+        verified: checks.passed && results.length > 0 && results.every((entry) => entry.verified),
+        holder: holder || null,
+        checks: checks.checks,
+        credentials: results
+    };
+};
+
+module.exports = {
+    WALLET_ALGORITHM,
+    parsePkhDid,
+    resolveSigningKey,
+    verifyCredential,
+    verifyPresentation
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+/**
+ * did:ethr DIDs for IdentityManager identities
+ *
+ * did:ethr:<chainId as 0x-hex>:<address>; the network part may be omitted for
+ * chain 1, and a decimal chain ID is accepted when resolving. The DID document
+ * is built from contract state: the identity's own address, its unexpired
+ * delegates ("veriKey" for assertions, "sigAuth" for authentication too),
+ * service endpoints, and the passkeys of the account the wallet is linked to.
+ */
+
+const DID_CONTEXTS = [
+    'https://www.w3.org/ns/did/v1',
+    'https://w3id.org/security/suites/secp256k1recovery-2020/v2',
+    'https://w3id.org/security/suites/jws-2020/v1'
+];
+
+const DID_PATTERN = /^did:ethr:(?:(0x[0-9a-fA-F]+|\d+):)?(0x[0-9a-fA-F]{40})$/;
+
+// Delegate types with a meaning in the DID document
+const DELEGATE_TYPES = ['veriKey', 'sigAuth'];
+
+/**
+ * DID for an address on a chain
+ * @param {number} chainId
+ * @param {string} address - Checksummed Ethereum address
+ * @returns {string}
+ */
+const toDid = (chainId, address) => `did:ethr:0x${chainId.toString(16)}:${address}`;
+
+/**
+ * Parse a did:ethr
+ * @param {string} did
+ * @returns {{ chainId: number, address: string }|null}
+ */
+const parseDid = (did) => {
+    const match = DID_PATTERN.exec(did || '');
+    if (!match) {
+        return null;
+    }
+    return {
+        chainId: match[1] ? Number(match[1]) : 1,
+        address: match[2]
+    };
+};
+
+/**
+ * Recoverable secp256k1 verification method for an Ethereum account
+ */
+const accountMethod = (did, id, chainId, address) => ({
+    id: `${did}#${id}`,
+    type: 'EcdsaSecp256k1RecoveryMethod2020',
+    controller: did,
+    blockchainAccountId: `eip155:${chainId}:${address}`
+});
+
+/**
+ * Build the DID document of an active identity
+ * @param {object} state
+ * @param {string} state.did - Canonical DID
+ * @param {number} state.chainId
+ * @param {string} state.address - Checksummed identity address
+ * @param {Array<object>} state.delegates - From IdentityManagerClient.getDelegates
+ * @param {Array<object>} state.services - From IdentityManagerClient.getServices
+ * @param {Array<object>} state.passkeys - Stored WebAuthn credentials of the linked account
+ * @returns {object} DID document
+ */
+const buildDidDocument = ({ did, chainId, address, delegates, services, passkeys }) => {
+    const controller = accountMethod(did, 'controller', chainId, address);
+    const verificationMethod = [controller];
+    const authentication = [controller.id];
+    const assertionMethod = [controller.id];
+
+    delegates
+        .filter((entry) => entry.isValid && DELEGATE_TYPES.includes(entry.delegateType))
+        .forEach((entry, index) => {
+            const method = accountMethod(did, `delegate-${index + 1}`, chainId, entry.delegate);
+            verificationMethod.push(method);
+            assertionMethod.push(method.id);
+            if (entry.delegateType === 'sigAuth') {
+                authentication.push(method.id);
+            }
+        });
+
+    passkeys.forEach((passkey) => {
+        const { kty, crv, x, y, n, e } = crypto.createPublicKey(passkey.publicKey).export({ format: 'jwk' });
+        const method = {
+            id: `${did}#passkey-${passkey.credentialId}`,
+            type: 'JsonWebKey2020',
+            controller: did,
+            publicKeyJwk: { kty, crv, x, y, n, e }
+        };
+        verificationMethod.push(method);
+        authentication.push(method.id);
+    });
+
+    return {
+        '@context': DID_CONTEXTS,
+        id: did,
+        alsoKnownAs: [`did:pkh:eip155:${chainId}:${address}`],
+        verificationMethod: verificationMethod,
+        authentication: authentication,
+        assertionMethod: assertionMethod,
+        service: services.map((service) => ({ ...service, id: `${did}#${service.id}` }))
+    };
+};
+
+/**
+ * Resolve a did:ethr against IdentityManager
+ * @param {string} did
+ * @param {object} context
+ * @param {IdentityManagerClient} context.identityManager - Initialized contract client
+ * @param {Store} context.store - Storage adapter, for passkeys of the linked account
+ * @returns {Promise<object>} DID resolution result { didResolutionMetadata, didDocument, didDocumentMetadata }
+ */
+const resolveDid = async (did, { identityManager, store }) => {
+    const notFound = (error) => ({
+        didResolutionMetadata: { error: error },
+        didDocument: null,
+        didDocumentMetadata: {}
+    });
+
+    const parsed = parseDid(did);
+    if (!parsed) {
+        return notFound('invalidDid');
+    }
+    if (parsed.chainId !== identityManager.chainId) {
+        return notFound('notFound');
+    }
+
+    const address = identityManager.web3.utils.toChecksumAddress(parsed.address);
+    const canonicalDid = toDid(parsed.chainId, address);
+
+    // Erased identities stay deactivated DIDs, even though only a tombstone is left
+    if (await identityManager.isDeactivated(address) || await identityManager.getErasure(address)) {
+        return {
+            didResolutionMetadata: { contentType: 'application/did+ld+json' },
+            didDocument: { '@context': DID_CONTEXTS, id: canonicalDid },
+            didDocumentMetadata: { deactivated: true }
+        };
+    }
+
+    const identity = await identityManager.getIdentity(address);
+    if (!identity) {
+        return notFound('notFound');
+    }
+
+    const user = await store.getUserByAddress(address);
+    const passkeys = user ? await store.listCredentials(user.email) : [];
+
+    return {
+        didResolutionMetadata: { contentType: 'application/did+ld+json' },
+        didDocument: buildDidDocument({
+            did: canonicalDid,
+            chainId: parsed.chainId,
+            address: address,
+            delegates: await identityManager.getDelegates(address),
+            services: await identityManager.getServices(address),
+            passkeys: passkeys
+        }),
+        didDocumentMetadata: {
+            created: identity.registeredAt,
+            deactivated: false
+        }
+    };
+};
+
+module.exports = {
+    DELEGATE_TYPES,
+    toDid,
+    parseDid,
+    buildDidDocument,
+    resolveDid
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+
+/**
+ * Proof of email ownership
+ * A six-digit code is emailed to the address; entering it yields a short-lived
+ * signed token naming the email, which passkey registration and on-chain
+ * registration require before they accept that address. Codes are single use,
+ * stored hashed with their verification ID, and void after MAX_CODE_ATTEMPTS
+ * wrong guesses.
+ */
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+// How long a verified email can be used to register
+const TOKEN_TTL = '30m';
+const TOKEN_AUDIENCE = 'email-verification';
+const TOKEN_ISSUER = 'decentralized-identity-system';
+
+/**
+ * @param {string} email
+ * @returns {string} The email as compared: trimmed and lower case
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * @param {string} verificationId
+ * @param {string} code
+ * @returns {Buffer} SHA-256 binding the code to its verification
+ */
+const hashCode = (verificationId, code) => crypto.createHash('sha256').update(`${verificationId}:${code}`).digest();
+
+/**
+ * Email a verification code
+ * @param {string} email - Address to verify
+ * @param {object} options
+ * @param {Store} options.store - Storage adapter holding the pending code
+ * @returns {Promise<object>} { verificationId, expiresAt (ISO) }
+ */
+const startVerification = async (email, { store }) => {
+    const verificationId = crypto.randomBytes(16).toString('hex');
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = Date.now() + CODE_TTL_MS;
+
+    await store.saveChallenge(`email_verification_${verificationId}`, {
+        email: email,
+        codeHash: hashCode(verificationId, code).toString('hex'),
+        attempts: 0,
+        expiresAt: expiresAt
+    }, CODE_TTL_MS);
+
+    await sendMail({
+        to: email,
+        subject: 'Your verification code',
+        text: `Your verification code is ${code}.\n\n` +
+            `It expires in ${CODE_TTL_MS / 60000} minutes. If you did not ask for it, ignore this email.`
+    });
+
+    return { verificationId, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+/**
+ * Check a verification code
+ * @param {string} verificationId - From startVerification()
+ * @param {string} code - Code from the email
+ * @param {object} options
+ * @param {Store} options.store - Storage adapter holding the pending code
+ * @returns {Promise<object>} { email, token }, or { error }
+ */
+const confirmVerification = async (verificationId, code, { store }) => {
+    const key = `email_verification_${verificationId}`;
+    const pending = await store.takeChallenge(key);
+    if (!pending) {
+        return { error: 'Invalid or expired verification' };
+    }
+
+    if (!crypto.timingSafeEqual(hashCode(verificationId, String(code)), Buffer.from(pending.codeHash, 'hex'))) {
+        // Put it back with one attempt fewer, unless that was the last
+        const attempts = pending.attempts + 1;
+        if (attempts < MAX_CODE_ATTEMPTS && pending.expiresAt > Date.now()) {
+            await store.saveChallenge(key, { ...pending, attempts }, pending.expiresAt - Date.now());
+        }
+        return { error: 'Incorrect verification code' };
+    }
+
+    const token = jwt.sign({ email: pending.email }, process.env.JWT_SECRET, {
+        expiresIn: TOKEN_TTL,
+        audience: TOKEN_AUDIENCE,
+        issuer: TOKEN_ISSUER
+    });
+    return { email: pending.email, token };
+};
+
+/**
+ * Whether a token from confirmVerification() proves ownership of an email
+ * @param {string} token - Email verification token
+ * @param {string} email - Email being registered
+ * @returns {boolean}
+ */
+const isEmailVerified = (token, email) => {
+    if (!token || !email) {
+        return false;
+    }
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET, {
+            audience: TOKEN_AUDIENCE,
+            issuer: TOKEN_ISSUER
+        });
+        return normalizeEmail(payload.email) === normalizeEmail(email);
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    normalizeEmail,
+    startVerification,
+    confirmVerification,
+    isEmailVerified
+};
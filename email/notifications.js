@@ -0,0 +1,75 @@
+const { sendMail } = require('./mailer');
+
+/**
+ * Transactional security notifications
+ * They are best effort: a message that cannot be sent is logged, and the
+ * action that triggered it still succeeds. Nothing here needs to be awaited.
+ */
+
+/**
+ * Send a notification, logging failures
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>} Never rejects
+ */
+const notify = async (message) => {
+    try {
+        await sendMail(message);
+    } catch (error) {
+        console.error('Notification email error:', error.message);
+    }
+};
+
+/**
+ * A passkey was added to an account
+ * @param {object} user - Account: { email, name }
+ * @param {object} credential - Stored credential: { nickname, createdAt }
+ * @returns {Promise<void>}
+ */
+const passkeyAdded = (user, credential) => notify({
+    to: user.email,
+    subject: 'A new passkey was added to your account',
+    text: `Hi ${user.name},\n\n` +
+        `A passkey named "${credential.nickname}" was added to your account ` +
+        `at ${credential.createdAt}.\n\n` +
+        'If this was not you, sign in, remove the passkey and end your other sessions.'
+});
+
+/**
+ * An account signed in from a device it had not used before
+ * @param {object} user - Account: { email, name }
+ * @param {object} session - New session: { authMethod, userAgent, ipAddress, createdAt }
+ * @returns {Promise<void>}
+ */
+const newDeviceLogin = (user, session) => notify({
+    to: user.email,
+    subject: 'New sign-in to your account',
+    text: `Hi ${user.name},\n\n` +
+        `Your account was signed in to from a new device at ${new Date(session.createdAt).toISOString()}.\n\n` +
+        `Device: ${session.userAgent || 'unknown'}\n` +
+        `IP address: ${session.ipAddress || 'unknown'}\n` +
+        `Method: ${session.authMethod}\n\n` +
+        'If this was not you, end that session and remove any passkey you do not recognize.'
+});
+
+/**
+ * An identity was deactivated on chain
+ * @param {object} identity - { email, name, ethereumAddress }
+ * @param {object} details
+ * @param {boolean} details.byAdmin - Whether an admin rather than the holder deactivated it
+ * @param {string} details.transactionHash
+ * @returns {Promise<void>}
+ */
+const identityDeactivated = (identity, { byAdmin, transactionHash }) => notify({
+    to: identity.email,
+    subject: 'Your identity was deactivated',
+    text: `Hi ${identity.name},\n\n` +
+        `The identity of wallet ${identity.ethereumAddress} was deactivated ` +
+        `${byAdmin ? 'by an administrator' : 'from your account'} (transaction ${transactionHash}).\n\n` +
+        (byAdmin ? 'Contact support if you think this is a mistake.' : 'You can reactivate it from your account.')
+});
+
+module.exports = {
+    passkeyAdded,
+    newDeviceLogin,
+    identityDeactivated
+};
@@ -1,11 +1,15 @@
 const IdentityManager = artifacts.require("IdentityManager");
 
-module.exports = function(deployer, network, accounts) {
+module.exports = async function(deployer, network, accounts) {
   console.log("Deploying IdentityManager contract...");
   console.log("Network:", network);
   console.log("Deployer account:", accounts[0]);
   
-  deployer.deploy(IdentityManager)
+  // Signed registrations use an EIP-712 domain bound to this chain
+  const chainId = await web3.eth.getChainId();
+  console.log("Chain ID:", chainId);
+  
+  await deployer.deploy(IdentityManager, chainId)
     .then(() => {
       console.log("IdentityManager deployed successfully!");
       console.log("Contract address:", IdentityManager.address);
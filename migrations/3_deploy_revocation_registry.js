@@ -0,0 +1,15 @@
+const RevocationRegistry = artifacts.require("RevocationRegistry");
+
+module.exports = async function(deployer, network, accounts) {
+  console.log("Deploying RevocationRegistry contract...");
+  console.log("Issuer account:", accounts[0]);
+
+  await deployer.deploy(RevocationRegistry)
+    .then(() => {
+      console.log("RevocationRegistry deployed successfully!");
+      console.log("Contract address:", RevocationRegistry.address);
+    })
+    .catch(error => {
+      console.error("Deployment failed:", error);
+    });
+};
\ No newline at end of file
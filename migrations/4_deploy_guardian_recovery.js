@@ -0,0 +1,23 @@
+const IdentityManager = artifacts.require("IdentityManager");
+const GuardianRecovery = artifacts.require("GuardianRecovery");
+
+// Time guardians' approvals must wait before a recovery can be finalized
+const RECOVERY_DELAY_SECONDS = 2 * 24 * 60 * 60;
+
+module.exports = async function(deployer, network, accounts) {
+  console.log("Deploying GuardianRecovery contract...");
+  console.log("IdentityManager address:", IdentityManager.address);
+  console.log("Recovery delay (seconds):", RECOVERY_DELAY_SECONDS);
+
+  await deployer.deploy(GuardianRecovery, IdentityManager.address, RECOVERY_DELAY_SECONDS)
+    .then(async () => {
+      const identityManager = await IdentityManager.deployed();
+      await identityManager.setRecoveryManager(GuardianRecovery.address);
+
+      console.log("GuardianRecovery deployed successfully!");
+      console.log("Contract address:", GuardianRecovery.address);
+    })
+    .catch(error => {
+      console.error("Deployment failed:", error);
+    });
+};
\ No newline at end of file
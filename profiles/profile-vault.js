@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+
+/**
+ * Encrypted off-chain profiles
+ * IdentityManager only holds a profile's hash and pointer; the name and email
+ * are kept here, AES-256-GCM encrypted under a random key per wallet. That key
+ * is stored wrapped by a key derived from PROFILE_ENCRYPTION_KEY, so erasing a
+ * user means destroying their key and records: nothing left anywhere decrypts.
+ *
+ * Every update writes a new record under a new pointer, and the profile hash
+ * is the SHA-256 of the sealed record (IV, tag and ciphertext). It reveals
+ * nothing about the plaintext, and a record that does not match the hash on
+ * chain is rejected when opened.
+ *
+ * A registration's profile is only prepared in memory: the sealed record (and
+ * a new wallet's wrapped key) go to the client with the typed data, and are
+ * stored once the client returns them with the wallet's signature.
+ *
+ * Superseded versions are deleted, so the names of the fields each version
+ * changed are recorded by its hash when it is sealed; audit history shows them.
+ *
+ * PROFILE_ENCRYPTION_KEY: at least 32 bytes of hex; also keys the email index
+ */
+
+const POINTER_PREFIX = 'profile:';
+
+// Fields of a profile, as recorded in profile changes
+const PROFILE_FIELDS = ['name', 'email'];
+
+let keys = null;
+
+/**
+ * Derive the key-wrapping and email index keys, loading them on first use
+ * @returns {{ wrapKey: Buffer, indexKey: Buffer }}
+ */
+const getKeys = () => {
+    if (!keys) {
+        const master = process.env.PROFILE_ENCRYPTION_KEY || '';
+        if (!/^[0-9a-fA-F]{64,}$/.test(master)) {
+            throw new Error('PROFILE_ENCRYPTION_KEY must be at least 32 bytes of hex');
+        }
+
+        const derive = (info) => Buffer.from(
+            crypto.hkdfSync('sha256', Buffer.from(master, 'hex'), Buffer.alloc(0), info, 32)
+        );
+        keys = {
+            wrapKey: derive('identity-profile-key-wrap'),
+            indexKey: derive('identity-email-index')
+        };
+    }
+    return keys;
+};
+
+/**
+ * AES-256-GCM encrypt, returning IV, tag and ciphertext as one buffer
+ * @param {Buffer} key
+ * @param {Buffer} plaintext
+ * @param {string} aad - Context the ciphertext is bound to
+ * @returns {Buffer}
+ */
+const seal = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Reverse seal(); throws if the data or its context was tampered with
+ * @param {Buffer} key
+ * @param {Buffer} sealed
+ * @param {string} aad
+ * @returns {Buffer}
+ */
+const open = (key, sealed, aad) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(sealed.subarray(12, 28));
+    return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+};
+
+/**
+ * Keyed blind index of an email address
+ * Lets the contract keep emails unique without publishing them; only the
+ * server can compute it, so it cannot be reversed by guessing addresses.
+ * @param {string} email
+ * @returns {string} bytes32 hex
+ */
+const emailIndex = (email) => {
+    return '0x' + crypto.createHmac('sha256', getKeys().indexKey)
+        .update(email.trim().toLowerCase())
+        .digest('hex');
+};
+
+/**
+ * Get a wallet's stored profile key
+ * @param {string} ethereumAddress - Checksummed Ethereum address
+ * @param {Store} store
+ * @returns {Promise<Buffer|null>} null if the wallet has no key (never created or erased)
+ */
+const getProfileKey = async (ethereumAddress, store) => {
+    const record = await store.getProfileKey(ethereumAddress);
+    if (!record) {
+        return null;
+    }
+    return open(getKeys().wrapKey, Buffer.from(record.wrappedKey, 'base64'), ethereumAddress);
+};
+
+/**
+ * Hash of a sealed profile, as stored on chain
+ * @param {Buffer} sealed
+ * @returns {string} bytes32 hex
+ */
+const hashSealed = (sealed) => '0x' + crypto.createHash('sha256').update(sealed).digest('hex');
+
+/**
+ * Encrypt a profile version without storing anything
+ * Uses the wallet's key, or a new one that is returned wrapped alongside the
+ * sealed record; storeProfile() saves both.
+ * @param {string} ethereumAddress - Checksummed Ethereum address
+ * @param {object} profile - { name, email }
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<object>} { profilePointer, profileHash, emailIndex, sealedProfile }, where
+ *          sealedProfile is the opaque sealed record (and new wrapped key) to store
+ */
+const prepareProfile = async (ethereumAddress, { name, email }, { store }) => {
+    let key = await getProfileKey(ethereumAddress, store);
+    let wrappedKey = null;
+    if (!key) {
+        key = crypto.randomBytes(32);
+        wrappedKey = seal(getKeys().wrapKey, key, ethereumAddress).toString('base64');
+    }
+
+    const pointer = POINTER_PREFIX + crypto.randomUUID();
+    const sealed = seal(key, Buffer.from(JSON.stringify({ name, email })), `${ethereumAddress}:${pointer}`);
+
+    return {
+        profilePointer: pointer,
+        profileHash: hashSealed(sealed),
+        emailIndex: emailIndex(email),
+        sealedProfile: Buffer.from(JSON.stringify({
+            sealed: sealed.toString('base64'),
+            wrappedKey: wrappedKey
+        })).toString('base64')
+    };
+};
+
+/**
+ * Decrypt a profile from prepareProfile() that came back from a client
+ * Tampered data, data prepared for another wallet or pointer, and a new key
+ * the wallet has since been given another one in place of, all read as null.
+ * @param {string} ethereumAddress - Checksummed Ethereum address the profile was prepared for
+ * @param {string} pointer - Profile pointer
+ * @param {string} sealedProfile - sealedProfile from prepareProfile()
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<object|null>} { name, email, profileHash, profilePointer, emailIndex, sealedProfile }
+ */
+const openPreparedProfile = async (ethereumAddress, pointer, sealedProfile, { store }) => {
+    try {
+        const { sealed, wrappedKey } = JSON.parse(Buffer.from(sealedProfile, 'base64').toString('utf8'));
+        const storedKey = await getProfileKey(ethereumAddress, store);
+        if (Boolean(wrappedKey) === Boolean(storedKey)) {
+            return null;
+        }
+
+        const key = storedKey || open(getKeys().wrapKey, Buffer.from(wrappedKey, 'base64'), ethereumAddress);
+        const sealedBytes = Buffer.from(sealed, 'base64');
+        const { name, email } = JSON.parse(open(key, sealedBytes, `${ethereumAddress}:${pointer}`).toString('utf8'));
+        return {
+            name: name,
+            email: email,
+            profileHash: hashSealed(sealedBytes),
+            profilePointer: pointer,
+            emailIndex: emailIndex(email),
+            sealedProfile: sealedProfile
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Store a prepared profile version, and the new key it carries
+ * @param {string} ethereumAddress - Checksummed Ethereum address
+ * @param {object} profile - { name, email, profilePointer, profileHash, sealedProfile }
+ * @param {object} context
+ * @param {Store} context.store
+ * @param {object} [context.previous] - Profile this version replaces; omit for a first version
+ * @returns {Promise<void>}
+ */
+const storeProfile = async (ethereumAddress, profile, { store, previous = null }) => {
+    const { sealed, wrappedKey } = JSON.parse(Buffer.from(profile.sealedProfile, 'base64').toString('utf8'));
+    if (wrappedKey) {
+        await store.saveProfileKey({
+            ethereumAddress: ethereumAddress,
+            wrappedKey: wrappedKey,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    await store.saveProfile({
+        pointer: profile.profilePointer,
+        ethereumAddress: ethereumAddress,
+        sealed: sealed,
+        createdAt: new Date().toISOString()
+    });
+
+    await store.saveProfileChange({
+        profileHash: profile.profileHash,
+        ethereumAddress: ethereumAddress,
+        fields: PROFILE_FIELDS.filter((field) => !previous || previous[field] !== profile[field]),
+        createdAt: new Date().toISOString()
+    });
+};
+
+/**
+ * Encrypt and store a new version of a wallet's profile
+ * @param {string} ethereumAddress - Checksummed Ethereum address
+ * @param {object} profile - { name, email }
+ * @param {object} context
+ * @param {Store} context.store
+ * @param {object} [context.previous] - Profile this version replaces; omit for a first version
+ * @returns {Promise<{ profilePointer: string, profileHash: string, emailIndex: string }>}
+ *          The values to anchor on chain
+ */
+const sealProfile = async (ethereumAddress, { name, email }, { store, previous = null }) => {
+    const prepared = await prepareProfile(ethereumAddress, { name, email }, { store });
+    await storeProfile(ethereumAddress, { ...prepared, name, email }, { store, previous });
+
+    return {
+        profilePointer: prepared.profilePointer,
+        profileHash: prepared.profileHash,
+        emailIndex: prepared.emailIndex
+    };
+};
+
+/**
+ * Read a stored profile version without checking it against the chain
+ * @param {string} ethereumAddress - Checksummed Ethereum address the profile belongs to
+ * @param {string} pointer - Profile pointer
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<object|null>} { name, email, profileHash, profilePointer, emailIndex },
+ *          or null if missing, erased or owned by another wallet
+ */
+const readProfile = async (ethereumAddress, pointer, { store }) => {
+    const record = await store.getProfile(pointer);
+    if (!record || record.ethereumAddress !== ethereumAddress) {
+        return null;
+    }
+
+    const key = await getProfileKey(ethereumAddress, store);
+    if (!key) {
+        return null;
+    }
+
+    const sealed = Buffer.from(record.sealed, 'base64');
+    const { name, email } = JSON.parse(open(key, sealed, `${ethereumAddress}:${pointer}`).toString('utf8'));
+    return {
+        name: name,
+        email: email,
+        profileHash: hashSealed(sealed),
+        profilePointer: pointer,
+        emailIndex: emailIndex(email)
+    };
+};
+
+/**
+ * Decrypt the profile an on-chain identity points to
+ * @param {object} identity - Identity from the IdentityManager client
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<{ name: string, email: string }|null>} null if the profile is gone
+ * @throws {Error} If the stored profile does not match the on-chain hash
+ */
+const openProfile = async (identity, { store }) => {
+    const profile = await readProfile(identity.ethereumAddress, identity.profilePointer, { store });
+    if (!profile) {
+        return null;
+    }
+    if (profile.profileHash !== identity.profileHash.toLowerCase()) {
+        throw new Error(`Profile ${identity.profilePointer} does not match its on-chain hash`);
+    }
+    return { name: profile.name, email: profile.email };
+};
+
+/**
+ * Delete one profile version, e.g. one that was superseded or never anchored
+ * @param {string} pointer - Profile pointer
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<boolean>} Whether a record was deleted
+ */
+const discardProfile = async (pointer, { store }) => store.deleteProfile(pointer);
+
+/**
+ * Destroy a wallet's profile key and every profile version (right to erasure)
+ * @param {string} ethereumAddress - Checksummed Ethereum address
+ * @param {object} context
+ * @param {Store} context.store
+ * @returns {Promise<number>} Number of profile versions deleted
+ */
+const eraseProfiles = async (ethereumAddress, { store }) => {
+    await store.deleteProfileKey(ethereumAddress);
+    return store.deleteProfiles(ethereumAddress);
+};
+
+module.exports = {
+    emailIndex,
+    prepareProfile,
+    openPreparedProfile,
+    storeProfile,
+    sealProfile,
+    readProfile,
+    openProfile,
+    discardProfile,
+    eraseProfiles
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const { getRevocationRegistry } = require('../blockchain');
+const { verifyToken } = require('./auth');
+const { requireRole } = require('./roles');
+const router = express.Router();
+
+/**
+ * Make sure the registry is loaded and resolve :id to a bytes32 attestation ID
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const resolveAttestation = (req, res, next) => {
+    const revocationRegistry = getRevocationRegistry();
+    if (!revocationRegistry.isInitialized()) {
+        return res.status(500).json({
+            error: 'Blockchain connection not initialized'
+        });
+    }
+
+    req.attestationId = revocationRegistry.toAttestationId(req.params.id);
+    next();
+};
+
+/**
+ * Send a status-changing transaction, mapping reverts to 400
+ * @param {Response} res
+ * @param {Function} send - Sends the transaction
+ * @param {string} message - Success message
+ */
+const sendStatusChange = async (res, send, message) => {
+    try {
+        const transaction = await send();
+
+        res.json({
+            success: true,
+            message: message,
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Attestation status change error:', error);
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to update attestation status on blockchain'
+        });
+    }
+};
+
+/**
+ * Revocation status of an attestation
+ * :id is a bytes32 attestation ID or a credential ID (e.g. urn:uuid:...)
+ * GET /api/attestations/:id/status
+ */
+router.get('/:id/status', resolveAttestation, async (req, res) => {
+    try {
+        const revocationRegistry = getRevocationRegistry();
+        const status = await revocationRegistry.getStatus(req.attestationId);
+
+        res.json({
+            success: true,
+            data: {
+                ...status,
+                registry: revocationRegistry.address
+            }
+        });
+
+    } catch (error) {
+        console.error('Attestation status error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve attestation status from blockchain'
+        });
+    }
+});
+
+/**
+ * Revoke an attestation
+ * POST /api/attestations/:id/revoke
+ */
+router.post('/:id/revoke', verifyToken, requireRole('admin'), resolveAttestation, async (req, res) => {
+    const revocationRegistry = getRevocationRegistry();
+    await sendStatusChange(
+        res,
+        () => revocationRegistry.revoke(req.attestationId),
+        'Attestation revoked successfully'
+    );
+});
+
+/**
+ * Reinstate a revoked attestation
+ * POST /api/attestations/:id/unrevoke
+ */
+router.post('/:id/unrevoke', verifyToken, requireRole('admin'), resolveAttestation, async (req, res) => {
+    const revocationRegistry = getRevocationRegistry();
+    await sendStatusChange(
+        res,
+        () => revocationRegistry.unrevoke(req.attestationId),
+        'Attestation reinstated successfully'
+    );
+});
+
+module.exports = router;
@@ -1,65 +1,430 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const Web3 = require('web3');
 const WebAuthnUtils = require('../webauthn/webauthn-utils');
-const { LocalStorage } = require('node-localstorage');
+const emailVerification = require('../email/email-verification');
+const notifications = require('../email/notifications');
+const { getStore } = require('../storage');
 
 const router = express.Router();
 const webauthn = new WebAuthnUtils();
 
-// In-memory storage for WebAuthn credentials and challenges
-// In production, use MongoDB or another persistent storage
-const localStorage = new LocalStorage('./webauthn-storage'); 
-const challenges = new Map(); // Store challenges temporarily
+// Provider-less instance, only used for signature recovery
+const web3 = new Web3();
+
+// Users, credentials, challenges and sessions live in the configured store
+const store = getStore();
+
+// Challenges expire after 5 minutes (enforced by the store)
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Verification codes are sent to an address at most this often
+const VERIFICATION_RESEND_MS = 60 * 1000;
+
+// Devices remembered per account for new-device sign-in notifications
+const MAX_KNOWN_DEVICES = 20;
 
 // Middleware to parse JSON
 router.use(express.json());
 
+/**
+ * Check an access token and the session it belongs to
+ * Rejects tokens whose session has been revoked or has expired.
+ * @param {string} [token] - Access token
+ * @returns {Promise<object>} { user, session }, or { status, error } if rejected
+ */
+const authenticateToken = async (token) => {
+    if (!token) {
+        return { status: 401, error: 'Access token required' };
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return { status: 403, error: 'Invalid or expired token' };
+    }
+
+    const session = decoded.sid && await store.getSession(decoded.sid);
+    if (!session || Date.now() > session.expiresAt) {
+        return { status: 401, error: 'Session revoked or expired' };
+    }
+
+    return { user: decoded, session: session };
+};
+
+/**
+ * Access token of a request's Authorization header
+ * @param {Request} req
+ * @returns {string|undefined}
+ */
+const bearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+/**
+ * Middleware authenticating the token getToken finds in a request
+ * @param {Function} getToken - Request => access token
+ * @returns {Function} Middleware
+ */
+const tokenMiddleware = (getToken) => async (req, res, next) => {
+    let result;
+    try {
+        result = await authenticateToken(getToken(req));
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        return res.status(500).json({ error: 'Failed to verify session' });
+    }
+
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    req.user = result.user;
+    req.session = result.session;
+    next();
+};
+
 /**
  * Verify JWT token middleware
+ * Also rejects tokens whose session has been revoked or has expired.
  * @param {Request} req 
  * @param {Response} res 
  * @param {Function} next 
  */
-const verifyToken = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+const verifyToken = tokenMiddleware(bearerToken);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
+/**
+ * Like verifyToken, but also takes the token from the token query parameter,
+ * since EventSource cannot set an Authorization header
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const verifyStreamToken = tokenMiddleware((req) => bearerToken(req) || req.query.token);
 
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (error) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
+/**
+ * Like verifyToken, but lets requests without an Authorization header through anonymously
+ * A token that is sent must still be valid.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const optionalToken = (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
     }
+    return verifyToken(req, res, next);
 };
 
 /**
- * Cleanup expired challenges (called periodically)
+ * Identify who a session belongs to: the account email, or the wallet for wallet-only sessions
+ * @param {object} user - Stored user record (or wallet-only user)
+ * @returns {string} Session subject
+ */
+const sessionSubject = (user) => user.email || user.ethereumAddress;
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashRefreshSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Create a session for a successful login
+ * @param {Request} req - Login request, used for device information
+ * @param {object} user - Authenticated user
+ * @param {string} authMethod - How the user authenticated
+ * @returns {Promise<object>} The session and its refresh token
  */
-const cleanupExpiredChallenges = () => {
+const createSession = async (req, user, authMethod) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
     const now = Date.now();
-    for (const [key, data] of challenges.entries()) {
-        if (now > data.expires) {
-            challenges.delete(key);
-        }
+
+    const session = await store.saveSession({
+        sessionId: crypto.randomBytes(16).toString('hex'),
+        subject: sessionSubject(user),
+        email: user.email,
+        authMethod: authMethod,
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + REFRESH_TOKEN_TTL_MS,
+        refreshTokenHash: hashRefreshSecret(secret)
+    });
+
+    return {
+        session: session,
+        refreshToken: `${session.sessionId}.${secret}`
+    };
+};
+
+/**
+ * Email the account holder when they sign in from a device they have not used before
+ * Devices are told apart by user agent; the first sign-in only remembers its device.
+ * @param {Request} req - Login request
+ * @param {object} user - Authenticated user (wallet-only users have no email and are skipped)
+ * @param {object} session - The new session
+ */
+const notifyIfNewDevice = async (req, user, session) => {
+    if (!user.email) {
+        return;
+    }
+
+    const device = crypto.createHash('sha256').update(req.headers['user-agent'] || '').digest('hex');
+    const stored = await store.getUser(user.email);
+    const knownDevices = stored.knownDevices || [];
+    if (knownDevices.includes(device)) {
+        return;
+    }
+
+    await store.saveUser({ ...stored, knownDevices: [...knownDevices, device].slice(-MAX_KNOWN_DEVICES) });
+    if (knownDevices.length > 0) {
+        notifications.newDeviceLogin(stored, session);
+    }
+};
+
+/**
+ * Shape a stored session for API responses (omits the refresh token hash)
+ * @param {object} session - Stored session
+ * @param {string} currentSessionId - Session of the request, flagged as current
+ * @returns {object} Public session summary
+ */
+const toSessionSummary = (session, currentSessionId) => ({
+    sessionId: session.sessionId,
+    authMethod: session.authMethod,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    current: session.sessionId === currentSessionId
+});
+
+/**
+ * Issue a short-lived access token for a user's session
+ * @param {object} user - Stored user record
+ * @param {object} session - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const issueToken = (user, session) => {
+    const tokenPayload = {
+        email: user.email,
+        name: user.name,
+        sid: session.sessionId,
+        authenticatedAt: session.createdAt,
+        authMethod: session.authMethod
+    };
+
+    // Only present once the wallet has been proven with a signature
+    if (user.ethereumAddress) {
+        tokenPayload.ethereumAddress = user.ethereumAddress;
     }
+
+    return jwt.sign(
+        tokenPayload,
+        process.env.JWT_SECRET,
+        { 
+            expiresIn: ACCESS_TOKEN_TTL,
+            issuer: 'decentralized-identity-system',
+            audience: 'user'
+        }
+    );
+};
+
+/**
+ * Build the message a user signs with personal_sign to prove wallet ownership
+ * @param {string} email - Account email
+ * @param {string} address - Checksummed wallet address
+ * @param {string} nonce - Single-use nonce
+ * @param {string} issuedAt - ISO timestamp
+ * @returns {string} Message to sign
+ */
+const buildWalletLinkMessage = (email, address, nonce, issuedAt) => [
+    `${webauthn.rpName} wants you to link your wallet to your account.`,
+    '',
+    `Account: ${email}`,
+    `Wallet: ${address}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+].join('\n');
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message bound to this relying party
+ * @param {object} fields
+ * @param {string} fields.address - Checksummed wallet address
+ * @param {number} fields.chainId - EIP-155 chain ID the wallet is connected to
+ * @param {string} fields.nonce - Single-use nonce
+ * @param {string} fields.issuedAt - ISO timestamp
+ * @param {string} fields.expirationTime - ISO timestamp
+ * @returns {string} Message to sign
+ */
+const buildSiweMessage = ({ address, chainId, nonce, issuedAt, expirationTime }) => [
+    `${new URL(webauthn.origin).host} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    `Sign in to ${webauthn.rpName}.`,
+    '',
+    `URI: ${webauthn.origin}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+].join('\n');
+
+/**
+ * Map the client's request for a discoverable passkey to a residentKey requirement
+ * @param {boolean} discoverable - Whether a usernameless passkey was requested
+ * @returns {string} residentKey value for the registration options
+ */
+const residentKeyFor = (discoverable) => (discoverable ? 'required' : 'discouraged');
+
+/**
+ * Build a stored credential record from a successful registration verification
+ * @param {string} email - Owner's email address
+ * @param {object} verification - Result of verifyRegistrationCredential
+ * @param {object} credential - Credential sent by the client
+ * @param {object} challengeData - Challenge record holding the nickname and resident key request
+ * @returns {object} Credential record
+ */
+const buildCredentialRecord = (email, verification, credential, challengeData) => {
+    const transports = Array.isArray(credential.response.transports)
+        ? credential.response.transports.filter(t => typeof t === 'string')
+        : [];
+
+    // Prefer the credProps extension output, which reports what the authenticator actually created
+    const credProps = (credential.clientExtensionResults || {}).credProps;
+    const discoverable = credProps && typeof credProps.rk === 'boolean'
+        ? credProps.rk
+        : challengeData.residentKey === 'required';
+
+    return {
+        credentialId: verification.credentialId,
+        email: email,
+        publicKey: verification.publicKey,
+        credentialPublicKey: verification.credentialPublicKey,
+        algorithm: verification.algorithm,
+        counter: verification.counter,
+        aaguid: verification.aaguid,
+        attestationFormat: verification.attestationFormat,
+        transports: transports,
+        discoverable: discoverable,
+        nickname: challengeData.nickname || 'Passkey',
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
 };
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredChallenges, 5 * 60 * 1000);
+/**
+ * Shape a stored credential for API responses (omits key material)
+ * @param {object} credential - Stored credential record
+ * @returns {object} Public credential summary
+ */
+const toCredentialSummary = (credential) => ({
+    credentialId: credential.credentialId,
+    nickname: credential.nickname,
+    transports: credential.transports,
+    discoverable: !!credential.discoverable,
+    aaguid: credential.aaguid,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt
+});
+
+/**
+ * Email a code proving ownership of an address
+ * POST /api/auth/email/verification
+ */
+router.post('/email/verification', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!email || !emailRegex.test(email)) {
+            return res.status(400).json({ 
+                error: 'Invalid email format' 
+            });
+        }
+
+        // Throttle resends so the endpoint cannot be used to flood an inbox
+        const throttleKey = `email_verification_sent_${emailVerification.normalizeEmail(email)}`;
+        const sent = await store.saveChallengeIfAbsent(throttleKey, { until: Date.now() + VERIFICATION_RESEND_MS }, VERIFICATION_RESEND_MS);
+        if (!sent) {
+            return res.status(429).json({ 
+                error: 'A code was sent to this address recently; try again in a minute' 
+            });
+        }
+
+        const verification = await emailVerification.startVerification(email, { store });
+
+        res.json({
+            success: true,
+            message: 'Verification code sent',
+            verificationId: verification.verificationId,
+            expiresAt: verification.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ 
+            error: 'Failed to send verification code' 
+        });
+    }
+});
+
+/**
+ * Exchange an emailed code for an email verification token
+ * Pass the token as emailVerificationToken to register with the email.
+ * POST /api/auth/email/verification/confirm
+ */
+router.post('/email/verification/confirm', async (req, res) => {
+    try {
+        const { verificationId, code } = req.body;
+
+        if (!verificationId || !code || typeof verificationId !== 'string') {
+            return res.status(400).json({ 
+                error: 'Verification ID and code are required' 
+            });
+        }
+
+        const result = await emailVerification.confirmVerification(verificationId, code, { store });
+        if (result.error) {
+            return res.status(400).json({ 
+                error: result.error 
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verified',
+            email: result.email,
+            emailVerificationToken: result.token
+        });
+
+    } catch (error) {
+        console.error('Email verification confirm error:', error);
+        res.status(500).json({ 
+            error: 'Failed to verify email' 
+        });
+    }
+});
 
 /**
  * Generate registration options for WebAuthn
+ * The email must be verified first (emailVerificationToken).
  * POST /api/auth/register/begin
  */
 router.post('/register/begin', async (req, res) => {
     try {
-        const { email, name } = req.body;
+        const { email, name, nickname, discoverable, emailVerificationToken } = req.body;
         
         if (!email || !name) {
             return res.status(400).json({ 
@@ -75,25 +440,35 @@ router.post('/register/begin', async (req, res) => {
             });
         }
 
-        // Check if user already has WebAuthn credentials
-        const existingCreds = localStorage.getItem(`webauthn_${email}`);
-        if (existingCreds) {
+        if (!emailVerification.isEmailVerified(emailVerificationToken, email)) {
+            return res.status(403).json({ 
+                error: 'Verify the email first: emailVerificationToken from /api/auth/email/verification/confirm is required' 
+            });
+        }
+
+        // Additional passkeys must be added from an authenticated session
+        const existingCredentials = await store.listCredentials(email);
+        if (existingCredentials.length > 0) {
             return res.status(400).json({ 
-                error: 'User already has biometric credentials registered' 
+                error: 'User already has biometric credentials registered. Sign in to add another passkey.' 
             });
         }
 
         // Generate registration options
-        const options = webauthn.generateRegistrationOptions(email, name);
+        const options = webauthn.generateRegistrationOptions(email, name, {
+            residentKey: residentKeyFor(discoverable)
+        });
         
-        // Store challenge temporarily (expires in 5 minutes)
+        // Store challenge temporarily
         const challengeKey = `challenge_${email}_${Date.now()}`;
-        challenges.set(challengeKey, {
+        await store.saveChallenge(challengeKey, {
             challenge: options.challenge,
             email: email,
             name: name,
-            expires: Date.now() + 5 * 60 * 1000 // 5 minutes
-        });
+            userId: options.user.id,
+            nickname: nickname,
+            residentKey: options.authenticatorSelection.residentKey
+        }, CHALLENGE_TTL_MS);
 
         // Send options to client
         res.json({
@@ -124,53 +499,45 @@ router.post('/register/complete', async (req, res) => {
             });
         }
 
-        // Retrieve and validate challenge
-        const challengeData = challenges.get(challengeKey);
+        // Retrieve the challenge; it is single use and expired ones are not returned
+        const challengeData = await store.takeChallenge(challengeKey);
         if (!challengeData) {
             return res.status(400).json({ 
                 error: 'Invalid or expired challenge' 
             });
         }
 
-        // Check if challenge expired
-        if (Date.now() > challengeData.expires) {
-            challenges.delete(challengeKey);
-            return res.status(400).json({ 
-                error: 'Challenge expired' 
-            });
-        }
-
         // Verify the registration credential
-        const verification = webauthn.verifyRegistrationCredential(
+        const verification = await webauthn.verifyRegistrationCredential(
             credential, 
             challengeData.challenge
         );
 
         if (!verification.verified) {
-            challenges.delete(challengeKey);
             return res.status(400).json({ 
                 error: verification.error || 'Registration verification failed' 
             });
         }
 
-        // Store the credential
-        const credentialData = {
-            credentialId: verification.credentialId,
-            publicKey: verification.publicKey,
-            counter: verification.counter,
+        // Guard against a second registration racing the first
+        const existingCredentials = await store.listCredentials(challengeData.email);
+        if (existingCredentials.length > 0) {
+            return res.status(400).json({ 
+                error: 'User already has biometric credentials registered' 
+            });
+        }
+
+        // Store the user and their first credential
+        await store.saveUser({
             email: challengeData.email,
             name: challengeData.name,
+            userId: challengeData.userId,
             registeredAt: new Date().toISOString()
-        };
-
-        localStorage.setItem(
-            `webauthn_${challengeData.email}`, 
-            JSON.stringify(credentialData)
+        });
+        await store.saveCredential(
+            buildCredentialRecord(challengeData.email, verification, credential, challengeData)
         );
 
-        // Clean up challenge
-        challenges.delete(challengeKey);
-
         res.json({
             success: true,
             message: 'Biometric registration completed successfully'
@@ -186,6 +553,7 @@ router.post('/register/complete', async (req, res) => {
 
 /**
  * Generate authentication options for WebAuthn
+ * Without an email, issues a usernameless challenge for discoverable passkeys.
  * POST /api/auth/login/begin
  */
 router.post('/login/begin', async (req, res) => {
@@ -193,8 +561,19 @@ router.post('/login/begin', async (req, res) => {
         const { email } = req.body;
         
         if (!email) {
-            return res.status(400).json({ 
-                error: 'Email is required' 
+            // Empty allowCredentials lets the authenticator choose a discoverable passkey
+            const options = webauthn.generateAuthenticationOptions([]);
+
+            const challengeKey = `auth_challenge_usernameless_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+            await store.saveChallenge(challengeKey, {
+                challenge: options.challenge,
+                email: null
+            }, CHALLENGE_TTL_MS);
+
+            return res.json({
+                success: true,
+                options: options,
+                challengeKey: challengeKey
             });
         }
 
@@ -207,27 +586,24 @@ router.post('/login/begin', async (req, res) => {
         }
 
         // Check if user has registered credentials
-        const credentialData = localStorage.getItem(`webauthn_${email}`);
-        if (!credentialData) {
+        const credentials = await store.listCredentials(email);
+        if (credentials.length === 0) {
             return res.status(404).json({ 
                 error: 'No biometric credentials found for this user' 
             });
         }
-
-        const credential = JSON.parse(credentialData);
         
-        // Generate authentication options
-        const options = webauthn.generateAuthenticationOptions([
-            credential.credentialId
-        ]);
+        // Generate authentication options allowing any of the user's passkeys
+        const options = webauthn.generateAuthenticationOptions(
+            credentials.map(cred => cred.credentialId)
+        );
         
         // Store challenge temporarily
         const challengeKey = `auth_challenge_${email}_${Date.now()}`;
-        challenges.set(challengeKey, {
+        await store.saveChallenge(challengeKey, {
             challenge: options.challenge,
-            email: email,
-            expires: Date.now() + 5 * 60 * 1000 // 5 minutes
-        });
+            email: email
+        }, CHALLENGE_TTL_MS);
 
         res.json({
             success: true,
@@ -257,82 +633,77 @@ router.post('/login/complete', async (req, res) => {
             });
         }
 
-        // Retrieve and validate challenge
-        const challengeData = challenges.get(challengeKey);
+        // Retrieve the challenge; it is single use and expired ones are not returned
+        const challengeData = await store.takeChallenge(challengeKey);
         if (!challengeData) {
             return res.status(400).json({ 
                 error: 'Invalid or expired challenge' 
             });
         }
 
-        // Check if challenge expired
-        if (Date.now() > challengeData.expires) {
-            challenges.delete(challengeKey);
+        // Resolve the account: from the challenge email, or from the user handle for usernameless login
+        const userHandle = credential.response && credential.response.userHandle;
+        let user;
+        if (challengeData.email) {
+            user = await store.getUser(challengeData.email);
+        } else if (userHandle && /^[A-Za-z0-9_-]+$/.test(userHandle)) {
+            user = await store.getUserByHandle(userHandle);
+        } else {
             return res.status(400).json({ 
-                error: 'Challenge expired' 
+                error: 'User handle is required for usernameless login' 
+            });
+        }
+
+        // A returned user handle must belong to the account being authenticated
+        if (user && userHandle && user.userId && userHandle !== user.userId) {
+            return res.status(401).json({ 
+                error: 'User handle mismatch' 
             });
         }
 
-        // Get stored credential
-        const storedCredentialData = localStorage.getItem(`webauthn_${challengeData.email}`);
-        if (!storedCredentialData) {
-            challenges.delete(challengeKey);
+        // Get the stored credential the client authenticated with
+        const storedCredential = user && await store.getCredential(credential.id);
+        if (!storedCredential || storedCredential.email !== user.email) {
             return res.status(404).json({ 
                 error: 'Stored credential not found' 
             });
         }
 
-        const storedCredential = JSON.parse(storedCredentialData);
-
         // Verify the authentication credential
-        const verification = webauthn.verifyAuthenticationCredential(
+        const verification = await webauthn.verifyAuthenticationCredential(
             credential,
             challengeData.challenge,
             storedCredential
         );
 
         if (!verification.verified) {
-            challenges.delete(challengeKey);
             return res.status(401).json({ 
                 error: verification.error || 'Authentication verification failed' 
             });
         }
 
-        // Update counter
-        storedCredential.counter = verification.counter;
-        localStorage.setItem(
-            `webauthn_${challengeData.email}`, 
-            JSON.stringify(storedCredential)
-        );
-
-        // Generate JWT token
-        const tokenPayload = {
-            email: challengeData.email,
-            name: storedCredential.name,
-            authenticatedAt: Date.now(),
-            authMethod: 'webauthn'
-        };
-
-        const token = jwt.sign(
-            tokenPayload,
-            process.env.JWT_SECRET,
-            { 
-                expiresIn: '24h',
-                issuer: 'decentralized-identity-system',
-                audience: 'user'
-            }
-        );
+        // Update counter and usage timestamp
+        await store.updateCredential(storedCredential.credentialId, {
+            counter: verification.counter,
+            lastUsedAt: new Date().toISOString()
+        });
 
-        // Clean up challenge
-        challenges.delete(challengeKey);
+        // Start a session and issue tokens
+        const { session, refreshToken } = await createSession(req, user, 'webauthn');
+        const token = issueToken(user, session);
+        notifyIfNewDevice(req, user, session).catch((error) => {
+            console.error('New device check error:', error);
+        });
 
         res.json({
             success: true,
             message: 'Authentication successful',
             token: token,
+            refreshToken: refreshToken,
             user: {
-                email: challengeData.email,
-                name: storedCredential.name
+                email: user.email,
+                name: user.name,
+                ethereumAddress: user.ethereumAddress || null
             }
         });
 
@@ -345,72 +716,676 @@ router.post('/login/complete', async (req, res) => {
 });
 
 /**
- * Get current user info (protected route)
- * GET /api/auth/me
+ * Issue a Sign-In with Ethereum message for a wallet
+ * POST /api/auth/siwe/nonce
  */
-router.get('/me', verifyToken, (req, res) => {
-    res.json({
-        success: true,
-        user: {
-            email: req.user.email,
-            name: req.user.name,
-            authenticatedAt: req.user.authenticatedAt,
-            authMethod: req.user.authMethod
+router.post('/siwe/nonce', async (req, res) => {
+    try {
+        const { ethereumAddress, chainId = 1 } = req.body;
+
+        if (!ethereumAddress || !web3.utils.isAddress(ethereumAddress)) {
+            return res.status(400).json({ 
+                error: 'Valid Ethereum address is required' 
+            });
         }
-    });
+
+        const parsedChainId = Number(chainId);
+        if (!Number.isInteger(parsedChainId) || parsedChainId <= 0) {
+            return res.status(400).json({ 
+                error: 'Invalid chain ID' 
+            });
+        }
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const message = buildSiweMessage({
+            address: web3.utils.toChecksumAddress(ethereumAddress),
+            chainId: parsedChainId,
+            nonce: nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: new Date(issuedAt.getTime() + CHALLENGE_TTL_MS).toISOString()
+        });
+
+        // The nonce doubles as the challenge key; the store expires it with the message
+        await store.saveChallenge(`siwe_${nonce}`, {
+            message: message,
+            ethereumAddress: web3.utils.toChecksumAddress(ethereumAddress)
+        }, CHALLENGE_TTL_MS);
+
+        res.json({
+            success: true,
+            message: message,
+            nonce: nonce
+        });
+
+    } catch (error) {
+        console.error('SIWE nonce error:', error);
+        res.status(500).json({ 
+            error: 'Failed to generate sign-in message' 
+        });
+    }
 });
 
 /**
- * Check if user has WebAuthn credentials registered
- * POST /api/auth/check-credentials
+ * Verify a Sign-In with Ethereum signature and issue JWT
+ * POST /api/auth/siwe/verify
  */
-router.post('/check-credentials', (req, res) => {
+router.post('/siwe/verify', async (req, res) => {
     try {
-        const { email } = req.body;
-        
-        if (!email) {
+        const { message, signature } = req.body;
+
+        if (!message || !signature || typeof message !== 'string') {
             return res.status(400).json({ 
-                error: 'Email is required' 
+                error: 'Message and signature are required' 
             });
         }
 
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
+        const nonceMatch = message.match(/^Nonce: ([0-9a-f]+)$/m);
+        if (!nonceMatch) {
             return res.status(400).json({ 
-                error: 'Invalid email format' 
+                error: 'Malformed sign-in message' 
             });
         }
 
-        const credentialData = localStorage.getItem(`webauthn_${email}`);
-        
+        // The message must be exactly the one issued for this nonce, which binds
+        // the domain, URI, chain ID, address and expiry
+        const challengeData = await store.takeChallenge(`siwe_${nonceMatch[1]}`);
+        if (!challengeData || challengeData.message !== message) {
+            return res.status(400).json({ 
+                error: 'Invalid or expired nonce' 
+            });
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = web3.eth.accounts.recover(message, signature);
+        } catch (error) {
+            return res.status(400).json({ 
+                error: 'Invalid signature' 
+            });
+        }
+
+        if (recoveredAddress !== challengeData.ethereumAddress) {
+            return res.status(401).json({ 
+                error: 'Signature does not match wallet address' 
+            });
+        }
+
+        // Wallets linked to an account sign in as that account; others get a wallet-only session
+        const user = await store.getUserByAddress(recoveredAddress) || {
+            email: null,
+            name: null,
+            ethereumAddress: recoveredAddress
+        };
+
+        const { session, refreshToken } = await createSession(req, user, 'siwe');
+        const token = issueToken(user, session);
+        notifyIfNewDevice(req, user, session).catch((error) => {
+            console.error('New device check error:', error);
+        });
+
         res.json({
             success: true,
-            hasCredentials: !!credentialData
+            message: 'Authentication successful',
+            token: token,
+            refreshToken: refreshToken,
+            user: {
+                email: user.email,
+                name: user.name,
+                ethereumAddress: recoveredAddress
+            }
         });
 
     } catch (error) {
-        console.error('Check credentials error:', error);
+        console.error('SIWE verify error:', error);
         res.status(500).json({ 
-            error: 'Failed to check credentials' 
+            error: 'Failed to verify sign-in' 
         });
     }
 });
 
 /**
- * Logout route (optional - for completeness)
- * POST /api/auth/logout  
+ * Get current user info (protected route)
+ * GET /api/auth/me
  */
-router.post('/logout', verifyToken, (req, res) => {
-    // In a stateless JWT system, logout is typically handled client-side
-    // by removing the token. This endpoint exists for consistency.
+router.get('/me', verifyToken, (req, res) => {
     res.json({
         success: true,
-        message: 'Logged out successfully'
+        user: {
+            email: req.user.email,
+            name: req.user.name,
+            ethereumAddress: req.user.ethereumAddress || null,
+            authenticatedAt: req.user.authenticatedAt,
+            authMethod: req.user.authMethod
+        }
     });
 });
 
-// Export the verifyToken middleware for use in other routes
+/**
+ * Issue a nonce message for linking a wallet to the authenticated account
+ * POST /api/auth/wallet/nonce
+ */
+router.post('/wallet/nonce', verifyToken, async (req, res) => {
+    try {
+        const { ethereumAddress } = req.body;
+
+        // Wallet-only (SIWE) sessions have no account to link to
+        if (!req.user.email) {
+            return res.status(400).json({ 
+                error: 'Sign in with a passkey account to link a wallet' 
+            });
+        }
+
+        if (!ethereumAddress || !web3.utils.isAddress(ethereumAddress)) {
+            return res.status(400).json({ 
+                error: 'Valid Ethereum address is required' 
+            });
+        }
+
+        const address = web3.utils.toChecksumAddress(ethereumAddress);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const message = buildWalletLinkMessage(req.user.email, address, nonce, new Date().toISOString());
+
+        const challengeKey = `wallet_challenge_${req.user.email}_${Date.now()}`;
+        await store.saveChallenge(challengeKey, {
+            email: req.user.email,
+            ethereumAddress: address,
+            message: message
+        }, CHALLENGE_TTL_MS);
+
+        res.json({
+            success: true,
+            message: message,
+            challengeKey: challengeKey
+        });
+
+    } catch (error) {
+        console.error('Wallet nonce error:', error);
+        res.status(500).json({ 
+            error: 'Failed to generate wallet link nonce' 
+        });
+    }
+});
+
+/**
+ * Verify a personal_sign signature and link the wallet to the authenticated account
+ * POST /api/auth/wallet/link
+ */
+router.post('/wallet/link', verifyToken, async (req, res) => {
+    try {
+        const { challengeKey, signature } = req.body;
+
+        if (!challengeKey || !signature) {
+            return res.status(400).json({ 
+                error: 'Challenge key and signature are required' 
+            });
+        }
+
+        const challengeData = await store.takeChallenge(challengeKey);
+        if (!challengeData || challengeData.email !== req.user.email || !challengeData.message) {
+            return res.status(400).json({ 
+                error: 'Invalid or expired challenge' 
+            });
+        }
+
+        // Recover the signer of the personal_sign message
+        let recoveredAddress;
+        try {
+            recoveredAddress = web3.eth.accounts.recover(challengeData.message, signature);
+        } catch (error) {
+            return res.status(400).json({ 
+                error: 'Invalid signature' 
+            });
+        }
+
+        if (recoveredAddress !== challengeData.ethereumAddress) {
+            return res.status(401).json({ 
+                error: 'Signature does not match wallet address' 
+            });
+        }
+
+        const user = await store.getUser(req.user.email);
+        if (!user) {
+            return res.status(404).json({ 
+                error: 'User not found' 
+            });
+        }
+
+        // A wallet can only be bound to one account
+        const existingOwner = await store.getUserByAddress(recoveredAddress);
+        if (existingOwner && existingOwner.email !== user.email) {
+            return res.status(409).json({ 
+                error: 'Wallet is already linked to another account' 
+            });
+        }
+
+        user.ethereumAddress = recoveredAddress;
+        user.walletLinkedAt = new Date().toISOString();
+        await store.saveUser(user);
+
+        // Re-issue the token so it carries the verified address
+        const token = issueToken(user, req.session);
+
+        res.json({
+            success: true,
+            message: 'Wallet linked successfully',
+            token: token,
+            ethereumAddress: recoveredAddress
+        });
+
+    } catch (error) {
+        console.error('Wallet link error:', error);
+        res.status(500).json({ 
+            error: 'Failed to link wallet' 
+        });
+    }
+});
+
+/**
+ * Unlink the wallet from the authenticated account
+ * DELETE /api/auth/wallet
+ */
+router.delete('/wallet', verifyToken, async (req, res) => {
+    try {
+        const user = await store.getUser(req.user.email);
+        if (!user || !user.ethereumAddress) {
+            return res.status(404).json({ 
+                error: 'No wallet linked to this account' 
+            });
+        }
+
+        delete user.ethereumAddress;
+        delete user.walletLinkedAt;
+        await store.saveUser(user);
+
+        // Tokens issued while the wallet was linked still name it, so end every
+        // session of the account and start a new one for this device
+        for (const session of await store.listSessions(req.session.subject)) {
+            await store.deleteSession(session.sessionId);
+        }
+        const { session, refreshToken } = await createSession(req, user, req.session.authMethod);
+        const token = issueToken(user, session);
+
+        res.json({
+            success: true,
+            message: 'Wallet unlinked successfully',
+            token: token,
+            refreshToken: refreshToken
+        });
+
+    } catch (error) {
+        console.error('Wallet unlink error:', error);
+        res.status(500).json({ 
+            error: 'Failed to unlink wallet' 
+        });
+    }
+});
+
+/**
+ * Check if user has WebAuthn credentials registered
+ * POST /api/auth/check-credentials
+ */
+router.post('/check-credentials', async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!email) {
+            return res.status(400).json({ 
+                error: 'Email is required' 
+            });
+        }
+
+        // Validate email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ 
+                error: 'Invalid email format' 
+            });
+        }
+
+        const credentials = await store.listCredentials(email);
+        
+        res.json({
+            success: true,
+            hasCredentials: credentials.length > 0
+        });
+
+    } catch (error) {
+        console.error('Check credentials error:', error);
+        res.status(500).json({ 
+            error: 'Failed to check credentials' 
+        });
+    }
+});
+
+/**
+ * List the authenticated user's passkeys
+ * GET /api/auth/credentials
+ */
+router.get('/credentials', verifyToken, async (req, res) => {
+    try {
+        const credentials = await store.listCredentials(req.user.email);
+
+        res.json({
+            success: true,
+            credentials: credentials.map(toCredentialSummary)
+        });
+
+    } catch (error) {
+        console.error('List credentials error:', error);
+        res.status(500).json({ 
+            error: 'Failed to list credentials' 
+        });
+    }
+});
+
+/**
+ * Generate registration options for an additional passkey
+ * POST /api/auth/credentials/begin
+ */
+router.post('/credentials/begin', verifyToken, async (req, res) => {
+    try {
+        const { nickname, discoverable } = req.body;
+
+        const user = await store.getUser(req.user.email);
+        if (!user) {
+            return res.status(404).json({ 
+                error: 'User not found' 
+            });
+        }
+
+        // Exclude existing passkeys so the same authenticator is not registered twice
+        const credentials = await store.listCredentials(user.email);
+        const options = webauthn.generateRegistrationOptions(user.email, user.name, {
+            userId: user.userId || undefined,
+            excludeCredentials: credentials.map(cred => cred.credentialId),
+            residentKey: residentKeyFor(discoverable)
+        });
+
+        const challengeKey = `add_challenge_${user.email}_${Date.now()}`;
+        await store.saveChallenge(challengeKey, {
+            challenge: options.challenge,
+            email: user.email,
+            userId: options.user.id,
+            nickname: nickname,
+            residentKey: options.authenticatorSelection.residentKey
+        }, CHALLENGE_TTL_MS);
+
+        res.json({
+            success: true,
+            options: options,
+            challengeKey: challengeKey
+        });
+
+    } catch (error) {
+        console.error('Add credential begin error:', error);
+        res.status(500).json({ 
+            error: 'Failed to generate registration options' 
+        });
+    }
+});
+
+/**
+ * Complete registration of an additional passkey
+ * POST /api/auth/credentials/complete
+ */
+router.post('/credentials/complete', verifyToken, async (req, res) => {
+    try {
+        const { credential, challengeKey } = req.body;
+
+        if (!credential || !challengeKey) {
+            return res.status(400).json({ 
+                error: 'Credential and challenge key are required' 
+            });
+        }
+
+        // The challenge must belong to the authenticated user
+        const challengeData = await store.takeChallenge(challengeKey);
+        if (!challengeData || challengeData.email !== req.user.email) {
+            return res.status(400).json({ 
+                error: 'Invalid or expired challenge' 
+            });
+        }
+
+        const verification = await webauthn.verifyRegistrationCredential(
+            credential,
+            challengeData.challenge
+        );
+
+        if (!verification.verified) {
+            return res.status(400).json({ 
+                error: verification.error || 'Registration verification failed' 
+            });
+        }
+
+        const user = await store.getUser(challengeData.email);
+        if (!user) {
+            return res.status(404).json({ 
+                error: 'User not found' 
+            });
+        }
+
+        if (await store.getCredential(verification.credentialId)) {
+            return res.status(400).json({ 
+                error: 'Passkey already registered' 
+            });
+        }
+
+        // Accounts created before user handles were stored adopt the new one
+        if (!user.userId) {
+            user.userId = challengeData.userId;
+            await store.saveUser(user);
+        }
+
+        const record = buildCredentialRecord(user.email, verification, credential, challengeData);
+        await store.saveCredential(record);
+        notifications.passkeyAdded(user, record);
+
+        res.json({
+            success: true,
+            message: 'Passkey added successfully',
+            credential: toCredentialSummary(record)
+        });
+
+    } catch (error) {
+        console.error('Add credential complete error:', error);
+        res.status(500).json({ 
+            error: 'Failed to add passkey' 
+        });
+    }
+});
+
+/**
+ * Revoke one of the authenticated user's passkeys
+ * DELETE /api/auth/credentials/:credentialId
+ */
+router.delete('/credentials/:credentialId', verifyToken, async (req, res) => {
+    try {
+        const { credentialId } = req.params;
+
+        const credentials = await store.listCredentials(req.user.email);
+        if (!credentials.some(cred => cred.credentialId === credentialId)) {
+            return res.status(404).json({ 
+                error: 'Credential not found' 
+            });
+        }
+
+        // Removing the last passkey would lock the user out of their account
+        if (credentials.length === 1) {
+            return res.status(400).json({ 
+                error: 'Cannot remove the only registered passkey' 
+            });
+        }
+
+        await store.deleteCredential(credentialId);
+
+        res.json({
+            success: true,
+            message: 'Passkey removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete credential error:', error);
+        res.status(500).json({ 
+            error: 'Failed to remove passkey' 
+        });
+    }
+});
+
+/**
+ * Exchange a refresh token for a new access token, rotating the refresh token
+ * POST /api/auth/token/refresh
+ */
+router.post('/token/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ 
+                error: 'Refresh token is required' 
+            });
+        }
+
+        const [sessionId, secret] = refreshToken.split('.');
+        const session = sessionId && secret && await store.getSession(sessionId);
+        if (!session) {
+            return res.status(401).json({ 
+                error: 'Invalid refresh token' 
+            });
+        }
+
+        if (Date.now() > session.expiresAt) {
+            await store.deleteSession(sessionId);
+            return res.status(401).json({ 
+                error: 'Session expired' 
+            });
+        }
+
+        // A rotated-out token being presented again means it leaked: end the session
+        const presentedHash = Buffer.from(hashRefreshSecret(secret), 'hex');
+        const storedHash = Buffer.from(session.refreshTokenHash, 'hex');
+        if (!crypto.timingSafeEqual(presentedHash, storedHash)) {
+            await store.deleteSession(sessionId);
+            return res.status(401).json({ 
+                error: 'Refresh token reuse detected; session revoked' 
+            });
+        }
+
+        // Reload the account so the new token reflects its current state
+        const user = session.email
+            ? await store.getUser(session.email)
+            : { email: null, name: null, ethereumAddress: session.subject };
+        if (!user) {
+            await store.deleteSession(sessionId);
+            return res.status(401).json({ 
+                error: 'User not found' 
+            });
+        }
+
+        const newSecret = crypto.randomBytes(32).toString('base64url');
+        session.refreshTokenHash = hashRefreshSecret(newSecret);
+        session.lastUsedAt = Date.now();
+        await store.saveSession(session);
+
+        res.json({
+            success: true,
+            token: issueToken(user, session),
+            refreshToken: `${session.sessionId}.${newSecret}`
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ 
+            error: 'Failed to refresh token' 
+        });
+    }
+});
+
+/**
+ * List the active sessions of the authenticated user
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', verifyToken, async (req, res) => {
+    try {
+        const now = Date.now();
+        const sessions = await store.listSessions(req.session.subject);
+
+        res.json({
+            success: true,
+            sessions: sessions
+                .filter(session => now <= session.expiresAt)
+                .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+                .map(session => toSessionSummary(session, req.session.sessionId))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ 
+            error: 'Failed to list sessions' 
+        });
+    }
+});
+
+/**
+ * Revoke one of the authenticated user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+    try {
+        const session = await store.getSession(req.params.sessionId);
+        if (!session || session.subject !== req.session.subject) {
+            return res.status(404).json({ 
+                error: 'Session not found' 
+            });
+        }
+
+        await store.deleteSession(session.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ 
+            error: 'Failed to revoke session' 
+        });
+    }
+});
+
+/**
+ * Logout: revokes the current session, or every session with { everywhere: true }
+ * POST /api/auth/logout  
+ */
+router.post('/logout', verifyToken, async (req, res) => {
+    try {
+        const sessions = req.body && req.body.everywhere
+            ? await store.listSessions(req.session.subject)
+            : [req.session];
+
+        for (const session of sessions) {
+            await store.deleteSession(session.sessionId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully',
+            revokedSessions: sessions.length
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ 
+            error: 'Failed to log out' 
+        });
+    }
+});
+
+// Export the token middlewares and check for use in other routes
 router.verifyToken = verifyToken;
+router.verifyStreamToken = verifyStreamToken;
+router.optionalToken = optionalToken;
+router.authenticateToken = authenticateToken;
 
 module.exports = router;
\ No newline at end of file
@@ -1,235 +1,1289 @@
 const express = require('express');
-const Web3 = require('web3');
-const contract = require('@truffle/contract');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const {
+    getWeb3,
+    getIdentityManager,
+    getRevocationRegistry,
+    getGuardianRecovery,
+    getEventIndexer
+} = require('../blockchain');
+const { ACCESS_FIELDS } = require('../blockchain/identity-manager-client');
+const EventIndexer = require('../blockchain/event-indexer');
+const aadhaarCommitment = require('../blockchain/aadhaar-commitment');
+const attributeDisclosure = require('../blockchain/attribute-disclosure');
+const identityHistory = require('../blockchain/identity-history');
+const eventStream = require('../blockchain/event-stream');
+const ethrDid = require('../did/ethr-did');
+const emailVerification = require('../email/email-verification');
+const notifications = require('../email/notifications');
+const profileVault = require('../profiles/profile-vault');
+const { getStore } = require('../storage');
+const { verifyToken, verifyStreamToken, optionalToken, authenticateToken } = require('./auth');
+const { requireRole, getRoles } = require('./roles');
 
 const router = express.Router();
 
 // Initialize Web3 connection to Ganache
-const web3 = new Web3(process.env.GANACHE_URL || 'http://127.0.0.1:9545');
+const web3 = getWeb3();
 
-// Contract variables
-let identityManagerContract;
-let accounts;
-let networkId;
+// Contract clients; throw at startup if an artifact's ABI is out of date
+const identityManager = getIdentityManager();
+const revocationRegistry = getRevocationRegistry();
+const guardianRecovery = getGuardianRecovery();
+const eventIndexer = getEventIndexer();
+
+const store = getStore();
+
+// How long a user's registration signature can be relayed
+const REGISTRATION_SIGNATURE_TTL_SECONDS = 10 * 60;
+
+// Emails are only registered or changed once their owner proved them
+const EMAIL_NOT_VERIFIED_ERROR = 'Verify the email first: emailVerificationToken from /api/auth/email/verification/confirm is required';
+
+// Service IDs become DID URL fragments
+const SERVICE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Page sizes of GET /users
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Event streams (SSE and WebSocket together) open at once
+const MAX_EVENT_STREAMS = 100;
+let openEventStreams = 0;
+
+// Idle streams get a keep-alive this often, so proxies do not close them
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Initialize blockchain connection and load contract
+ */
+const initializeBlockchain = async () => {
+    try {
+        await identityManager.init();
+        console.log('Connected to network ID:', identityManager.networkId);
+        console.log('Available accounts:', identityManager.accounts.length);
+        console.log('IdentityManager contract loaded at:', identityManager.address);
+
+        await revocationRegistry.init();
+        console.log('RevocationRegistry contract loaded at:', revocationRegistry.address);
+
+        await guardianRecovery.init();
+        console.log('GuardianRecovery contract loaded at:', guardianRecovery.address);
+
+        eventIndexer.start();
+
+        return true;
+    } catch (error) {
+        console.error('Blockchain initialization error:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Check whether an Aadhaar number is already registered under any key version
+ * @param {string} aadhaar - Aadhaar number
+ * @returns {Promise<boolean>}
+ */
+const isAadhaarTaken = async (aadhaar) => {
+    for (const commitment of aadhaarCommitment.allCommitments(aadhaar)) {
+        if (await identityManager.isAadhaarRegistered(commitment)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Commit a new attribute root after an identity's attributes changed
+ * Best effort: the response does not wait on it, and POST /api/disclosure/proof
+ * recommits if this fails.
+ * @param {string} address - Identity address
+ */
+const refreshAttributeRoot = async (address) => {
+    try {
+        const identity = await identityManager.getIdentity(address);
+        if (identity) {
+            await attributeDisclosure.commitAttributes(await withProfile(identity), { identityManager, store });
+        }
+    } catch (error) {
+        console.error('Attribute root update error:', error.message);
+    }
+};
+
+/**
+ * Add the decrypted off-chain profile to an identity
+ * @param {object} identity - Identity from the contract client
+ * @returns {Promise<object>} Identity with name and email (null if the profile is gone)
+ */
+const withProfile = async (identity) => {
+    const profile = await profileVault.openProfile(identity, { store });
+    return {
+        ...identity,
+        name: profile ? profile.name : null,
+        email: profile ? profile.email : null
+    };
+};
+
+/**
+ * Grantable fields of an identity the caller may read
+ * The wallet's holder can read all of them, and a verifier the ones the holder
+ * granted to the wallet the verifier signed in with.
+ * @param {Request} req - Request, authenticated or not
+ * @param {string} address - Checksummed identity address
+ * @returns {Promise<Array<string>>} Entries of ACCESS_FIELDS
+ */
+const readableFields = async (req, address) => {
+    const caller = req.user && req.user.ethereumAddress;
+    if (!caller) {
+        return [];
+    }
+    if (caller === address) {
+        return ACCESS_FIELDS;
+    }
+    return identityManager.getGrantedFields(address, caller);
+};
+
+/**
+ * Identity as returned by the API; the Aadhaar commitment and email index stay on chain
+ * @param {object} identity - Identity from the contract client, optionally with its profile
+ * @returns {object}
+ */
+const toPublicIdentity = (identity) => {
+    const { aadhaarCommitment: commitment, emailIndex, ...publicIdentity } = identity;
+    return {
+        ...publicIdentity,
+        did: ethrDid.toDid(identityManager.chainId, identity.ethereumAddress),
+        aadhaarAttestationId: revocationRegistry.aadhaarAttestationId(identityManager.address, identity)
+    };
+};
+
+/**
+ * Public identity limited to the grantable fields the caller may read
+ * @param {object} identity - Identity from the contract client
+ * @param {Array<string>} fields - Readable fields, from readableFields()
+ * @returns {Promise<object>}
+ */
+const toReadableIdentity = async (identity, fields) => {
+    const needsProfile = fields.includes('name') || fields.includes('email');
+    const readable = toPublicIdentity(needsProfile ? await withProfile(identity) : identity);
+
+    ACCESS_FIELDS.filter((field) => !fields.includes(field)).forEach((field) => {
+        delete readable[field];
+    });
+    if (!fields.includes('registrationTime')) {
+        delete readable.registeredAt;
+    }
+    return readable;
+};
+
+/**
+ * Validate Aadhaar number format (12 digits)
+ * @param {string} aadhaar - Aadhaar number
+ * @returns {boolean} - Validation result
+ */
+const validateAadhaar = (aadhaar) => {
+    const aadhaarRegex = /^\d{12}$/;
+    return aadhaarRegex.test(aadhaar);
+};
+
+/**
+ * Validate Ethereum address format
+ * @param {string} address - Ethereum address
+ * @returns {boolean} - Validation result
+ */
+const validateEthereumAddress = (address) => {
+    return web3.utils.isAddress(address);
+};
+
+/**
+ * Opaque GET /users cursor pointing after an indexed identity
+ * @param {object} record - Indexed identity
+ * @returns {string}
+ */
+const encodeCursor = (record) => {
+    return Buffer.from(JSON.stringify([record.registrationTime, record.ethereumAddress])).toString('base64url');
+};
+
+/**
+ * @param {string} cursor - From encodeCursor()
+ * @returns {object|null} { registrationTime, ethereumAddress }, or null if malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const [registrationTime, ethereumAddress] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(registrationTime) && validateEthereumAddress(ethereumAddress)) {
+            return { registrationTime, ethereumAddress };
+        }
+    } catch (error) {
+        // Fall through to null
+    }
+    return null;
+};
+
+/**
+ * Parse the filters and page of a GET /users request
+ * @param {object} query - Request query string
+ * @returns {object} { filter, page } for store.queryIndexedIdentities(), or { error }
+ */
+const parseUsersQuery = ({ limit, cursor, active, registeredFrom, registeredTo, email }) => {
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` };
+    }
+
+    const after = cursor === undefined ? null : decodeCursor(String(cursor));
+    if (cursor !== undefined && !after) {
+        return { error: 'Invalid cursor' };
+    }
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+        return { error: 'active must be true or false' };
+    }
+
+    const filter = {
+        statuses: active === undefined ? ['active', 'deactivated'] : [active === 'true' ? 'active' : 'deactivated']
+    };
+
+    for (const [name, value] of [['registeredFrom', registeredFrom], ['registeredTo', registeredTo]]) {
+        if (value === undefined) {
+            continue;
+        }
+        const time = Date.parse(String(value));
+        if (Number.isNaN(time)) {
+            return { error: `${name} must be an ISO 8601 date` };
+        }
+        filter[name] = name === 'registeredFrom' ? Math.ceil(time / 1000) : Math.floor(time / 1000);
+    }
+
+    if (email !== undefined) {
+        filter.emailIndex = profileVault.emailIndex(String(email));
+    }
+
+    // One extra record tells whether there is a next page
+    return { filter, page: { after, limit: pageSize + 1 }, pageSize };
+};
+
+/**
+ * Only allow the holder of the wallet in :address (proven via /api/auth/wallet/link)
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const requireWalletOwner = (req, res, next) => {
+    const { address } = req.params;
+
+    if (!validateEthereumAddress(address)) {
+        return res.status(400).json({
+            error: 'Invalid Ethereum address format'
+        });
+    }
+
+    if (!req.user.ethereumAddress ||
+        web3.utils.toChecksumAddress(address) !== req.user.ethereumAddress) {
+        return res.status(403).json({
+            error: 'You can only manage the identity of your own linked wallet'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Like requireWalletOwner, but callers with one of the given roles may act on any identity
+ * @param {...string} roles - Roles allowed to act on other wallets' identities
+ * @returns {Function} Middleware
+ */
+const requireWalletOwnerOrRole = (...roles) => (req, res, next) => {
+    const { address } = req.params;
+
+    if (!validateEthereumAddress(address)) {
+        return res.status(400).json({
+            error: 'Invalid Ethereum address format'
+        });
+    }
+
+    if (req.user.ethereumAddress && web3.utils.toChecksumAddress(address) === req.user.ethereumAddress) {
+        return next();
+    }
+    return requireRole(...roles)(req, res, next);
+};
+
+/**
+ * Map identity lifecycle reverts to client errors
+ * @param {Error} error - Error thrown by the contract call
+ * @param {Response} res
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleIdentityTxError = (error, res, fallbackMessage) => {
+    if (error.message.includes('revert')) {
+        return res.status(400).json({
+            error: 'Transaction reverted: ' + error.message
+        });
+    }
+
+    res.status(500).json({
+        error: fallbackMessage
+    });
+};
+
+/**
+ * Validate the identity fields of a registration request
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRegistration = ({ name, email, aadhaar, ethereumAddress }) => {
+    // Validate required fields
+    if (!name || !email || !aadhaar || !ethereumAddress) {
+        return 'All fields are required: name, email, aadhaar, ethereumAddress';
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+        return 'Invalid email format';
+    }
+
+    // Validate Aadhaar format
+    if (!validateAadhaar(aadhaar)) {
+        return 'Invalid Aadhaar format. Must be 12 digits.';
+    }
+
+    // Validate Ethereum address
+    if (!validateEthereumAddress(ethereumAddress)) {
+        return 'Invalid Ethereum address format';
+    }
+
+    return null;
+};
+
+/**
+ * Get the EIP-712 typed data the user signs in their wallet to register
+ * The email must be verified first (emailVerificationToken). Nothing is
+ * stored yet: the sealed profile is returned to be sent back with the signature.
+ * POST /api/blockchain/register/typed-data
+ */
+router.post('/register/typed-data', async (req, res) => {
+    try {
+        const { name, email, aadhaar, ethereumAddress } = req.body;
+
+        const validationError = validateRegistration(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        if (!emailVerification.isEmailVerified(req.body.emailVerificationToken, email)) {
+            return res.status(403).json({
+                error: EMAIL_NOT_VERIFIED_ERROR
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const userAddress = web3.utils.toChecksumAddress(ethereumAddress);
+
+        // Check if user already exists
+        if (await identityManager.isRegistered(userAddress)) {
+            return res.status(400).json({
+                error: 'User already registered with this Ethereum address'
+            });
+        }
+
+        if (await isAadhaarTaken(aadhaar)) {
+            return res.status(400).json({
+                error: 'Aadhaar already registered'
+            });
+        }
+
+        if (await identityManager.isEmailRegistered(profileVault.emailIndex(email))) {
+            return res.status(400).json({
+                error: 'Email already registered'
+            });
+        }
+
+        // Commit to the Aadhaar number; only the keyed commitment is signed and stored
+        const { commitment, keyVersion } = aadhaarCommitment.commitAadhaar(aadhaar);
+
+        // Name and email are encrypted off chain; the user signs the profile's hash and pointer
+        const profile = await profileVault.prepareProfile(userAddress, { name, email }, { store });
+
+        const typedData = await identityManager.buildRegistrationTypedData({
+            userAddress: userAddress,
+            profileHash: profile.profileHash,
+            profilePointer: profile.profilePointer,
+            emailIndex: profile.emailIndex,
+            aadhaarCommitment: commitment,
+            aadhaarKeyVersion: keyVersion,
+            deadline: Math.floor(Date.now() / 1000) + REGISTRATION_SIGNATURE_TTL_SECONDS
+        });
+
+        res.json({
+            success: true,
+            data: {
+                typedData: typedData,
+                sealedProfile: profile.sealedProfile
+            }
+        });
+
+    } catch (error) {
+        console.error('Registration typed data error:', error);
+        res.status(500).json({
+            error: 'Failed to prepare registration'
+        });
+    }
+});
+
+/**
+ * Register a new user on the blockchain from their EIP-712 signature
+ * The server relays the transaction; the contract registers the signer.
+ * POST /api/blockchain/register
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { name, email, aadhaar, ethereumAddress, profilePointer, sealedProfile, deadline, signature } = req.body;
+
+        const validationError = validateRegistration(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        if (!emailVerification.isEmailVerified(req.body.emailVerificationToken, email)) {
+            return res.status(403).json({
+                error: EMAIL_NOT_VERIFIED_ERROR
+            });
+        }
+
+        if (!profilePointer || !sealedProfile || !deadline || !signature) {
+            return res.status(400).json({
+                error: 'profilePointer, sealedProfile, deadline and signature are required (sign the data from /register/typed-data)'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const userAddress = web3.utils.toChecksumAddress(ethereumAddress);
+
+        // Check if user already exists
+        if (await identityManager.isRegistered(userAddress)) {
+            return res.status(400).json({
+                error: 'User already registered with this Ethereum address'
+            });
+        }
+
+        if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+            return res.status(400).json({
+                error: 'Signature expired'
+            });
+        }
+
+        if (await isAadhaarTaken(aadhaar)) {
+            return res.status(400).json({
+                error: 'Aadhaar already registered'
+            });
+        }
+
+        // The profile sealed for the typed data must hold the name and email being registered
+        const profile = typeof sealedProfile === 'string'
+            ? await profileVault.openPreparedProfile(userAddress, profilePointer, sealedProfile, { store })
+            : null;
+        if (!profile || profile.name !== name || profile.email !== email) {
+            return res.status(400).json({
+                error: 'profilePointer does not match this registration; request new typed data'
+            });
+        }
+
+        // Commit to the Aadhaar number with the same key the typed data was built with
+        const { commitment, keyVersion } = aadhaarCommitment.commitAadhaar(aadhaar);
+        const registration = {
+            userAddress: userAddress,
+            profileHash: profile.profileHash,
+            profilePointer: profile.profilePointer,
+            emailIndex: profile.emailIndex,
+            aadhaarCommitment: commitment,
+            aadhaarKeyVersion: keyVersion,
+            deadline: Number(deadline)
+        };
+
+        // Check the signature before paying gas to relay it
+        const typedData = await identityManager.buildRegistrationTypedData(registration);
+        let signer;
+        try {
+            signer = identityManager.recoverRegistrationSigner(typedData, signature);
+        } catch (error) {
+            signer = null;
+        }
+
+        if (signer !== userAddress) {
+            return res.status(400).json({
+                error: 'Signature does not match ethereumAddress'
+            });
+        }
+
+        // Only a signed registration stores its profile
+        await profileVault.storeProfile(userAddress, profile, { store });
+
+        // Register user on blockchain
+        let transaction;
+        try {
+            transaction = await identityManager.registerIdentityWithSignature(registration, signature);
+        } catch (error) {
+            await profileVault.discardProfile(profile.profilePointer, { store });
+            throw error;
+        }
+        refreshAttributeRoot(userAddress);
+
+        // Get user count after registration
+        const userCount = await identityManager.getTotalUsers();
+
+        res.json({
+            success: true,
+            message: 'User registered successfully on blockchain',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber,
+                gasUsed: transaction.receipt.gasUsed,
+                userCount: userCount.toString(),
+                user: {
+                    name: name,
+                    email: email,
+                    ethereumAddress: userAddress,
+                    aadhaarKeyVersion: keyVersion
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Blockchain registration error:', error);
+        
+        // Handle specific blockchain errors
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        
+        if (error.message.includes('insufficient funds')) {
+            return res.status(400).json({
+                error: 'Insufficient funds for transaction'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to register user on blockchain'
+        });
+    }
+});
+
+/**
+ * Retrieve user information from blockchain
+ * The name, email and registration time are only returned to the wallet's
+ * holder and to verifiers the holder granted them to; everyone else gets
+ * the remaining public fields.
+ * GET /api/blockchain/user/:address
+ */
+router.get('/user/:address', optionalToken, async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        // Validate Ethereum address
+        if (!validateEthereumAddress(address)) {
+            return res.status(400).json({
+                error: 'Invalid Ethereum address format'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        // Get user from blockchain
+        const identity = await identityManager.getIdentity(address);
+
+        // Check if user exists
+        if (!identity) {
+            const erasure = await identityManager.getErasure(address);
+            if (erasure) {
+                return res.status(410).json({
+                    error: 'Identity has been erased',
+                    erasedAt: erasure.erasedAt
+                });
+            }
+            const recoveredTo = await identityManager.getRecoveredTo(address);
+            if (recoveredTo) {
+                return res.status(410).json({
+                    error: 'Identity has been recovered to a new address',
+                    recoveredTo: recoveredTo
+                });
+            }
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await toReadableIdentity(identity, await readableFields(req, identity.ethereumAddress))
+        });
+
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve user from blockchain'
+        });
+    }
+});
+
+/**
+ * Update a user's name and email on the blockchain
+ * A new email must be verified first (emailVerificationToken).
+ * PUT /api/blockchain/user/:address
+ */
+router.put('/user/:address', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { name, email } = req.body;
+
+        if (!name || !email) {
+            return res.status(400).json({
+                error: 'Name and email are required'
+            });
+        }
+
+        // Validate email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({
+                error: 'Invalid email format'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const identity = await identityManager.getIdentity(address);
+        if (!identity) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const current = await withProfile(identity);
+        if (!current.email || emailVerification.normalizeEmail(current.email) !== emailVerification.normalizeEmail(email)) {
+            if (!emailVerification.isEmailVerified(req.body.emailVerificationToken, email)) {
+                return res.status(403).json({
+                    error: EMAIL_NOT_VERIFIED_ERROR
+                });
+            }
+        }
+
+        // Each update is a new profile version; the one it replaces is deleted
+        const profile = await profileVault.sealProfile(identity.ethereumAddress, { name, email }, { store, previous: current });
+        let transaction;
+        try {
+            transaction = await identityManager.updateIdentityFor(address, profile);
+        } catch (error) {
+            await profileVault.discardProfile(profile.profilePointer, { store });
+            throw error;
+        }
+        await profileVault.discardProfile(identity.profilePointer, { store });
+        refreshAttributeRoot(address);
+
+        res.json({
+            success: true,
+            message: 'Identity updated successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber,
+                user: {
+                    name: name,
+                    email: email,
+                    ethereumAddress: address
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Update identity error:', error);
+        handleIdentityTxError(error, res, 'Failed to update identity on blockchain');
+    }
+});
+
+/**
+ * Deactivate a user's identity on the blockchain (the wallet's holder or an admin)
+ * DELETE /api/blockchain/user/:address
+ */
+router.delete('/user/:address', verifyToken, requireWalletOwnerOrRole('admin'), async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        // Read the holder's email while the identity is still active, to tell them
+        const identity = await identityManager.getIdentity(address);
+        const holder = identity && await withProfile(identity);
+
+        const transaction = await identityManager.deactivateIdentityFor(address);
+
+        if (holder && holder.email) {
+            notifications.identityDeactivated(holder, {
+                byAdmin: req.user.ethereumAddress !== holder.ethereumAddress,
+                transactionHash: transaction.tx
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Identity deactivated successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Deactivate identity error:', error);
+        handleIdentityTxError(error, res, 'Failed to deactivate identity on blockchain');
+    }
+});
+
+/**
+ * Reactivate a previously deactivated identity
+ * POST /api/blockchain/user/:address/reactivate
+ */
+router.post('/user/:address/reactivate', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isDeactivated(address))) {
+            return res.status(404).json({
+                error: 'No deactivated identity found for this address'
+            });
+        }
+
+        const transaction = await identityManager.reactivateIdentityFor(address);
+
+        res.json({
+            success: true,
+            message: 'Identity reactivated successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Reactivate identity error:', error);
+        handleIdentityTxError(error, res, 'Failed to reactivate identity on blockchain');
+    }
+});
+
+/**
+ * Erase an identity (right to erasure)
+ * The identity is replaced by an on-chain tombstone, then the off-chain profile
+ * key and every profile version are destroyed. Repeating the request after a
+ * partial failure finishes the off-chain part.
+ * POST /api/blockchain/user/:address/erase
+ */
+router.post('/user/:address/erase', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const address = web3.utils.toChecksumAddress(req.params.address);
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        let transaction = null;
+        if (await identityManager.isRegistered(address) || await identityManager.isDeactivated(address)) {
+            transaction = await identityManager.eraseIdentityFor(address);
+        } else if (!(await identityManager.getErasure(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const profilesDeleted = await profileVault.eraseProfiles(address, { store });
+        const { erasedAt } = await identityManager.getErasure(address);
+
+        res.json({
+            success: true,
+            message: 'Identity erased successfully',
+            data: {
+                transactionHash: transaction ? transaction.tx : null,
+                blockNumber: transaction ? transaction.receipt.blockNumber : null,
+                erasedAt: erasedAt,
+                profilesDeleted: profilesDeleted
+            }
+        });
+
+    } catch (error) {
+        console.error('Erase identity error:', error);
+        handleIdentityTxError(error, res, 'Failed to erase identity');
+    }
+});
+
+/**
+ * Add a delegate key to an identity, or extend an existing one
+ * POST /api/blockchain/user/:address/delegates
+ * Body: { delegateType: 'veriKey' | 'sigAuth', delegate, validity (seconds) }
+ */
+router.post('/user/:address/delegates', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address } = req.params;
+        const { delegateType, delegate, validity } = req.body;
+
+        if (!ethrDid.DELEGATE_TYPES.includes(delegateType)) {
+            return res.status(400).json({
+                error: `delegateType must be one of: ${ethrDid.DELEGATE_TYPES.join(', ')}`
+            });
+        }
+
+        if (!delegate || !validateEthereumAddress(delegate)) {
+            return res.status(400).json({
+                error: 'Invalid delegate address format'
+            });
+        }
+
+        if (!Number.isInteger(validity) || validity <= 0) {
+            return res.status(400).json({
+                error: 'validity must be a positive number of seconds'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const transaction = await identityManager.addDelegateFor(address, { delegateType, delegate, validity });
+
+        res.json({
+            success: true,
+            message: 'Delegate added successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Add delegate error:', error);
+        handleIdentityTxError(error, res, 'Failed to add delegate on blockchain');
+    }
+});
+
+/**
+ * Remove a delegate key from an identity
+ * DELETE /api/blockchain/user/:address/delegates/:delegate?delegateType=veriKey
+ */
+router.delete('/user/:address/delegates/:delegate', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address, delegate } = req.params;
+        const { delegateType } = req.query;
+
+        if (!ethrDid.DELEGATE_TYPES.includes(delegateType)) {
+            return res.status(400).json({
+                error: `delegateType must be one of: ${ethrDid.DELEGATE_TYPES.join(', ')}`
+            });
+        }
+
+        if (!validateEthereumAddress(delegate)) {
+            return res.status(400).json({
+                error: 'Invalid delegate address format'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const transaction = await identityManager.revokeDelegateFor(address, { delegateType, delegate });
+
+        res.json({
+            success: true,
+            message: 'Delegate removed successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Remove delegate error:', error);
+        handleIdentityTxError(error, res, 'Failed to remove delegate on blockchain');
+    }
+});
+
+/**
+ * Add or replace a service endpoint in an identity's DID document
+ * PUT /api/blockchain/user/:address/services/:serviceId
+ * Body: { type, serviceEndpoint }
+ */
+router.put('/user/:address/services/:serviceId', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address, serviceId } = req.params;
+        const { type, serviceEndpoint } = req.body;
+
+        if (!SERVICE_ID_PATTERN.test(serviceId)) {
+            return res.status(400).json({
+                error: 'Service ID must be 1-64 letters, digits, ".", "_" or "-"'
+            });
+        }
+
+        if (!type || !serviceEndpoint) {
+            return res.status(400).json({
+                error: 'Service type and serviceEndpoint are required'
+            });
+        }
+
+        try {
+            new URL(serviceEndpoint);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'serviceEndpoint must be an absolute URL'
+            });
+        }
+
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const transaction = await identityManager.setServiceFor(address, { id: serviceId, type, serviceEndpoint });
+
+        res.json({
+            success: true,
+            message: 'Service endpoint saved successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Set service error:', error);
+        handleIdentityTxError(error, res, 'Failed to save service endpoint on blockchain');
+    }
+});
 
 /**
- * Initialize blockchain connection and load contract
+ * Remove a service endpoint from an identity's DID document
+ * DELETE /api/blockchain/user/:address/services/:serviceId
  */
-const initializeBlockchain = async () => {
+router.delete('/user/:address/services/:serviceId', verifyToken, requireWalletOwner, async (req, res) => {
     try {
-        // Get network ID
-        networkId = await web3.eth.net.getId();
-        console.log('Connected to network ID:', networkId);
+        const { address, serviceId } = req.params;
 
-        // Get accounts from Ganache
-        accounts = await web3.eth.getAccounts();
-        console.log('Available accounts:', accounts.length);
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
 
-        // Load contract artifact
-        const contractPath = path.join(__dirname, '../build/contracts/IdentityManager.json');
-        
-        if (!fs.existsSync(contractPath)) {
-            throw new Error('Contract artifact not found. Run "truffle compile" first.');
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
         }
 
-        const contractArtifact = JSON.parse(fs.readFileSync(contractPath, 'utf8'));
-        
-        // Create contract instance
-        const IdentityManager = contract(contractArtifact);
-        IdentityManager.setProvider(web3.currentProvider);
+        const transaction = await identityManager.removeServiceFor(address, serviceId);
 
-        // Get deployed contract instance
-        identityManagerContract = await IdentityManager.deployed();
-        console.log('IdentityManager contract loaded at:', identityManagerContract.address);
+        res.json({
+            success: true,
+            message: 'Service endpoint removed successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
 
-        return true;
     } catch (error) {
-        console.error('Blockchain initialization error:', error.message);
-        return false;
+        console.error('Remove service error:', error);
+        handleIdentityTxError(error, res, 'Failed to remove service endpoint on blockchain');
     }
-};
+});
 
 /**
- * Hash Aadhaar number for privacy
- * @param {string} aadhaar - Aadhaar number
- * @returns {string} - Hashed Aadhaar
+ * List the verifiers an identity has granted access to, including expired grants
+ * GET /api/blockchain/user/:address/grants
  */
-const hashAadhaar = (aadhaar) => {
-    return crypto.createHash('sha256').update(aadhaar.toString()).digest('hex');
-};
+router.get('/user/:address/grants', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address } = req.params;
 
-/**
- * Validate Aadhaar number format (12 digits)
- * @param {string} aadhaar - Aadhaar number
- * @returns {boolean} - Validation result
- */
-const validateAadhaar = (aadhaar) => {
-    const aadhaarRegex = /^\d{12}$/;
-    return aadhaarRegex.test(aadhaar);
-};
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
 
-/**
- * Validate Ethereum address format
- * @param {string} address - Ethereum address
- * @returns {boolean} - Validation result
- */
-const validateEthereumAddress = (address) => {
-    return web3.utils.isAddress(address);
-};
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                grants: await identityManager.getAccessGrants(address)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get access grants error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve access grants from blockchain'
+        });
+    }
+});
 
 /**
- * Register a new user on the blockchain
- * POST /api/blockchain/register
+ * Grant a verifier access to some of an identity's fields, replacing any existing grant
+ * The verifier reads them from GET /api/blockchain/user/:address while signed
+ * in with a linked wallet at the verifier address.
+ * POST /api/blockchain/user/:address/grants
+ * Body: { verifier, fields: ['name', 'email', 'registrationTime'], expiresAt (ISO 8601) }
  */
-router.post('/register', async (req, res) => {
+router.post('/user/:address/grants', verifyToken, requireWalletOwner, async (req, res) => {
     try {
-        const { name, email, aadhaar, ethereumAddress } = req.body;
+        const { address } = req.params;
+        const { verifier, fields, expiresAt } = req.body;
 
-        // Validate required fields
-        if (!name || !email || !aadhaar || !ethereumAddress) {
+        if (!verifier || !validateEthereumAddress(verifier)) {
             return res.status(400).json({
-                error: 'All fields are required: name, email, aadhaar, ethereumAddress'
+                error: 'Invalid verifier address format'
             });
         }
 
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
+        if (!Array.isArray(fields) || fields.length === 0 ||
+            !fields.every((field) => ACCESS_FIELDS.includes(field))) {
             return res.status(400).json({
-                error: 'Invalid email format'
+                error: `fields must be a non-empty array of: ${ACCESS_FIELDS.join(', ')}`
             });
         }
 
-        // Validate Aadhaar format
-        if (!validateAadhaar(aadhaar)) {
+        const expiry = Date.parse(expiresAt);
+        if (typeof expiresAt !== 'string' || Number.isNaN(expiry) || expiry <= Date.now()) {
             return res.status(400).json({
-                error: 'Invalid Aadhaar format. Must be 12 digits.'
+                error: 'expiresAt must be a future ISO 8601 date'
             });
         }
 
-        // Validate Ethereum address
-        if (!validateEthereumAddress(ethereumAddress)) {
+        // Check if contract is initialized
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
+        }
+
+        const transaction = await identityManager.grantAccessFor(address, {
+            verifier: web3.utils.toChecksumAddress(verifier),
+            fields: fields,
+            expiresAt: Math.floor(expiry / 1000)
+        });
+
+        res.json({
+            success: true,
+            message: 'Access granted successfully',
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Grant access error:', error);
+        handleIdentityTxError(error, res, 'Failed to grant access on blockchain');
+    }
+});
+
+/**
+ * Withdraw a verifier's access to an identity
+ * DELETE /api/blockchain/user/:address/grants/:verifier
+ */
+router.delete('/user/:address/grants/:verifier', verifyToken, requireWalletOwner, async (req, res) => {
+    try {
+        const { address, verifier } = req.params;
+
+        if (!validateEthereumAddress(verifier)) {
             return res.status(400).json({
-                error: 'Invalid Ethereum address format'
+                error: 'Invalid verifier address format'
             });
         }
 
         // Check if contract is initialized
-        if (!identityManagerContract) {
+        if (!identityManager.isInitialized()) {
             return res.status(500).json({
                 error: 'Blockchain connection not initialized'
             });
         }
 
-        // Check if user already exists
-        try {
-            const existingUser = await identityManagerContract.getUser(ethereumAddress);
-            if (existingUser[1] !== '') { // Check if email is not empty
-                return res.status(400).json({
-                    error: 'User already registered with this Ethereum address'
-                });
-            }
-        } catch (error) {
-            // User doesn't exist, which is expected for new registrations
-            console.log('User not found (expected for new registration)');
+        if (!(await identityManager.isRegistered(address))) {
+            return res.status(404).json({
+                error: 'User not found on blockchain'
+            });
         }
 
-        // Hash the Aadhaar number for privacy
-        const hashedAadhaar = hashAadhaar(aadhaar);
-
-        // Register user on blockchain
-        const gasEstimate = await identityManagerContract.registerUser.estimateGas(
-            name,
-            email,
-            hashedAadhaar,
-            ethereumAddress,
-            { from: accounts[0] }
-        );
-
-        const transaction = await identityManagerContract.registerUser(
-            name,
-            email,
-            hashedAadhaar,
-            ethereumAddress,
-            {
-                from: accounts[0],
-                gas: Math.floor(gasEstimate * 1.2), // Add 20% buffer
-                gasPrice: web3.utils.toWei('20', 'gwei')
-            }
-        );
-
-        // Get user count after registration
-        const userCount = await identityManagerContract.getUserCount();
+        const transaction = await identityManager.revokeAccessFor(address, web3.utils.toChecksumAddress(verifier));
 
         res.json({
             success: true,
-            message: 'User registered successfully on blockchain',
+            message: 'Access revoked successfully',
             data: {
                 transactionHash: transaction.tx,
-                blockNumber: transaction.receipt.blockNumber,
-                gasUsed: transaction.receipt.gasUsed,
-                userCount: userCount.toString(),
-                user: {
-                    name: name,
-                    email: email,
-                    ethereumAddress: ethereumAddress,
-                    hashedAadhaar: hashedAadhaar
-                }
+                blockNumber: transaction.receipt.blockNumber
             }
         });
 
     } catch (error) {
-        console.error('Blockchain registration error:', error);
-        
-        // Handle specific blockchain errors
-        if (error.message.includes('revert')) {
-            return res.status(400).json({
-                error: 'Transaction reverted: ' + error.message
+        console.error('Revoke access error:', error);
+        handleIdentityTxError(error, res, 'Failed to revoke access on blockchain');
+    }
+});
+
+/**
+ * Timeline of what the contract recorded for an address (the wallet's holder or an admin)
+ * Built from the event index, so it covers erased and recovered identities too;
+ * each entry has its transaction, block, block time and the fields it changed.
+ * GET /api/blockchain/user/:address/history
+ */
+router.get('/user/:address/history', verifyToken, requireWalletOwnerOrRole('admin'), async (req, res) => {
+    try {
+        const address = web3.utils.toChecksumAddress(req.params.address);
+
+        const state = await eventIndexer.getState();
+        if (!state) {
+            return res.status(503).json({
+                error: 'The identity index is still being built'
             });
         }
-        
-        if (error.message.includes('insufficient funds')) {
-            return res.status(400).json({
-                error: 'Insufficient funds for transaction'
+
+        const events = await store.listIndexedEvents(address);
+        if (events.length === 0) {
+            return res.status(404).json({
+                error: 'No events found for this address'
             });
         }
 
+        const profileChanges = await identityHistory.loadProfileChanges(events, store);
+
+        res.json({
+            success: true,
+            data: {
+                ethereumAddress: address,
+                did: ethrDid.toDid(identityManager.chainId, address),
+                indexedBlock: state.blockNumber,
+                history: identityHistory.buildHistory(address, events, profileChanges)
+            }
+        });
+
+    } catch (error) {
+        console.error('Identity history error:', error);
         res.status(500).json({
-            error: 'Failed to register user on blockchain'
+            error: 'Failed to retrieve identity history'
         });
     }
 });
 
 /**
- * Retrieve user information from blockchain
- * GET /api/blockchain/user/:address
+ * Retrieve the on-chain identity of the authenticated user's linked wallet
+ * GET /api/blockchain/me
  */
-router.get('/user/:address', async (req, res) => {
+router.get('/me', verifyToken, async (req, res) => {
     try {
-        const { address } = req.params;
-
-        // Validate Ethereum address
-        if (!validateEthereumAddress(address)) {
+        // Only set once the wallet has been proven via /api/auth/wallet/link
+        const address = req.user.ethereumAddress;
+        if (!address) {
             return res.status(400).json({
-                error: 'Invalid Ethereum address format'
+                error: 'No verified wallet linked to this account'
             });
         }
 
         // Check if contract is initialized
-        if (!identityManagerContract) {
+        if (!identityManager.isInitialized()) {
             return res.status(500).json({
                 error: 'Blockchain connection not initialized'
             });
         }
 
-        // Get user from blockchain
-        const userData = await identityManagerContract.getUser(address);
-        
-        // Check if user exists
-        if (userData[1] === '') { // Check if email is empty
+        const identity = await identityManager.getIdentity(address);
+
+        if (!identity) {
             return res.status(404).json({
                 error: 'User not found on blockchain'
             });
@@ -237,82 +1291,72 @@ router.get('/user/:address', async (req, res) => {
 
         res.json({
             success: true,
-            data: {
-                name: userData[0],
-                email: userData[1],
-                hashedAadhaar: userData[2],
-                ethereumAddress: userData[3],
-                isActive: userData[4]
-            }
+            data: toPublicIdentity(await withProfile(identity))
         });
 
     } catch (error) {
-        console.error('Get user error:', error);
+        console.error('Get own identity error:', error);
         res.status(500).json({
-            error: 'Failed to retrieve user from blockchain'
+            error: 'Failed to retrieve identity from blockchain'
         });
     }
 });
 
 /**
- * Get all registered users (for admin purposes)
+ * List identities from the event index (admins only)
+ * Only public fields are listed; the grantable ones need GET /user/:address.
+ * Query: limit, cursor (nextCursor of the previous page), active (true or false),
+ * registeredFrom and registeredTo (ISO 8601, inclusive) and email (exact match)
  * GET /api/blockchain/users
  */
-router.get('/users', async (req, res) => {
+router.get('/users', verifyToken, requireRole('admin'), async (req, res) => {
     try {
-        // Check if contract is initialized
-        if (!identityManagerContract) {
-            return res.status(500).json({
-                error: 'Blockchain connection not initialized'
+        const query = parseUsersQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({
+                error: query.error
+            });
+        }
+
+        const state = await eventIndexer.getState();
+        if (!state) {
+            return res.status(503).json({
+                error: 'The identity index is still being built'
             });
         }
 
-        // Get total user count
-        const userCount = await identityManagerContract.getUserCount();
-        const count = parseInt(userCount.toString());
+        const { identities, total } = await store.queryIndexedIdentities(query.filter, query.page);
+        const page = identities.slice(0, query.pageSize);
 
         const users = [];
-
-        // Get all users (Note: This is for demo purposes. In production, implement pagination)
-        for (let i = 0; i < count && i < 100; i++) { // Limit to 100 users for demo
-            try {
-                const userAddress = await identityManagerContract.userAddresses(i);
-                const userData = await identityManagerContract.getUser(userAddress);
-                
-                users.push({
-                    name: userData[0],
-                    email: userData[1],
-                    hashedAadhaar: userData[2],
-                    ethereumAddress: userData[3],
-                    isActive: userData[4]
-                });
-            } catch (error) {
-                console.error(`Error fetching user at index ${i}:`, error);
-            }
+        for (const record of page) {
+            users.push(await toReadableIdentity(EventIndexer.toIdentity(record), []));
         }
 
         res.json({
             success: true,
             data: {
-                totalUsers: count,
+                totalUsers: total,
                 users: users,
-                showing: users.length
+                showing: users.length,
+                nextCursor: identities.length > query.pageSize ? encodeCursor(page[page.length - 1]) : null,
+                indexedBlock: state.blockNumber
             }
         });
 
     } catch (error) {
         console.error('Get all users error:', error);
         res.status(500).json({
-            error: 'Failed to retrieve users from blockchain'
+            error: 'Failed to retrieve users from the identity index'
         });
     }
 });
 
 /**
- * Verify user by Aadhaar hash
+ * Verify user by Aadhaar hash (admins and verifiers)
  * POST /api/blockchain/verify-aadhaar
  */
-router.post('/verify-aadhaar', async (req, res) => {
+router.post('/verify-aadhaar', verifyToken, requireRole('admin', 'verifier'), async (req, res) => {
     try {
         const { aadhaar, ethereumAddress } = req.body;
 
@@ -338,33 +1382,56 @@ router.post('/verify-aadhaar', async (req, res) => {
         }
 
         // Check if contract is initialized
-        if (!identityManagerContract) {
+        if (!identityManager.isInitialized()) {
             return res.status(500).json({
                 error: 'Blockchain connection not initialized'
             });
         }
 
         // Get user from blockchain
-        const userData = await identityManagerContract.getUser(ethereumAddress);
-        
+        const identity = await identityManager.getIdentity(ethereumAddress);
+
         // Check if user exists
-        if (userData[1] === '') {
+        if (!identity) {
             return res.status(404).json({
                 error: 'User not found on blockchain'
             });
         }
 
-        // Hash the provided Aadhaar and compare
-        const hashedAadhaar = hashAadhaar(aadhaar);
-        const storedHashedAadhaar = userData[2];
+        // Recompute the keyed commitment and compare
+        const { valid: matches, legacy } = aadhaarCommitment.verifyAadhaar(
+            aadhaar,
+            identity.aadhaarCommitment,
+            identity.aadhaarKeyVersion
+        );
+
+        // A revoked attestation no longer verifies, even with the right number
+        const attestationId = revocationRegistry.aadhaarAttestationId(identityManager.address, identity);
+        const revoked = await revocationRegistry.isRevoked(attestationId);
+        const isValid = matches && !revoked;
 
-        const isValid = hashedAadhaar === storedHashedAadhaar;
+        // Re-commit migrated hashes and commitments under retired keys while the number is at hand
+        const currentKeyVersion = aadhaarCommitment.getCurrentKeyVersion();
+        if (isValid && (legacy || identity.aadhaarKeyVersion !== currentKeyVersion)) {
+            try {
+                await identityManager.updateAadhaarCommitmentFor(
+                    identity.ethereumAddress,
+                    aadhaarCommitment.commitAadhaar(aadhaar, currentKeyVersion)
+                );
+            } catch (error) {
+                console.error('Aadhaar commitment upgrade error:', error.message);
+            }
+        }
 
         res.json({
             success: true,
             data: {
                 isValid: isValid,
-                message: isValid ? 'Aadhaar verification successful' : 'Aadhaar verification failed'
+                revoked: revoked,
+                attestationId: attestationId,
+                message: revoked
+                    ? 'Aadhaar attestation has been revoked'
+                    : isValid ? 'Aadhaar verification successful' : 'Aadhaar verification failed'
             }
         });
 
@@ -376,6 +1443,95 @@ router.post('/verify-aadhaar', async (req, res) => {
     }
 });
 
+/**
+ * Limit an event stream to the identities its caller may follow
+ * Admins follow any address; everyone else only the wallet they signed in with.
+ * @param {object} filter - From eventStream.parseStreamQuery()
+ * @param {object} user - Decoded access token
+ * @returns {Promise<object>} The filter to subscribe with, or { status, error }
+ */
+const scopeStreamFilter = async (filter, user) => {
+    if ((await getRoles(user)).includes('admin')) {
+        return filter;
+    }
+    if (!user.ethereumAddress) {
+        return { status: 403, error: 'Sign in with or link a wallet to stream its events' };
+    }
+    if (filter.addresses.some((address) => address !== user.ethereumAddress)) {
+        return { status: 403, error: 'Only admins can stream the events of other addresses' };
+    }
+    return { ...filter, addresses: [user.ethereumAddress] };
+};
+
+/**
+ * Stream identity events and new blocks as Server-Sent Events
+ * Query: address and events (comma-separated; IdentityRegistered, IdentityUpdated,
+ * IdentityDeactivated and block) and fromBlock to replay from a block. A
+ * reconnecting EventSource resumes after its Last-Event-ID. The same stream is
+ * served over WebSocket on this path (see attachEventSocket).
+ * GET /api/blockchain/events (protected: the wallet's own events, or any for admins;
+ * the access token may be passed as the token query parameter)
+ */
+router.get('/events', verifyStreamToken, async (req, res) => {
+    const query = eventStream.parseStreamQuery(req.query, req.get('Last-Event-ID'));
+    if (query.error) {
+        return res.status(400).json({
+            error: query.error
+        });
+    }
+
+    let filter;
+    try {
+        filter = await scopeStreamFilter(query, req.user);
+        if (filter.error) {
+            return res.status(filter.status).json({
+                error: filter.error
+            });
+        }
+
+        if (!(await eventIndexer.getState())) {
+            return res.status(503).json({
+                error: 'The identity index is still being built'
+            });
+        }
+    } catch (error) {
+        console.error('Event stream error:', error);
+        return res.status(500).json({
+            error: 'Failed to open the event stream'
+        });
+    }
+
+    if (openEventStreams >= MAX_EVENT_STREAMS) {
+        return res.status(503).json({
+            error: 'Too many open event streams'
+        });
+    }
+    openEventStreams++;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const subscription = eventStream.subscribe({ eventIndexer, store, filter }, ({ id, type, data }) => {
+        res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        subscription.close();
+        openEventStreams--;
+    });
+    subscription.ready.catch((error) => {
+        console.error('Event stream error:', error);
+        res.end();
+    });
+});
+
 /**
  * Get blockchain network information
  * GET /api/blockchain/network-info
@@ -387,10 +1543,10 @@ router.get('/network-info', async (req, res) => {
         const accounts = await web3.eth.getAccounts();
         
         let contractInfo = null;
-        if (identityManagerContract) {
-            const userCount = await identityManagerContract.getUserCount();
+        if (identityManager.isInitialized()) {
+            const userCount = await identityManager.getTotalUsers();
             contractInfo = {
-                address: identityManagerContract.address,
+                address: identityManager.address,
                 userCount: userCount.toString()
             };
         }
@@ -421,7 +1577,7 @@ router.get('/network-info', async (req, res) => {
 router.get('/health', async (req, res) => {
     try {
         const isConnected = await web3.eth.net.isListening();
-        const contractLoaded = !!identityManagerContract;
+        const contractLoaded = identityManager.isInitialized();
 
         res.json({
             success: true,
@@ -453,7 +1609,7 @@ initializeBlockchain().then((success) => {
 
 // Middleware to check if blockchain is initialized
 const checkBlockchainConnection = (req, res, next) => {
-    if (!identityManagerContract) {
+    if (!identityManager.isInitialized() || !revocationRegistry.isInitialized()) {
         return res.status(500).json({
             error: 'Blockchain connection not initialized. Please check Ganache and contract deployment.'
         });
@@ -461,6 +1617,78 @@ const checkBlockchainConnection = (req, res, next) => {
     next();
 };
 
+/**
+ * Serve the event stream over WebSocket as well, at /api/blockchain/events
+ * Takes the same query and access token as the SSE route, with lastEventId to
+ * resume; each message is JSON { id, type, data }.
+ * @param {http.Server} server - Server the app listens on
+ */
+const attachEventSocket = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    const reject = (socket, status, error) => {
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+            'Content-Type: application/json\r\nConnection: close\r\n\r\n' +
+            JSON.stringify({ error }));
+    };
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api/blockchain/events') {
+            return socket.destroy();
+        }
+
+        let filter;
+        try {
+            const authorization = req.headers.authorization;
+            const auth = await authenticateToken((authorization && authorization.split(' ')[1]) || url.searchParams.get('token'));
+            if (auth.error) {
+                return reject(socket, auth.status, auth.error);
+            }
+
+            const query = eventStream.parseStreamQuery(Object.fromEntries(url.searchParams));
+            if (query.error) {
+                return reject(socket, 400, query.error);
+            }
+
+            filter = await scopeStreamFilter(query, auth.user);
+            if (filter.error) {
+                return reject(socket, filter.status, filter.error);
+            }
+
+            if (!(await eventIndexer.getState())) {
+                return reject(socket, 503, 'The identity index is still being built');
+            }
+        } catch (error) {
+            console.error('Event socket error:', error);
+            return reject(socket, 500, 'Failed to open the event stream');
+        }
+
+        if (openEventStreams >= MAX_EVENT_STREAMS) {
+            return reject(socket, 503, 'Too many open event streams');
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            openEventStreams++;
+
+            const subscription = eventStream.subscribe({ eventIndexer, store, filter }, (message) => {
+                ws.send(JSON.stringify(message));
+            });
+            const heartbeat = setInterval(() => ws.ping(), STREAM_HEARTBEAT_MS);
+
+            ws.on('close', () => {
+                clearInterval(heartbeat);
+                subscription.close();
+                openEventStreams--;
+            });
+            subscription.ready.catch((error) => {
+                console.error('Event socket error:', error);
+                ws.close(1011, 'Failed to stream events');
+            });
+        });
+    });
+};
+
 // Apply middleware to routes that need blockchain connection (except health check)
 router.use('/register', checkBlockchainConnection);
 router.use('/user*', checkBlockchainConnection);
@@ -468,4 +1696,7 @@ router.use('/users', checkBlockchainConnection);
 router.use('/verify-aadhaar', checkBlockchainConnection);
 router.use('/network-info', checkBlockchainConnection);
 
-module.exports = router;
\ No newline at end of file
+// Export the WebSocket setup for server.js
+router.attachEventSocket = attachEventSocket;
+
+module.exports = router;
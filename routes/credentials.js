@@ -0,0 +1,161 @@
+const express = require('express');
+const { getIdentityManager, getRevocationRegistry } = require('../blockchain');
+const jwtVc = require('../credentials/jwt-vc');
+const verifier = require('../credentials/verifier');
+const profileVault = require('../profiles/profile-vault');
+const { getStore } = require('../storage');
+const { verifyToken } = require('./auth');
+const router = express.Router();
+
+const store = getStore();
+
+/**
+ * Issue a Verifiable Credential for the authenticated user's on-chain identity
+ * POST /api/credentials/issue
+ */
+router.post('/issue', verifyToken, async (req, res) => {
+    try {
+        // Only set once the wallet has been proven via /api/auth/wallet/link
+        const address = req.user.ethereumAddress;
+        if (!address) {
+            return res.status(400).json({
+                error: 'No verified wallet linked to this account'
+            });
+        }
+
+        const identityManager = getIdentityManager();
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const identity = await identityManager.getIdentity(address);
+        if (!identity) {
+            return res.status(404).json({
+                error: 'No active on-chain identity for this wallet'
+            });
+        }
+
+        // Name and email come from the encrypted off-chain profile
+        const profile = await profileVault.openProfile(identity, { store });
+        if (!profile) {
+            return res.status(404).json({
+                error: 'No off-chain profile for this identity'
+            });
+        }
+
+        // A revoked Aadhaar attestation is no longer claimed
+        const revocationRegistry = getRevocationRegistry();
+        if (!revocationRegistry.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+        const attestationId = revocationRegistry.aadhaarAttestationId(identityManager.address, identity);
+        const aadhaarRevoked = await revocationRegistry.isRevoked(attestationId);
+
+        const { chainId } = await identityManager.getDomain();
+        const { jwt, credential } = jwtVc.issueIdentityCredential({
+            identity: { ...identity, ...profile },
+            aadhaarVerified: !aadhaarRevoked,
+            contractAddress: identityManager.address,
+            chainId: chainId
+        });
+
+        res.json({
+            success: true,
+            message: 'Credential issued successfully',
+            data: {
+                format: 'jwt_vc',
+                credential: jwt,
+                vc: credential
+            }
+        });
+
+    } catch (error) {
+        console.error('Credential issuance error:', error);
+        res.status(500).json({
+            error: 'Failed to issue credential'
+        });
+    }
+});
+
+/**
+ * Verify a JWT-VC, or a JWT-VP and the credentials it carries, against the identity contract
+ * POST /api/credentials/verify
+ * Body: { credential } or { presentation, challenge?, domain? }
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const { credential, presentation, challenge, domain } = req.body;
+
+        if (!credential === !presentation) {
+            return res.status(400).json({
+                error: 'Provide either credential or presentation'
+            });
+        }
+
+        if (typeof (credential || presentation) !== 'string') {
+            return res.status(400).json({
+                error: 'Credentials and presentations must be compact JWTs'
+            });
+        }
+
+        const identityManager = getIdentityManager();
+        const revocationRegistry = getRevocationRegistry();
+        if (!identityManager.isInitialized() || !revocationRegistry.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const { chainId } = await identityManager.getDomain();
+        const context = { identityManager, chainId, revocationRegistry };
+
+        const result = presentation
+            ? await verifier.verifyPresentation(presentation, { ...context, challenge, domain })
+            : await verifier.verifyCredential(credential, context);
+
+        res.json({
+            success: true,
+            data: {
+                type: presentation ? 'VerifiablePresentation' : 'VerifiableCredential',
+                ...result
+            }
+        });
+
+    } catch (error) {
+        console.error('Credential verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify credential'
+        });
+    }
+});
+
+/**
+ * Issuer DID and public key, for verifying issued credentials
+ * GET /api/credentials/issuer
+ */
+router.get('/issuer', (req, res) => {
+    try {
+        const { did, kid, publicJwk } = jwtVc.getIssuer();
+
+        res.json({
+            success: true,
+            data: {
+                id: did,
+                verificationMethod: kid,
+                publicKeyJwk: publicJwk
+            }
+        });
+
+    } catch (error) {
+        console.error('Issuer lookup error:', error);
+        res.status(500).json({
+            error: 'Credential issuer not configured'
+        });
+    }
+});
+
+module.exports = router;
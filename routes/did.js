@@ -0,0 +1,59 @@
+const express = require('express');
+const { getIdentityManager } = require('../blockchain');
+const { getStore } = require('../storage');
+const ethrDid = require('../did/ethr-did');
+const router = express.Router();
+
+const store = getStore();
+
+// HTTP status for each DID resolution error
+const ERROR_STATUS = {
+    invalidDid: 400,
+    notFound: 404
+};
+
+/**
+ * Resolve a did:ethr to its DID document
+ * Returns the DID resolution result, or only the document when the client
+ * asks for application/did+ld+json.
+ * GET /api/did/:did
+ */
+router.get('/:did', async (req, res) => {
+    try {
+        const identityManager = getIdentityManager();
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const result = await ethrDid.resolveDid(req.params.did, { identityManager, store });
+
+        const { error } = result.didResolutionMetadata;
+        let status = 200;
+        if (error) {
+            status = ERROR_STATUS[error] || 500;
+        } else if (result.didDocumentMetadata.deactivated) {
+            status = 410;
+        }
+
+        if (!error && req.accepts(['application/json', 'application/did+ld+json']) === 'application/did+ld+json') {
+            return res.status(status).type('application/did+ld+json').send(JSON.stringify(result.didDocument));
+        }
+
+        res.status(status).json({
+            '@context': 'https://w3id.org/did-resolution/v1',
+            ...result
+        });
+
+    } catch (error) {
+        console.error('DID resolution error:', error);
+        res.status(500).json({
+            didResolutionMetadata: { error: 'internalError' },
+            didDocument: null,
+            didDocumentMetadata: {}
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const { getWeb3, getIdentityManager, getRevocationRegistry } = require('../blockchain');
+const attributeDisclosure = require('../blockchain/attribute-disclosure');
+const ethrDid = require('../did/ethr-did');
+const profileVault = require('../profiles/profile-vault');
+const { getStore } = require('../storage');
+const { verifyToken } = require('./auth');
+const router = express.Router();
+
+const store = getStore();
+
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Longer proofs cannot come from a tree of ATTRIBUTES.length leaves
+const MAX_PROOF_LENGTH = 8;
+
+/**
+ * Check the shape of a submitted disclosure
+ * @param {object} disclosure
+ * @returns {string|null} Error message, or null if well-formed
+ */
+const validateDisclosure = (disclosure) => {
+    const { attribute, value, salt, proof } = disclosure || {};
+    if (!attributeDisclosure.ATTRIBUTES.includes(attribute)) {
+        return `attribute must be one of: ${attributeDisclosure.ATTRIBUTES.join(', ')}`;
+    }
+    if (typeof value !== 'string') {
+        return 'value must be a string';
+    }
+    if (!BYTES32_PATTERN.test(salt || '')) {
+        return 'salt must be a 0x-prefixed 32-byte hex string';
+    }
+    if (!Array.isArray(proof) || proof.length > MAX_PROOF_LENGTH ||
+        !proof.every((node) => BYTES32_PATTERN.test(node || ''))) {
+        return 'proof must be an array of 0x-prefixed 32-byte hex strings';
+    }
+    return null;
+};
+
+/**
+ * Create disclosures of selected attributes of the authenticated user's identity
+ * The attribute root is (re)committed first when it is missing or no longer
+ * matches the identity, e.g. after a direct updateIdentity call.
+ * POST /api/disclosure/proof
+ * Body: { attributes: ["email", "aadhaarVerified", ...] }
+ */
+router.post('/proof', verifyToken, async (req, res) => {
+    try {
+        const { attributes } = req.body;
+
+        if (!Array.isArray(attributes) || attributes.length === 0) {
+            return res.status(400).json({
+                error: 'attributes must be a non-empty array'
+            });
+        }
+
+        const unknown = attributes.filter((attribute) => !attributeDisclosure.ATTRIBUTES.includes(attribute));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                error: `Unknown attributes: ${unknown.join(', ')}. ` +
+                    `Disclosable attributes are: ${attributeDisclosure.ATTRIBUTES.join(', ')}`
+            });
+        }
+
+        // Only set once the wallet has been proven via /api/auth/wallet/link
+        const address = req.user.ethereumAddress;
+        if (!address) {
+            return res.status(400).json({
+                error: 'No verified wallet linked to this account'
+            });
+        }
+
+        const identityManager = getIdentityManager();
+        if (!identityManager.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const onChainIdentity = await identityManager.getIdentity(address);
+        if (!onChainIdentity) {
+            return res.status(404).json({
+                error: 'No active on-chain identity for this wallet'
+            });
+        }
+
+        // Name and email come from the encrypted off-chain profile
+        const profile = await profileVault.openProfile(onChainIdentity, { store });
+        if (!profile) {
+            return res.status(404).json({
+                error: 'No off-chain profile for this identity'
+            });
+        }
+
+        const identity = { ...onChainIdentity, ...profile };
+        const values = attributeDisclosure.attributeValues(identity);
+        const onChainRoot = await identityManager.getAttributeRoot(address);
+        const record = await store.getAttributeSalts(address);
+
+        let salts = record && record.salts;
+        let tree = salts ? attributeDisclosure.buildTree(values, salts) : null;
+        if (!tree || !onChainRoot || tree.root !== onChainRoot.toLowerCase()) {
+            ({ salts } = await attributeDisclosure.commitAttributes(identity, { identityManager, store }));
+            tree = attributeDisclosure.buildTree(values, salts);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ethereumAddress: address,
+                did: ethrDid.toDid(identityManager.chainId, address),
+                contractAddress: identityManager.address,
+                root: tree.root,
+                disclosures: [...new Set(attributes)].map((attribute) => ({
+                    attribute: attribute,
+                    value: values[attribute],
+                    salt: salts[attribute],
+                    proof: attributeDisclosure.getProof(tree, attribute)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Disclosure proof error:', error);
+        res.status(500).json({
+            error: 'Failed to create attribute disclosures'
+        });
+    }
+});
+
+/**
+ * Verify disclosed attributes against the identity's on-chain attribute root
+ * An aadhaarVerified disclosure also requires the Aadhaar attestation to be unrevoked.
+ * POST /api/disclosure/verify
+ * Body: { ethereumAddress, disclosures: [{ attribute, value, salt, proof }] }
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const { ethereumAddress, disclosures } = req.body;
+        const web3 = getWeb3();
+
+        if (!ethereumAddress || !web3.utils.isAddress(ethereumAddress)) {
+            return res.status(400).json({
+                error: 'Invalid Ethereum address format'
+            });
+        }
+
+        if (!Array.isArray(disclosures) || disclosures.length === 0 ||
+            disclosures.length > attributeDisclosure.ATTRIBUTES.length) {
+            return res.status(400).json({
+                error: `disclosures must be an array of 1 to ${attributeDisclosure.ATTRIBUTES.length} entries`
+            });
+        }
+
+        for (const disclosure of disclosures) {
+            const problem = validateDisclosure(disclosure);
+            if (problem) {
+                return res.status(400).json({
+                    error: 'Invalid disclosure: ' + problem
+                });
+            }
+        }
+
+        const identityManager = getIdentityManager();
+        const revocationRegistry = getRevocationRegistry();
+        if (!identityManager.isInitialized() || !revocationRegistry.isInitialized()) {
+            return res.status(500).json({
+                error: 'Blockchain connection not initialized'
+            });
+        }
+
+        const address = web3.utils.toChecksumAddress(ethereumAddress);
+        const identity = await identityManager.getIdentity(address);
+
+        const results = [];
+        for (const disclosure of disclosures) {
+            const { attribute, value } = disclosure;
+            let verified = !!identity && await identityManager.verifyAttribute(address, disclosure);
+            let revoked = false;
+
+            if (verified && attribute === 'aadhaarVerified') {
+                const attestationId = revocationRegistry.aadhaarAttestationId(identityManager.address, identity);
+                revoked = await revocationRegistry.isRevoked(attestationId);
+                verified = !revoked;
+            }
+
+            results.push({ attribute, value, verified, ...(revoked && { revoked }) });
+        }
+
+        const attributes = {};
+        results.filter((result) => result.verified).forEach((result) => {
+            attributes[result.attribute] = result.value;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                verified: results.every((result) => result.verified),
+                ethereumAddress: address,
+                did: ethrDid.toDid(identityManager.chainId, address),
+                attributes: attributes,
+                results: results
+            }
+        });
+
+    } catch (error) {
+        console.error('Disclosure verification error:', error);
+        res.status(500).json({
+            error: 'Failed to verify attribute disclosures'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require('express');
+const { getWeb3, getIdentityManager, getGuardianRecovery } = require('../blockchain');
+const profileVault = require('../profiles/profile-vault');
+const { getStore } = require('../storage');
+const { verifyToken } = require('./auth');
+const router = express.Router();
+
+const store = getStore();
+
+/**
+ * Validate :address and make sure the contracts are loaded
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const resolveIdentity = (req, res, next) => {
+    const web3 = getWeb3();
+    const { address } = req.params;
+
+    if (!web3.utils.isAddress(address)) {
+        return res.status(400).json({
+            error: 'Invalid Ethereum address format'
+        });
+    }
+
+    if (!getIdentityManager().isInitialized() || !getGuardianRecovery().isInitialized()) {
+        return res.status(500).json({
+            error: 'Blockchain connection not initialized'
+        });
+    }
+
+    req.params.address = web3.utils.toChecksumAddress(address);
+    next();
+};
+
+/**
+ * Only allow the holder of the wallet in :address; use after resolveIdentity
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const requireHolder = (req, res, next) => {
+    if (req.user.ethereumAddress !== req.params.address) {
+        return res.status(403).json({
+            error: 'You can only manage the identity of your own linked wallet'
+        });
+    }
+    next();
+};
+
+/**
+ * Only allow guardians of the identity in :address; use after resolveIdentity
+ * Guardians act with the wallet they proved via /api/auth/wallet/link.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const requireGuardian = async (req, res, next) => {
+    const guardian = req.user.ethereumAddress;
+    if (!guardian) {
+        return res.status(400).json({
+            error: 'No verified wallet linked to this account'
+        });
+    }
+
+    try {
+        if (!(await getGuardianRecovery().isGuardian(req.params.address, guardian))) {
+            return res.status(403).json({
+                error: 'Only guardians of this identity can recover it'
+            });
+        }
+    } catch (error) {
+        console.error('Guardian lookup error:', error);
+        return res.status(500).json({
+            error: 'Failed to look up guardians'
+        });
+    }
+    next();
+};
+
+/**
+ * Send a recovery transaction, mapping reverts to 400
+ * @param {Response} res
+ * @param {Function} send - Sends the transaction
+ * @param {string} message - Success message
+ */
+const sendRecoveryChange = async (res, send, message) => {
+    try {
+        const transaction = await send();
+
+        res.json({
+            success: true,
+            message: message,
+            data: {
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Recovery change error:', error);
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to update recovery on blockchain'
+        });
+    }
+};
+
+/**
+ * Move what the API keeps per wallet to a recovered identity's new address
+ * Profiles are encrypted under a per-wallet key and bound to the wallet, so the
+ * profile is re-sealed for the new address and anchored, then the old versions
+ * are erased. Safe to repeat: once the identity points at the re-sealed profile
+ * there is nothing left to move. The Aadhaar attestation needs no carrying over,
+ * as its ID names the address the identity was first registered under.
+ * @param {string} oldAddress - Address the identity was recovered from
+ * @param {string} newAddress - Address the identity moved to
+ * @returns {Promise<object|null>} { profileMoved }, or null if the identity is no longer active there
+ */
+const completeRecovery = async (oldAddress, newAddress) => {
+    const identityManager = getIdentityManager();
+    const identity = await identityManager.getIdentity(newAddress);
+    if (!identity) {
+        return null;
+    }
+
+    // Until it is moved, the profile the identity points to is still bound to the old address
+    const profile = await profileVault.openProfile({ ...identity, ethereumAddress: oldAddress }, { store });
+    if (profile) {
+        const anchors = await profileVault.sealProfile(newAddress, profile, { store, previous: profile });
+        await identityManager.updateIdentityFor(newAddress, anchors);
+    }
+
+    // The old address may hold a new identity by now; then only its old profile version goes
+    if (await identityManager.isRegistered(oldAddress) || await identityManager.isDeactivated(oldAddress)) {
+        if (profile) {
+            await profileVault.discardProfile(identity.profilePointer, { store });
+        }
+    } else {
+        await profileVault.eraseProfiles(oldAddress, { store });
+    }
+
+    return { profileMoved: !!profile };
+};
+
+/**
+ * Guardians of an identity and its pending recovery, if any
+ * GET /api/recovery/:address
+ */
+router.get('/:address', resolveIdentity, async (req, res) => {
+    try {
+        const { address } = req.params;
+        const guardianRecovery = getGuardianRecovery();
+
+        const { guardians, threshold } = await guardianRecovery.getGuardians(address);
+        const recovery = await guardianRecovery.getRecovery(address);
+
+        if (recovery) {
+            recovery.approvedBy = [];
+            for (const guardian of guardians) {
+                if (await guardianRecovery.hasApproved(address, guardian)) {
+                    recovery.approvedBy.push(guardian);
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ethereumAddress: address,
+                guardians: guardians,
+                threshold: threshold,
+                recoveryDelay: guardianRecovery.recoveryDelay,
+                recovery: recovery,
+                recoveredTo: await getIdentityManager().getRecoveredTo(address)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get recovery error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve recovery status from blockchain'
+        });
+    }
+});
+
+/**
+ * Replace the guardians of the authenticated user's identity
+ * An empty list with threshold 0 turns recovery off.
+ * PUT /api/recovery/:address/guardians
+ * Body: { guardians: ["0x...", ...], threshold }
+ */
+router.put('/:address/guardians', verifyToken, resolveIdentity, requireHolder, async (req, res) => {
+    const web3 = getWeb3();
+    const { guardians, threshold } = req.body;
+
+    if (!Array.isArray(guardians) || !guardians.every((guardian) => web3.utils.isAddress(guardian))) {
+        return res.status(400).json({
+            error: 'guardians must be an array of Ethereum addresses'
+        });
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+        return res.status(400).json({
+            error: 'threshold must be a non-negative integer'
+        });
+    }
+
+    await sendRecoveryChange(
+        res,
+        () => getGuardianRecovery().setGuardiansFor(
+            req.params.address,
+            guardians.map((guardian) => web3.utils.toChecksumAddress(guardian)),
+            threshold
+        ),
+        'Guardians updated successfully'
+    );
+});
+
+/**
+ * Start recovering an identity to a new address (a guardian); counts as their approval
+ * POST /api/recovery/:address
+ * Body: { newAddress }
+ */
+router.post('/:address', verifyToken, resolveIdentity, requireGuardian, async (req, res) => {
+    const web3 = getWeb3();
+    const { newAddress } = req.body;
+
+    if (!newAddress || !web3.utils.isAddress(newAddress)) {
+        return res.status(400).json({
+            error: 'newAddress must be an Ethereum address'
+        });
+    }
+
+    await sendRecoveryChange(
+        res,
+        () => getGuardianRecovery().initiateRecoveryFor(
+            req.params.address,
+            req.user.ethereumAddress,
+            web3.utils.toChecksumAddress(newAddress)
+        ),
+        'Recovery initiated successfully'
+    );
+});
+
+/**
+ * Approve the pending recovery of an identity (a guardian)
+ * POST /api/recovery/:address/approve
+ */
+router.post('/:address/approve', verifyToken, resolveIdentity, requireGuardian, async (req, res) => {
+    await sendRecoveryChange(
+        res,
+        () => getGuardianRecovery().approveRecoveryFor(req.params.address, req.user.ethereumAddress),
+        'Recovery approved successfully'
+    );
+});
+
+/**
+ * Cancel the pending recovery of the authenticated user's identity
+ * POST /api/recovery/:address/cancel
+ */
+router.post('/:address/cancel', verifyToken, resolveIdentity, requireHolder, async (req, res) => {
+    await sendRecoveryChange(
+        res,
+        () => getGuardianRecovery().cancelRecoveryFor(req.params.address),
+        'Recovery cancelled successfully'
+    );
+});
+
+/**
+ * Move an identity to its new address once enough guardians approved and the delay has passed
+ * Finalizing is open to anyone on chain; the API also moves the encrypted
+ * profile. If that fails, or the recovery was finalized on chain directly,
+ * POST /api/recovery/:address/complete moves it later.
+ * POST /api/recovery/:address/finalize
+ */
+router.post('/:address/finalize', verifyToken, resolveIdentity, async (req, res) => {
+    try {
+        const { address } = req.params;
+        const guardianRecovery = getGuardianRecovery();
+
+        const recovery = await guardianRecovery.getRecovery(address);
+        if (!recovery) {
+            return res.status(404).json({
+                error: 'No recovery in progress'
+            });
+        }
+
+        const transaction = await guardianRecovery.finalizeRecovery(address);
+        const { newAddress } = recovery;
+
+        let profileMoved = false;
+        try {
+            const completed = await completeRecovery(address, newAddress);
+            profileMoved = !!(completed && completed.profileMoved);
+        } catch (error) {
+            console.error('Profile move error:', error.message);
+        }
+
+        res.json({
+            success: true,
+            message: 'Identity recovered successfully',
+            data: {
+                ethereumAddress: newAddress,
+                recoveredFrom: address,
+                profileMoved: profileMoved,
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Finalize recovery error:', error);
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to finalize recovery on blockchain'
+        });
+    }
+});
+
+/**
+ * Finish moving a recovered identity's profile to its new address
+ * For recoveries finalized on chain directly, or whose profile move failed;
+ * repeating it is harmless.
+ * POST /api/recovery/:address/complete
+ */
+router.post('/:address/complete', verifyToken, resolveIdentity, async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        const newAddress = await getIdentityManager().getRecoveredTo(address);
+        if (!newAddress) {
+            return res.status(404).json({
+                error: 'Identity has not been recovered'
+            });
+        }
+
+        const completed = await completeRecovery(address, newAddress);
+        if (!completed) {
+            return res.status(409).json({
+                error: 'The recovered identity is no longer active at ' + newAddress
+            });
+        }
+
+        res.json({
+            success: true,
+            message: completed.profileMoved ? 'Recovery completed successfully' : 'Recovery was already complete',
+            data: {
+                ethereumAddress: newAddress,
+                recoveredFrom: address,
+                profileMoved: completed.profileMoved
+            }
+        });
+
+    } catch (error) {
+        console.error('Complete recovery error:', error);
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to complete recovery'
+        });
+    }
+});
+
+module.exports = router;
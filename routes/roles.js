@@ -0,0 +1,216 @@
+const express = require('express');
+const { getWeb3, getIdentityManager } = require('../blockchain');
+const { getStore } = require('../storage');
+const { verifyToken } = require('./auth');
+const router = express.Router();
+
+const store = getStore();
+
+// Every signed-in caller is a user; admin and verifier are assigned to wallets
+const ROLES = ['admin', 'verifier', 'user'];
+const ASSIGNABLE_ROLES = ['admin', 'verifier'];
+
+/**
+ * Whether an account is listed in ADMINS (comma-separated emails or wallet addresses)
+ * Configured admins need no assignment, so the first roles can be handed out.
+ * @param {object} user - Decoded access token
+ * @returns {boolean}
+ */
+const isConfiguredAdmin = ({ email, ethereumAddress }) => {
+    const admins = (process.env.ADMINS || '')
+        .split(',')
+        .map((entry) => entry.trim().toLowerCase())
+        .filter(Boolean);
+
+    return !!((email && admins.includes(email.toLowerCase())) ||
+        (ethereumAddress && admins.includes(ethereumAddress.toLowerCase())));
+};
+
+/**
+ * Roles of an authenticated caller
+ * Assignments belong to the wallet the caller proved, so accounts without a
+ * linked wallet can only be admins through ADMINS.
+ * @param {object} user - Decoded access token
+ * @returns {Promise<Array<string>>} Entries of ROLES
+ */
+const getRoles = async (user) => {
+    const roles = new Set(['user']);
+
+    if (isConfiguredAdmin(user)) {
+        roles.add('admin');
+    }
+    if (user.ethereumAddress) {
+        const record = await store.getRoles(user.ethereumAddress);
+        (record ? record.roles : []).forEach((role) => roles.add(role));
+    }
+
+    return ROLES.filter((role) => roles.has(role));
+};
+
+/**
+ * Only allow callers holding one of the given roles; use after verifyToken
+ * Sets req.roles to the caller's roles.
+ * @param {...string} allowed - Entries of ROLES
+ * @returns {Function} Middleware
+ */
+const requireRole = (...allowed) => async (req, res, next) => {
+    try {
+        req.roles = await getRoles(req.user);
+    } catch (error) {
+        console.error('Role lookup error:', error);
+        return res.status(500).json({ error: 'Failed to look up roles' });
+    }
+
+    if (!allowed.some((role) => req.roles.includes(role))) {
+        return res.status(403).json({ error: `Requires the ${allowed.join(' or ')} role` });
+    }
+    next();
+};
+
+/**
+ * Validate :address and :role and make sure the contract is loaded
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const resolveAssignment = (req, res, next) => {
+    const web3 = getWeb3();
+    const { address, role } = req.params;
+
+    if (!web3.utils.isAddress(address)) {
+        return res.status(400).json({
+            error: 'Invalid Ethereum address format'
+        });
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+            error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+        });
+    }
+
+    if (!getIdentityManager().isInitialized()) {
+        return res.status(500).json({
+            error: 'Blockchain connection not initialized'
+        });
+    }
+
+    req.params.address = web3.utils.toChecksumAddress(address);
+    next();
+};
+
+/**
+ * Mirror a role change on chain, then record it
+ * The chain goes first: an assignment the API enforces is always auditable,
+ * and both contract calls are idempotent, so a failed save can be retried.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {boolean} granted - Whether the role is given or taken away
+ */
+const changeRole = async (req, res, granted) => {
+    try {
+        const identityManager = getIdentityManager();
+        const { address, role } = req.params;
+
+        const transaction = granted
+            ? await identityManager.grantRole(role, address)
+            : await identityManager.revokeRole(role, address);
+
+        const record = await store.getRoles(address);
+        const current = (record ? record.roles : []).filter((entry) => entry !== role);
+        const roles = ASSIGNABLE_ROLES.filter((entry) => current.includes(entry) || (granted && entry === role));
+
+        await store.saveRoles({
+            ethereumAddress: address,
+            roles: roles,
+            updatedAt: new Date().toISOString(),
+            updatedBy: req.user.email || req.user.ethereumAddress
+        });
+
+        res.json({
+            success: true,
+            message: granted ? 'Role assigned successfully' : 'Role removed successfully',
+            data: {
+                ethereumAddress: address,
+                roles: roles,
+                transactionHash: transaction.tx,
+                blockNumber: transaction.receipt.blockNumber
+            }
+        });
+
+    } catch (error) {
+        console.error('Role change error:', error);
+        if (error.message.includes('revert')) {
+            return res.status(400).json({
+                error: 'Transaction reverted: ' + error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to update role'
+        });
+    }
+};
+
+/**
+ * Roles of the authenticated caller
+ * GET /api/roles/me
+ */
+router.get('/me', verifyToken, requireRole(...ROLES), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            roles: req.roles
+        }
+    });
+});
+
+/**
+ * List role assignments (configured ADMINS are not listed)
+ * GET /api/roles
+ */
+router.get('/', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const assignments = await store.listRoles();
+
+        res.json({
+            success: true,
+            data: {
+                assignments: assignments.filter((record) => record.roles.length > 0)
+            }
+        });
+
+    } catch (error) {
+        console.error('List roles error:', error);
+        res.status(500).json({
+            error: 'Failed to list role assignments'
+        });
+    }
+});
+
+/**
+ * Give a wallet a role
+ * PUT /api/roles/:address/:role
+ */
+router.put('/:address/:role', verifyToken, requireRole('admin'), resolveAssignment, async (req, res) => {
+    await changeRole(req, res, true);
+});
+
+/**
+ * Take a role away from a wallet
+ * Admins cannot remove their own admin role, so there is always one left.
+ * DELETE /api/roles/:address/:role
+ */
+router.delete('/:address/:role', verifyToken, requireRole('admin'), resolveAssignment, async (req, res) => {
+    if (req.params.role === 'admin' && req.params.address === req.user.ethereumAddress) {
+        return res.status(400).json({
+            error: 'You cannot remove your own admin role'
+        });
+    }
+    await changeRole(req, res, false);
+});
+
+// Export the role middleware and lookup for use in other routes
+router.requireRole = requireRole;
+router.getRoles = getRoles;
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getEventIndexer } = require('../blockchain');
+const WebhookDispatcher = require('../webhooks/webhook-dispatcher');
+const { getStore } = require('../storage');
+const { verifyToken } = require('./auth');
+const { requireRole } = require('./roles');
+const router = express.Router();
+
+const store = getStore();
+
+const dispatcher = new WebhookDispatcher({
+    eventIndexer: getEventIndexer(),
+    store: store,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseDelay: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000
+});
+
+// Entries returned by the delivery log routes
+const DELIVERY_LOG_LIMIT = 100;
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead', 'dropped'];
+
+/**
+ * Webhook as returned by the API; the secret is only shown when it is created
+ * @param {object} webhook - Stored webhook
+ * @returns {object}
+ */
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Validate a webhook subscription request
+ * @param {object} body - { url, events, description }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateWebhook = ({ url, events, description }) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'url must be an absolute URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'url must use http or https';
+    }
+
+    if (!Array.isArray(events) || events.length === 0 ||
+        events.some((event) => !WebhookDispatcher.WEBHOOK_EVENTS.includes(event))) {
+        return `events must be a list of: ${WebhookDispatcher.WEBHOOK_EVENTS.join(', ')}`;
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+        return 'description must be a string of at most 200 characters';
+    }
+
+    return null;
+};
+
+/**
+ * Load :id into req.webhook
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+const loadWebhook = async (req, res, next) => {
+    try {
+        req.webhook = await store.getWebhook(req.params.id);
+    } catch (error) {
+        console.error('Webhook lookup error:', error);
+        return res.status(500).json({ error: 'Failed to look up webhook' });
+    }
+
+    if (!req.webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    next();
+};
+
+/**
+ * Subscribe a URL to identity events
+ * The response holds the secret that signs its requests; it is not shown again.
+ * POST /api/webhooks
+ */
+router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+
+        const error = validateWebhook({ url, events, description });
+        if (error) {
+            return res.status(400).json({
+                error: error
+            });
+        }
+
+        const webhook = await store.saveWebhook({
+            id: crypto.randomUUID(),
+            url: url,
+            events: [...new Set(events)],
+            description: description || null,
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString(),
+            createdBy: req.user.email || req.user.ethereumAddress
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully',
+            data: {
+                ...toPublicWebhook(webhook),
+                secret: webhook.secret
+            }
+        });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to create webhook'
+        });
+    }
+});
+
+/**
+ * List webhook subscriptions
+ * GET /api/webhooks
+ */
+router.get('/', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const webhooks = await store.listWebhooks();
+
+        res.json({
+            success: true,
+            data: {
+                webhooks: webhooks.map(toPublicWebhook)
+            }
+        });
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({
+            error: 'Failed to list webhooks'
+        });
+    }
+});
+
+/**
+ * Deliveries that ran out of attempts, newest first
+ * GET /api/webhooks/dead-letters
+ */
+router.get('/dead-letters', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const deliveries = await store.listWebhookDeliveries({ status: 'dead' }, DELIVERY_LOG_LIMIT);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries: deliveries
+            }
+        });
+
+    } catch (error) {
+        console.error('List dead letters error:', error);
+        res.status(500).json({
+            error: 'Failed to list dead letters'
+        });
+    }
+});
+
+/**
+ * Queue a delivery again (e.g. a dead letter)
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+router.post('/deliveries/:deliveryId/redeliver', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+        const delivery = await store.getWebhookDelivery(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found'
+            });
+        }
+
+        if (['pending', 'sending'].includes(delivery.status)) {
+            return res.status(400).json({
+                error: 'Delivery is already queued'
+            });
+        }
+        if (delivery.status === 'dropped') {
+            return res.status(400).json({
+                error: 'Delivery was dropped because a chain reorganization removed its event'
+            });
+        }
+
+        const queued = await dispatcher.redeliver(delivery);
+
+        res.json({
+            success: true,
+            message: 'Delivery queued',
+            data: queued
+        });
+
+    } catch (error) {
+        console.error('Redeliver error:', error);
+        res.status(500).json({
+            error: 'Failed to queue delivery'
+        });
+    }
+});
+
+/**
+ * Get a webhook subscription
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', verifyToken, requireRole('admin'), loadWebhook, (req, res) => {
+    res.json({
+        success: true,
+        data: toPublicWebhook(req.webhook)
+    });
+});
+
+/**
+ * Delivery log of a webhook, newest first; query status=pending|sending|delivered|dead|dropped
+ * GET /api/webhooks/:id/deliveries
+ */
+router.get('/:id/deliveries', verifyToken, requireRole('admin'), loadWebhook, async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+            });
+        }
+
+        const deliveries = await store.listWebhookDeliveries({ webhookId: req.webhook.id, status }, DELIVERY_LOG_LIMIT);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries: deliveries
+            }
+        });
+
+    } catch (error) {
+        console.error('List deliveries error:', error);
+        res.status(500).json({
+            error: 'Failed to list deliveries'
+        });
+    }
+});
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', verifyToken, requireRole('admin'), loadWebhook, async (req, res) => {
+    try {
+        await store.deleteWebhook(req.webhook.id);
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({
+            error: 'Failed to delete webhook'
+        });
+    }
+});
+
+// Export the dispatcher for server.js to start
+router.dispatcher = dispatcher;
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * Import identities from an IdentityManager deployed before Aadhaar commitments
+ *
+ * The old contract stored an unsalted SHA-256 of the Aadhaar number as a
+ * string. Each active identity is copied into the current deployment with
+ * that hash wrapped in a keyed commitment (see blockchain/aadhaar-commitment.js);
+ * /api/blockchain/verify-aadhaar replaces it with a direct commitment the next
+ * time the user's number is verified. Names and emails are moved into the
+ * encrypted profile store (see profiles/profile-vault.js). The old contract is
+ * still public, so retire it once the import is done.
+ *
+ * Usage:
+ *   LEGACY_CONTRACT_ADDRESS=0x... node scripts/migrate-aadhaar-commitments.js [--close]
+ *
+ * --close stops further imports on the new contract once every identity is copied.
+ */
+require('dotenv').config();
+
+const Web3 = require('web3');
+const IdentityManagerClient = require('../blockchain/identity-manager-client');
+const aadhaarCommitment = require('../blockchain/aadhaar-commitment');
+const profileVault = require('../profiles/profile-vault');
+const { getStore } = require('../storage');
+
+// The parts of the old contract's ABI the import reads
+const LEGACY_ABI = [
+    {
+        type: 'function',
+        name: 'getAllUsers',
+        stateMutability: 'view',
+        inputs: [],
+        outputs: [{ name: '', type: 'address[]' }]
+    },
+    {
+        type: 'function',
+        name: 'getIdentity',
+        stateMutability: 'view',
+        inputs: [{ name: '_userAddress', type: 'address' }],
+        outputs: [
+            { name: 'name', type: 'string' },
+            { name: 'email', type: 'string' },
+            { name: 'hashedAadhaar', type: 'string' },
+            { name: 'ethAddress', type: 'address' },
+            { name: 'registrationTime', type: 'uint256' },
+            { name: 'isActive', type: 'bool' }
+        ]
+    }
+];
+
+const migrate = async () => {
+    const legacyAddress = process.env.LEGACY_CONTRACT_ADDRESS;
+    if (!legacyAddress) {
+        throw new Error('LEGACY_CONTRACT_ADDRESS is required');
+    }
+
+    const web3 = new Web3(process.env.GANACHE_URL || 'http://127.0.0.1:9545');
+    const identityManager = new IdentityManagerClient(web3);
+    await identityManager.init();
+    const store = getStore();
+
+    if (!(await identityManager.isMigrationOpen())) {
+        throw new Error('Migration is closed on the current IdentityManager deployment');
+    }
+
+    const legacy = new web3.eth.Contract(LEGACY_ABI, legacyAddress);
+    const addresses = await legacy.methods.getAllUsers().call();
+    console.log(`Found ${addresses.length} identities on ${legacyAddress}`);
+
+    let imported = 0;
+    for (const address of addresses) {
+        if (await identityManager.isRegistered(address)) {
+            console.log(`- ${address}: already present, skipped`);
+            continue;
+        }
+
+        const identity = await legacy.methods.getIdentity(address).call();
+        const { commitment, keyVersion } = aadhaarCommitment.commitLegacyHash(identity.hashedAadhaar);
+        const profile = await profileVault.sealProfile(
+            address,
+            { name: identity.name, email: identity.email },
+            { store }
+        );
+
+        try {
+            await identityManager.importIdentity({
+                userAddress: address,
+                ...profile,
+                aadhaarCommitment: commitment,
+                aadhaarKeyVersion: keyVersion,
+                registrationTime: identity.registrationTime
+            });
+            imported++;
+            console.log(`- ${address}: imported`);
+        } catch (error) {
+            await profileVault.discardProfile(profile.profilePointer, { store });
+            console.error(`- ${address}: failed (${error.message})`);
+        }
+    }
+
+    console.log(`Imported ${imported} of ${addresses.length} identities`);
+
+    if (process.argv.includes('--close')) {
+        await identityManager.closeMigration();
+        console.log('Migration closed');
+    }
+};
+
+migrate()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Migration failed:', error.message);
+        process.exit(1);
+    });
@@ -10,10 +10,16 @@ const authRoutes = require('./routes/auth');
 const transactionRoutes = require('./routes/blockchain');
 
 const blockchainRoutes = require('./routes/blockchain');
+const credentialsRoutes = require('./routes/credentials');
+const attestationsRoutes = require('./routes/attestations');
+const didRoutes = require('./routes/did');
+const disclosureRoutes = require('./routes/disclosure');
+const rolesRoutes = require('./routes/roles');
+const recoveryRoutes = require('./routes/recovery');
+const webhookRoutes = require('./routes/webhooks');
 app.use('/api/transaction',transactionRoutes);
 
 const PORT = process.env.PORT || 3000;
-const nodemailer = require('nodemailer');
 
 app.use('/api/auth', authRoutes);
 // Middleware
@@ -31,6 +37,13 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/blockchain', blockchainRoutes);
+app.use('/api/credentials', credentialsRoutes);
+app.use('/api/attestations', attestationsRoutes);
+app.use('/api/did', didRoutes);
+app.use('/api/disclosure', disclosureRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/recovery', recoveryRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -100,7 +113,7 @@ process.on('SIGINT', () => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════════════╗
 ║                🌐 Decentralized Identity System                 ║
@@ -128,4 +141,10 @@ app.listen(PORT, () => {
     }
 });
 
+// Identity event stream over WebSocket
+blockchainRoutes.attachEventSocket(server);
+
+// Webhook deliveries of identity events
+webhookRoutes.dispatcher.start();
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const path = require('path');
+
+let store = null;
+
+/**
+ * Create the store selected by configuration
+ * STORAGE_DRIVER: 'local' (default) or 'mongodb'
+ * STORAGE_DIR:    directory for the local store (default ./data)
+ * MONGODB_URI:    connection string for the MongoDB store
+ * @returns {Store}
+ */
+const createStore = () => {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    switch (driver) {
+        case 'local': {
+            const LocalStore = require('./local-store');
+            return new LocalStore({
+                dir: path.resolve(process.env.STORAGE_DIR || './data')
+            });
+        }
+
+        case 'mongodb': {
+            if (!process.env.MONGODB_URI) {
+                throw new Error('MONGODB_URI is required when STORAGE_DRIVER=mongodb');
+            }
+            const MongoStore = require('./mongo-store');
+            return new MongoStore({ uri: process.env.MONGODB_URI });
+        }
+
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+};
+
+/**
+ * Get the shared store instance, creating it on first use
+ * @returns {Store}
+ */
+const getStore = () => {
+    if (!store) {
+        store = createStore();
+    }
+    return store;
+};
+
+module.exports = {
+    getStore
+};
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+const Store = require('./store');
+
+const COLLECTIONS = [
+    'users', 'credentials', 'challenges', 'sessions', 'attributeSalts', 'profiles', 'profileKeys', 'profileChanges', 'roles',
+    'indexerState', 'indexedEvents', 'indexedIdentities', 'webhooks', 'webhookDeliveries'
+];
+
+/**
+ * Copy a record so callers cannot mutate the stored version
+ * @param {object|null} record
+ * @returns {object|null}
+ */
+const clone = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+/**
+ * Chain order of indexed events
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Page order of indexed identities (string comparison matches MongoDB's)
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+const compareIdentities = (a, b) => a.registrationTime - b.registrationTime ||
+    (a.ethereumAddress < b.ethereumAddress ? -1 : a.ethereumAddress > b.ethereumAddress ? 1 : 0);
+
+/**
+ * Whether a webhook delivery is due: pending with its next attempt due, or
+ * claimed for sending with the lease run out
+ * @param {object} delivery
+ * @param {string} now - ISO 8601 time
+ * @returns {boolean}
+ */
+const isDueDelivery = (delivery, now) => (delivery.status === 'pending' && delivery.nextAttemptAt <= now) ||
+    (delivery.status === 'sending' && delivery.leaseExpiresAt <= now);
+
+/**
+ * File-backed store for single-process deployments
+ * Each collection is kept in memory and written to `<dir>/<collection>.json`
+ * on every change (via a temp file and rename so a crash never leaves a
+ * half-written file). Use the MongoDB adapter when running several processes.
+ */
+class LocalStore extends Store {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory holding the collection files
+     */
+    constructor({ dir }) {
+        super();
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.collections = {};
+        for (const name of COLLECTIONS) {
+            this.collections[name] = this.loadCollection(name);
+        }
+    }
+
+    /**
+     * Read a collection file from disk
+     * @param {string} name - Collection name
+     * @returns {object} Records keyed by ID
+     */
+    loadCollection(name) {
+        const file = path.join(this.dir, `${name}.json`);
+        if (!fs.existsSync(file)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Write a collection to disk
+     * Compact JSON: sessions are rewritten on every token refresh.
+     * @param {string} name - Collection name
+     */
+    persist(name) {
+        const file = path.join(this.dir, `${name}.json`);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.collections[name]));
+        fs.renameSync(tempFile, file);
+    }
+
+    /**
+     * Drop expired challenges
+     * @returns {boolean} Whether any challenge was removed
+     */
+    purgeExpiredChallenges() {
+        const now = Date.now();
+        let removed = false;
+        for (const [key, entry] of Object.entries(this.collections.challenges)) {
+            if (now > entry.expiresAt) {
+                delete this.collections.challenges[key];
+                removed = true;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drop expired sessions (MongoDB's TTL index does this for the MongoDB adapter)
+     * @returns {boolean} Whether any session was removed
+     */
+    purgeExpiredSessions() {
+        const now = Date.now();
+        let removed = false;
+        for (const [sessionId, session] of Object.entries(this.collections.sessions)) {
+            if (now > session.expiresAt) {
+                delete this.collections.sessions[sessionId];
+                removed = true;
+            }
+        }
+        return removed;
+    }
+
+    async getUser(email) {
+        return clone(this.collections.users[email]);
+    }
+
+    async getUserByHandle(userId) {
+        const user = Object.values(this.collections.users).find(u => u.userId && u.userId === userId);
+        return clone(user);
+    }
+
+    async getUserByAddress(ethereumAddress) {
+        const user = Object.values(this.collections.users)
+            .find(u => u.ethereumAddress && u.ethereumAddress === ethereumAddress);
+        return clone(user);
+    }
+
+    async saveUser(user) {
+        this.collections.users[user.email] = clone(user);
+        this.persist('users');
+        return clone(user);
+    }
+
+    async listCredentials(email) {
+        return Object.values(this.collections.credentials)
+            .filter(cred => cred.email === email)
+            .map(clone);
+    }
+
+    async getCredential(credentialId) {
+        return clone(this.collections.credentials[credentialId]);
+    }
+
+    async saveCredential(credential) {
+        this.collections.credentials[credential.credentialId] = clone(credential);
+        this.persist('credentials');
+        return clone(credential);
+    }
+
+    async updateCredential(credentialId, changes) {
+        const credential = this.collections.credentials[credentialId];
+        if (!credential) {
+            return null;
+        }
+        Object.assign(credential, clone(changes));
+        this.persist('credentials');
+        return clone(credential);
+    }
+
+    async deleteCredential(credentialId) {
+        if (!this.collections.credentials[credentialId]) {
+            return false;
+        }
+        delete this.collections.credentials[credentialId];
+        this.persist('credentials');
+        return true;
+    }
+
+    async saveChallenge(key, data, ttlMs) {
+        this.purgeExpiredChallenges();
+        this.collections.challenges[key] = {
+            data: clone(data),
+            expiresAt: Date.now() + ttlMs
+        };
+        this.persist('challenges');
+    }
+
+    async saveChallengeIfAbsent(key, data, ttlMs) {
+        const entry = this.collections.challenges[key];
+        if (entry && Date.now() <= entry.expiresAt) {
+            return false;
+        }
+        await this.saveChallenge(key, data, ttlMs);
+        return true;
+    }
+
+    async takeChallenge(key) {
+        const entry = this.collections.challenges[key];
+        if (!entry) {
+            return null;
+        }
+        delete this.collections.challenges[key];
+        this.persist('challenges');
+        return Date.now() > entry.expiresAt ? null : entry.data;
+    }
+
+    async saveSession(session) {
+        this.purgeExpiredSessions();
+        this.collections.sessions[session.sessionId] = clone(session);
+        this.persist('sessions');
+        return clone(session);
+    }
+
+    async getSession(sessionId) {
+        return clone(this.collections.sessions[sessionId]);
+    }
+
+    async listSessions(subject) {
+        return Object.values(this.collections.sessions)
+            .filter(session => session.subject === subject)
+            .map(clone);
+    }
+
+    async deleteSession(sessionId) {
+        if (!this.collections.sessions[sessionId]) {
+            return false;
+        }
+        delete this.collections.sessions[sessionId];
+        this.persist('sessions');
+        return true;
+    }
+
+    async getAttributeSalts(ethereumAddress) {
+        return clone(this.collections.attributeSalts[ethereumAddress]);
+    }
+
+    async saveAttributeSalts(record) {
+        this.collections.attributeSalts[record.ethereumAddress] = clone(record);
+        this.persist('attributeSalts');
+        return clone(record);
+    }
+
+    async getProfile(pointer) {
+        return clone(this.collections.profiles[pointer]);
+    }
+
+    async saveProfile(profile) {
+        this.collections.profiles[profile.pointer] = clone(profile);
+        this.persist('profiles');
+        return clone(profile);
+    }
+
+    async deleteProfile(pointer) {
+        if (!this.collections.profiles[pointer]) {
+            return false;
+        }
+        delete this.collections.profiles[pointer];
+        this.persist('profiles');
+        return true;
+    }
+
+    async deleteProfiles(ethereumAddress) {
+        const pointers = Object.keys(this.collections.profiles)
+            .filter(pointer => this.collections.profiles[pointer].ethereumAddress === ethereumAddress);
+        pointers.forEach(pointer => delete this.collections.profiles[pointer]);
+        if (pointers.length > 0) {
+            this.persist('profiles');
+        }
+        return pointers.length;
+    }
+
+    async getProfileKey(ethereumAddress) {
+        return clone(this.collections.profileKeys[ethereumAddress]);
+    }
+
+    async saveProfileKey(record) {
+        this.collections.profileKeys[record.ethereumAddress] = clone(record);
+        this.persist('profileKeys');
+        return clone(record);
+    }
+
+    async deleteProfileKey(ethereumAddress) {
+        if (!this.collections.profileKeys[ethereumAddress]) {
+            return false;
+        }
+        delete this.collections.profileKeys[ethereumAddress];
+        this.persist('profileKeys');
+        return true;
+    }
+
+    async getProfileChange(profileHash) {
+        return clone(this.collections.profileChanges[profileHash]);
+    }
+
+    async saveProfileChange(change) {
+        this.collections.profileChanges[change.profileHash] = clone(change);
+        this.persist('profileChanges');
+        return clone(change);
+    }
+
+    async getRoles(ethereumAddress) {
+        return clone(this.collections.roles[ethereumAddress]);
+    }
+
+    async saveRoles(record) {
+        this.collections.roles[record.ethereumAddress] = clone(record);
+        this.persist('roles');
+        return clone(record);
+    }
+
+    async listRoles() {
+        return Object.values(this.collections.roles).map(clone);
+    }
+
+    async getIndexerState(name) {
+        return clone(this.collections.indexerState[name]);
+    }
+
+    async saveIndexerState(state) {
+        this.collections.indexerState[state.name] = clone(state);
+        this.persist('indexerState');
+        return clone(state);
+    }
+
+    async saveIndexedEvents(events) {
+        events.forEach(event => {
+            this.collections.indexedEvents[event.eventId] = clone(event);
+        });
+        if (events.length > 0) {
+            this.persist('indexedEvents');
+        }
+    }
+
+    async listIndexedEvents(ethereumAddress) {
+        return Object.values(this.collections.indexedEvents)
+            .filter(event => event.addresses.includes(ethereumAddress))
+            .sort(compareEvents)
+            .map(clone);
+    }
+
+    async listIndexedEventsAfter(blockNumber) {
+        return Object.values(this.collections.indexedEvents)
+            .filter(event => event.blockNumber > blockNumber)
+            .sort(compareEvents)
+            .map(clone);
+    }
+
+    async deleteIndexedEventsAfter(blockNumber) {
+        const removed = Object.values(this.collections.indexedEvents)
+            .filter(event => event.blockNumber > blockNumber)
+            .sort(compareEvents);
+        removed.forEach(event => delete this.collections.indexedEvents[event.eventId]);
+        if (removed.length > 0) {
+            this.persist('indexedEvents');
+        }
+        return removed;
+    }
+
+    async getIndexedIdentity(ethereumAddress) {
+        return clone(this.collections.indexedIdentities[ethereumAddress]);
+    }
+
+    async saveIndexedIdentity(record) {
+        this.collections.indexedIdentities[record.ethereumAddress] = clone(record);
+        this.persist('indexedIdentities');
+        return clone(record);
+    }
+
+    async deleteIndexedIdentity(ethereumAddress) {
+        if (!this.collections.indexedIdentities[ethereumAddress]) {
+            return false;
+        }
+        delete this.collections.indexedIdentities[ethereumAddress];
+        this.persist('indexedIdentities');
+        return true;
+    }
+
+    async queryIndexedIdentities({ statuses, registeredFrom, registeredTo, emailIndex }, { after, limit }) {
+        const matches = Object.values(this.collections.indexedIdentities)
+            .filter(record => statuses.includes(record.status))
+            .filter(record => registeredFrom === undefined || record.registrationTime >= registeredFrom)
+            .filter(record => registeredTo === undefined || record.registrationTime <= registeredTo)
+            .filter(record => !emailIndex || record.emailIndex === emailIndex)
+            .sort(compareIdentities);
+
+        return {
+            identities: matches
+                .filter(record => !after || compareIdentities(record, after) > 0)
+                .slice(0, limit)
+                .map(clone),
+            total: matches.length
+        };
+    }
+
+    async clearIndex() {
+        this.collections.indexedEvents = {};
+        this.collections.indexedIdentities = {};
+        this.persist('indexedEvents');
+        this.persist('indexedIdentities');
+    }
+
+    async getWebhook(id) {
+        return clone(this.collections.webhooks[id]);
+    }
+
+    async saveWebhook(record) {
+        this.collections.webhooks[record.id] = clone(record);
+        this.persist('webhooks');
+        return clone(record);
+    }
+
+    async listWebhooks() {
+        return Object.values(this.collections.webhooks)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(clone);
+    }
+
+    async deleteWebhook(id) {
+        if (!this.collections.webhooks[id]) {
+            return false;
+        }
+        delete this.collections.webhooks[id];
+        for (const delivery of Object.values(this.collections.webhookDeliveries)) {
+            if (delivery.webhookId === id) {
+                delete this.collections.webhookDeliveries[delivery.id];
+            }
+        }
+        this.persist('webhooks');
+        this.persist('webhookDeliveries');
+        return true;
+    }
+
+    async getWebhookDelivery(id) {
+        return clone(this.collections.webhookDeliveries[id]);
+    }
+
+    async saveWebhookDelivery(record) {
+        this.collections.webhookDeliveries[record.id] = clone(record);
+        this.persist('webhookDeliveries');
+        return clone(record);
+    }
+
+    async listWebhookDeliveries({ webhookId, status }, limit) {
+        return Object.values(this.collections.webhookDeliveries)
+            .filter(delivery => (!webhookId || delivery.webhookId === webhookId) &&
+                (!status || delivery.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id))
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    async listDueWebhookDeliveries(now, limit) {
+        return Object.values(this.collections.webhookDeliveries)
+            .filter(delivery => isDueDelivery(delivery, now))
+            .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    async claimWebhookDelivery(id, now, leaseExpiresAt) {
+        const delivery = this.collections.webhookDeliveries[id];
+        if (!delivery || !isDueDelivery(delivery, now)) {
+            return null;
+        }
+        delivery.status = 'sending';
+        delivery.leaseExpiresAt = leaseExpiresAt;
+        this.persist('webhookDeliveries');
+        return clone(delivery);
+    }
+
+    async dropWebhookDeliveriesAfter(blockNumber) {
+        const dropped = Object.values(this.collections.webhookDeliveries)
+            .filter(delivery => ['pending', 'sending'].includes(delivery.status) && delivery.blockNumber > blockNumber);
+        for (const delivery of dropped) {
+            delivery.status = 'dropped';
+            delivery.nextAttemptAt = null;
+            delete delivery.leaseExpiresAt;
+        }
+        if (dropped.length > 0) {
+            this.persist('webhookDeliveries');
+        }
+        return dropped.length;
+    }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,481 @@
+const mongoose = require('mongoose');
+const Store = require('./store');
+
+const { Schema } = mongoose;
+
+// Records are schemaless beyond their keys, mirroring the local store
+const userSchema = new Schema({
+    email: { type: String, required: true, unique: true },
+    userId: { type: String, index: true, sparse: true },
+    ethereumAddress: { type: String, index: true, sparse: true }
+}, { strict: false, versionKey: false });
+
+const credentialSchema = new Schema({
+    credentialId: { type: String, required: true, unique: true },
+    email: { type: String, required: true, index: true }
+}, { strict: false, versionKey: false });
+
+// MongoDB's TTL monitor removes challenges once expiresAt has passed
+const challengeSchema = new Schema({
+    key: { type: String, required: true, unique: true },
+    data: { type: Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true, expires: 0 }
+}, { versionKey: false });
+
+// Sessions keep expiresAt in milliseconds; the TTL monitor needs a Date, so purgeAt mirrors it
+const sessionSchema = new Schema({
+    sessionId: { type: String, required: true, unique: true },
+    subject: { type: String, required: true, index: true },
+    purgeAt: { type: Date, expires: 0 }
+}, { strict: false, versionKey: false });
+
+const attributeSaltsSchema = new Schema({
+    ethereumAddress: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const profileSchema = new Schema({
+    pointer: { type: String, required: true, unique: true },
+    ethereumAddress: { type: String, required: true, index: true }
+}, { strict: false, versionKey: false });
+
+const profileKeySchema = new Schema({
+    ethereumAddress: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const profileChangeSchema = new Schema({
+    profileHash: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const roleAssignmentSchema = new Schema({
+    ethereumAddress: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const indexerStateSchema = new Schema({
+    name: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const indexedEventSchema = new Schema({
+    eventId: { type: String, required: true, unique: true },
+    blockNumber: { type: Number, required: true, index: true },
+    addresses: { type: [String], index: true }
+}, { strict: false, versionKey: false });
+
+const indexedIdentitySchema = new Schema({
+    ethereumAddress: { type: String, required: true, unique: true },
+    emailIndex: { type: String, index: true, sparse: true }
+}, { strict: false, versionKey: false });
+
+// Page order of /api/blockchain/users
+indexedIdentitySchema.index({ status: 1, registrationTime: 1, ethereumAddress: 1 });
+
+const webhookSchema = new Schema({
+    id: { type: String, required: true, unique: true }
+}, { strict: false, versionKey: false });
+
+const webhookDeliverySchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    webhookId: { type: String, required: true, index: true }
+}, { strict: false, versionKey: false });
+
+// The delivery queue with its sending leases, and the delivery logs
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, leaseExpiresAt: 1 });
+webhookDeliverySchema.index({ createdAt: -1, id: -1 });
+
+/**
+ * Strip MongoDB internals from a lean document
+ * @param {object|null} doc
+ * @returns {object|null}
+ */
+const toRecord = (doc) => {
+    if (!doc) {
+        return null;
+    }
+    const { _id, ...record } = doc;
+    return record;
+};
+
+/**
+ * Strip a stored session down to the session record
+ * @param {object|null} doc
+ * @returns {object|null}
+ */
+const toSession = (doc) => {
+    if (!doc) {
+        return null;
+    }
+    const { purgeAt, ...session } = toRecord(doc);
+    return session;
+};
+
+/**
+ * Query for due webhook deliveries: pending with their next attempt due, or
+ * claimed for sending with the lease run out
+ * @param {string} now - ISO 8601 time
+ * @returns {object}
+ */
+const dueDeliveryQuery = (now) => ({
+    $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', leaseExpiresAt: { $lte: now } }
+    ]
+});
+
+/**
+ * MongoDB store for deployments with several Node processes
+ */
+class MongoStore extends Store {
+    /**
+     * @param {object} options
+     * @param {string} options.uri - MongoDB connection string
+     */
+    constructor({ uri }) {
+        super();
+
+        // Operations are buffered by mongoose until the connection opens
+        this.connection = mongoose.createConnection(uri);
+        this.connection.on('error', (error) => {
+            console.error('MongoDB connection error:', error.message);
+        });
+
+        this.User = this.connection.model('User', userSchema);
+        this.Credential = this.connection.model('Credential', credentialSchema);
+        this.Challenge = this.connection.model('Challenge', challengeSchema);
+        this.Session = this.connection.model('Session', sessionSchema);
+        this.AttributeSalts = this.connection.model('AttributeSalts', attributeSaltsSchema);
+        this.Profile = this.connection.model('Profile', profileSchema);
+        this.ProfileKey = this.connection.model('ProfileKey', profileKeySchema);
+        this.ProfileChange = this.connection.model('ProfileChange', profileChangeSchema);
+        this.RoleAssignment = this.connection.model('RoleAssignment', roleAssignmentSchema);
+        this.IndexerState = this.connection.model('IndexerState', indexerStateSchema);
+        this.IndexedEvent = this.connection.model('IndexedEvent', indexedEventSchema);
+        this.IndexedIdentity = this.connection.model('IndexedIdentity', indexedIdentitySchema);
+        this.Webhook = this.connection.model('Webhook', webhookSchema);
+        this.WebhookDelivery = this.connection.model('WebhookDelivery', webhookDeliverySchema);
+    }
+
+    async getUser(email) {
+        return toRecord(await this.User.findOne({ email }).lean());
+    }
+
+    async getUserByHandle(userId) {
+        return toRecord(await this.User.findOne({ userId }).lean());
+    }
+
+    async getUserByAddress(ethereumAddress) {
+        return toRecord(await this.User.findOne({ ethereumAddress }).lean());
+    }
+
+    async saveUser(user) {
+        await this.User.replaceOne({ email: user.email }, user, { upsert: true });
+        return user;
+    }
+
+    async listCredentials(email) {
+        const credentials = await this.Credential.find({ email }).sort({ createdAt: 1 }).lean();
+        return credentials.map(toRecord);
+    }
+
+    async getCredential(credentialId) {
+        return toRecord(await this.Credential.findOne({ credentialId }).lean());
+    }
+
+    async saveCredential(credential) {
+        await this.Credential.replaceOne({ credentialId: credential.credentialId }, credential, { upsert: true });
+        return credential;
+    }
+
+    async updateCredential(credentialId, changes) {
+        const credential = await this.Credential.findOneAndUpdate(
+            { credentialId },
+            { $set: changes },
+            { new: true }
+        ).lean();
+        return toRecord(credential);
+    }
+
+    async deleteCredential(credentialId) {
+        const result = await this.Credential.deleteOne({ credentialId });
+        return result.deletedCount > 0;
+    }
+
+    async saveChallenge(key, data, ttlMs) {
+        await this.Challenge.replaceOne({ key }, {
+            key: key,
+            data: data,
+            expiresAt: new Date(Date.now() + ttlMs)
+        }, { upsert: true });
+    }
+
+    async saveChallengeIfAbsent(key, data, ttlMs) {
+        // Only an expired entry matches; a live one makes the upsert's insert hit the unique key
+        try {
+            await this.Challenge.findOneAndUpdate(
+                { key, expiresAt: { $lte: new Date() } },
+                { $set: { data, expiresAt: new Date(Date.now() + ttlMs) } },
+                { upsert: true }
+            );
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async takeChallenge(key) {
+        // The TTL monitor runs periodically, so expiry is also checked here
+        const entry = await this.Challenge.findOneAndDelete({
+            key: key,
+            expiresAt: { $gt: new Date() }
+        }).lean();
+        return entry ? entry.data : null;
+    }
+
+    async saveSession(session) {
+        await this.Session.replaceOne(
+            { sessionId: session.sessionId },
+            { ...session, purgeAt: new Date(session.expiresAt) },
+            { upsert: true }
+        );
+        return session;
+    }
+
+    async getSession(sessionId) {
+        return toSession(await this.Session.findOne({ sessionId }).lean());
+    }
+
+    async listSessions(subject) {
+        const sessions = await this.Session.find({ subject }).lean();
+        return sessions.map(toSession);
+    }
+
+    async deleteSession(sessionId) {
+        const result = await this.Session.deleteOne({ sessionId });
+        return result.deletedCount > 0;
+    }
+
+    async getAttributeSalts(ethereumAddress) {
+        return toRecord(await this.AttributeSalts.findOne({ ethereumAddress }).lean());
+    }
+
+    async saveAttributeSalts(record) {
+        await this.AttributeSalts.replaceOne({ ethereumAddress: record.ethereumAddress }, record, { upsert: true });
+        return record;
+    }
+
+    async getProfile(pointer) {
+        return toRecord(await this.Profile.findOne({ pointer }).lean());
+    }
+
+    async saveProfile(profile) {
+        await this.Profile.replaceOne({ pointer: profile.pointer }, profile, { upsert: true });
+        return profile;
+    }
+
+    async deleteProfile(pointer) {
+        const result = await this.Profile.deleteOne({ pointer });
+        return result.deletedCount > 0;
+    }
+
+    async deleteProfiles(ethereumAddress) {
+        const result = await this.Profile.deleteMany({ ethereumAddress });
+        return result.deletedCount;
+    }
+
+    async getProfileKey(ethereumAddress) {
+        return toRecord(await this.ProfileKey.findOne({ ethereumAddress }).lean());
+    }
+
+    async saveProfileKey(record) {
+        await this.ProfileKey.replaceOne({ ethereumAddress: record.ethereumAddress }, record, { upsert: true });
+        return record;
+    }
+
+    async deleteProfileKey(ethereumAddress) {
+        const result = await this.ProfileKey.deleteOne({ ethereumAddress });
+        return result.deletedCount > 0;
+    }
+
+    async getProfileChange(profileHash) {
+        return toRecord(await this.ProfileChange.findOne({ profileHash }).lean());
+    }
+
+    async saveProfileChange(change) {
+        await this.ProfileChange.replaceOne({ profileHash: change.profileHash }, change, { upsert: true });
+        return change;
+    }
+
+    async getRoles(ethereumAddress) {
+        return toRecord(await this.RoleAssignment.findOne({ ethereumAddress }).lean());
+    }
+
+    async saveRoles(record) {
+        await this.RoleAssignment.replaceOne({ ethereumAddress: record.ethereumAddress }, record, { upsert: true });
+        return record;
+    }
+
+    async listRoles() {
+        const records = await this.RoleAssignment.find({}).lean();
+        return records.map(toRecord);
+    }
+
+    async getIndexerState(name) {
+        return toRecord(await this.IndexerState.findOne({ name }).lean());
+    }
+
+    async saveIndexerState(state) {
+        await this.IndexerState.replaceOne({ name: state.name }, state, { upsert: true });
+        return state;
+    }
+
+    async saveIndexedEvents(events) {
+        if (events.length === 0) {
+            return;
+        }
+        await this.IndexedEvent.bulkWrite(events.map(event => ({
+            replaceOne: { filter: { eventId: event.eventId }, replacement: event, upsert: true }
+        })));
+    }
+
+    async listIndexedEvents(ethereumAddress) {
+        const events = await this.IndexedEvent.find({ addresses: ethereumAddress })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+        return events.map(toRecord);
+    }
+
+    async listIndexedEventsAfter(blockNumber) {
+        const events = await this.IndexedEvent.find({ blockNumber: { $gt: blockNumber } })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+        return events.map(toRecord);
+    }
+
+    async deleteIndexedEventsAfter(blockNumber) {
+        const removed = await this.IndexedEvent.find({ blockNumber: { $gt: blockNumber } })
+            .sort({ blockNumber: 1, logIndex: 1 })
+            .lean();
+        await this.IndexedEvent.deleteMany({ blockNumber: { $gt: blockNumber } });
+        return removed.map(toRecord);
+    }
+
+    async getIndexedIdentity(ethereumAddress) {
+        return toRecord(await this.IndexedIdentity.findOne({ ethereumAddress }).lean());
+    }
+
+    async saveIndexedIdentity(record) {
+        await this.IndexedIdentity.replaceOne({ ethereumAddress: record.ethereumAddress }, record, { upsert: true });
+        return record;
+    }
+
+    async deleteIndexedIdentity(ethereumAddress) {
+        const result = await this.IndexedIdentity.deleteOne({ ethereumAddress });
+        return result.deletedCount > 0;
+    }
+
+    async queryIndexedIdentities({ statuses, registeredFrom, registeredTo, emailIndex }, { after, limit }) {
+        const query = { status: { $in: statuses } };
+        if (registeredFrom !== undefined || registeredTo !== undefined) {
+            query.registrationTime = {
+                ...(registeredFrom !== undefined && { $gte: registeredFrom }),
+                ...(registeredTo !== undefined && { $lte: registeredTo })
+            };
+        }
+        if (emailIndex) {
+            query.emailIndex = emailIndex;
+        }
+
+        const total = await this.IndexedIdentity.countDocuments(query);
+
+        if (after) {
+            query.$or = [
+                { registrationTime: { $gt: after.registrationTime } },
+                { registrationTime: after.registrationTime, ethereumAddress: { $gt: after.ethereumAddress } }
+            ];
+        }
+
+        const identities = await this.IndexedIdentity.find(query)
+            .sort({ registrationTime: 1, ethereumAddress: 1 })
+            .limit(limit)
+            .lean();
+        return { identities: identities.map(toRecord), total };
+    }
+
+    async clearIndex() {
+        await this.IndexedEvent.deleteMany({});
+        await this.IndexedIdentity.deleteMany({});
+    }
+
+    async getWebhook(id) {
+        return toRecord(await this.Webhook.findOne({ id }).lean());
+    }
+
+    async saveWebhook(record) {
+        await this.Webhook.replaceOne({ id: record.id }, record, { upsert: true });
+        return record;
+    }
+
+    async listWebhooks() {
+        const records = await this.Webhook.find({}).sort({ createdAt: 1 }).lean();
+        return records.map(toRecord);
+    }
+
+    async deleteWebhook(id) {
+        const result = await this.Webhook.deleteOne({ id });
+        await this.WebhookDelivery.deleteMany({ webhookId: id });
+        return result.deletedCount > 0;
+    }
+
+    async getWebhookDelivery(id) {
+        return toRecord(await this.WebhookDelivery.findOne({ id }).lean());
+    }
+
+    async saveWebhookDelivery(record) {
+        await this.WebhookDelivery.replaceOne({ id: record.id }, record, { upsert: true });
+        return record;
+    }
+
+    async listWebhookDeliveries({ webhookId, status }, limit) {
+        const query = {};
+        if (webhookId) {
+            query.webhookId = webhookId;
+        }
+        if (status) {
+            query.status = status;
+        }
+        const records = await this.WebhookDelivery.find(query)
+            .sort({ createdAt: -1, id: -1 })
+            .limit(limit)
+            .lean();
+        return records.map(toRecord);
+    }
+
+    async listDueWebhookDeliveries(now, limit) {
+        const records = await this.WebhookDelivery.find(dueDeliveryQuery(now))
+            .sort({ nextAttemptAt: 1 })
+            .limit(limit)
+            .lean();
+        return records.map(toRecord);
+    }
+
+    async claimWebhookDelivery(id, now, leaseExpiresAt) {
+        const record = await this.WebhookDelivery.findOneAndUpdate(
+            { id, ...dueDeliveryQuery(now) },
+            { $set: { status: 'sending', leaseExpiresAt } },
+            { new: true }
+        ).lean();
+        return toRecord(record);
+    }
+
+    async dropWebhookDeliveriesAfter(blockNumber) {
+        const result = await this.WebhookDelivery.updateMany(
+            { status: { $in: ['pending', 'sending'] }, blockNumber: { $gt: blockNumber } },
+            { $set: { status: 'dropped', nextAttemptAt: null }, $unset: { leaseExpiresAt: '' } }
+        );
+        return result.modifiedCount;
+    }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,511 @@
+/**
+ * Storage interface shared by all adapters
+ * Every method is async so that local and remote backends are interchangeable.
+ *
+ * Records:
+ *  - user:       { email, name, userId, registeredAt, ethereumAddress }
+ *  - credential: { credentialId, email, publicKey, algorithm, counter, ... }
+ *  - challenge:  arbitrary ceremony data, stored under a key with a TTL
+ *  - session:    { sessionId, subject, ... } where subject is the email or, for
+ *                wallet-only sessions, the Ethereum address
+ *  - attribute salts: { ethereumAddress, salts, root } behind an identity's
+ *                on-chain attribute root, for selective disclosure
+ *  - profile:    { pointer, ethereumAddress, sealed, ... } an encrypted identity
+ *                profile version, referenced from the chain by its pointer
+ *  - profile key: { ethereumAddress, wrappedKey, ... } the wrapped key a
+ *                wallet's profiles are encrypted with
+ *  - role assignment: { ethereumAddress, roles, updatedAt, updatedBy } the
+ *                API roles of a wallet, mirrored on chain
+ *  - indexer state: { name, contractAddress, blockNumber, recentBlocks } how
+ *                far the event indexer got, with recent block hashes for reorgs
+ *  - indexed event: { eventId, event, blockNumber, blockHash, logIndex,
+ *                transactionHash, addresses, args, timestamp } a contract event
+ *  - indexed identity: { ethereumAddress, status, registrationTime, ... } the
+ *                read model of an identity, built from indexed events
+ *  - webhook:    { id, url, events, secret, createdAt, createdBy } a webhook
+ *                subscription to identity events
+ *  - webhook delivery: { id, webhookId, eventId, blockNumber, event, payload,
+ *                status, attemptCount, attempts, nextAttemptAt, leaseExpiresAt, ... }
+ *                one event sent to a webhook, with the log of its attempts
+ */
+class Store {
+    /**
+     * Get a user by email
+     * @param {string} email - User's email address
+     * @returns {Promise<object|null>}
+     */
+    async getUser(email) {
+        throw new Error('getUser not implemented');
+    }
+
+    /**
+     * Get a user by WebAuthn user handle
+     * @param {string} userId - base64url user handle
+     * @returns {Promise<object|null>}
+     */
+    async getUserByHandle(userId) {
+        throw new Error('getUserByHandle not implemented');
+    }
+
+    /**
+     * Get the user a wallet address is linked to
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<object|null>}
+     */
+    async getUserByAddress(ethereumAddress) {
+        throw new Error('getUserByAddress not implemented');
+    }
+
+    /**
+     * Create or replace a user
+     * @param {object} user - User record keyed by email
+     * @returns {Promise<object>}
+     */
+    async saveUser(user) {
+        throw new Error('saveUser not implemented');
+    }
+
+    /**
+     * List a user's credentials
+     * @param {string} email - User's email address
+     * @returns {Promise<Array>}
+     */
+    async listCredentials(email) {
+        throw new Error('listCredentials not implemented');
+    }
+
+    /**
+     * Get a credential by ID
+     * @param {string} credentialId - base64url credential ID
+     * @returns {Promise<object|null>}
+     */
+    async getCredential(credentialId) {
+        throw new Error('getCredential not implemented');
+    }
+
+    /**
+     * Create or replace a credential
+     * @param {object} credential - Credential record keyed by credentialId
+     * @returns {Promise<object>}
+     */
+    async saveCredential(credential) {
+        throw new Error('saveCredential not implemented');
+    }
+
+    /**
+     * Apply a partial update to a credential
+     * @param {string} credentialId - base64url credential ID
+     * @param {object} changes - Fields to update
+     * @returns {Promise<object|null>} Updated credential
+     */
+    async updateCredential(credentialId, changes) {
+        throw new Error('updateCredential not implemented');
+    }
+
+    /**
+     * Delete a credential
+     * @param {string} credentialId - base64url credential ID
+     * @returns {Promise<boolean>} Whether a credential was deleted
+     */
+    async deleteCredential(credentialId) {
+        throw new Error('deleteCredential not implemented');
+    }
+
+    /**
+     * Store a challenge that expires after ttlMs
+     * @param {string} key - Challenge key handed to the client
+     * @param {object} data - Challenge data
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<void>}
+     */
+    async saveChallenge(key, data, ttlMs) {
+        throw new Error('saveChallenge not implemented');
+    }
+
+    /**
+     * Atomically store a challenge unless an unexpired one has the key, e.g. to throttle
+     * @param {string} key - Challenge key
+     * @param {object} data - Challenge data
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<boolean>} Whether it was stored
+     */
+    async saveChallengeIfAbsent(key, data, ttlMs) {
+        throw new Error('saveChallengeIfAbsent not implemented');
+    }
+
+    /**
+     * Atomically fetch and remove a challenge so it can only be used once
+     * @param {string} key - Challenge key
+     * @returns {Promise<object|null>} Challenge data, or null if missing or expired
+     */
+    async takeChallenge(key) {
+        throw new Error('takeChallenge not implemented');
+    }
+
+    /**
+     * Create or replace a session
+     * @param {object} session - Session record keyed by sessionId
+     * @returns {Promise<object>}
+     */
+    async saveSession(session) {
+        throw new Error('saveSession not implemented');
+    }
+
+    /**
+     * Get a session by ID
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<object|null>}
+     */
+    async getSession(sessionId) {
+        throw new Error('getSession not implemented');
+    }
+
+    /**
+     * List a subject's sessions
+     * @param {string} subject - Email or wallet address the sessions belong to
+     * @returns {Promise<Array>}
+     */
+    async listSessions(subject) {
+        throw new Error('listSessions not implemented');
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<boolean>} Whether a session was deleted
+     */
+    async deleteSession(sessionId) {
+        throw new Error('deleteSession not implemented');
+    }
+
+    /**
+     * Get the attribute salts of an identity
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<object|null>}
+     */
+    async getAttributeSalts(ethereumAddress) {
+        throw new Error('getAttributeSalts not implemented');
+    }
+
+    /**
+     * Create or replace the attribute salts of an identity
+     * @param {object} record - Attribute salts record keyed by ethereumAddress
+     * @returns {Promise<object>}
+     */
+    async saveAttributeSalts(record) {
+        throw new Error('saveAttributeSalts not implemented');
+    }
+
+    /**
+     * Get an encrypted profile by pointer
+     * @param {string} pointer - Profile pointer stored on chain
+     * @returns {Promise<object|null>}
+     */
+    async getProfile(pointer) {
+        throw new Error('getProfile not implemented');
+    }
+
+    /**
+     * Create or replace an encrypted profile
+     * @param {object} profile - Profile record keyed by pointer
+     * @returns {Promise<object>}
+     */
+    async saveProfile(profile) {
+        throw new Error('saveProfile not implemented');
+    }
+
+    /**
+     * Delete an encrypted profile
+     * @param {string} pointer - Profile pointer
+     * @returns {Promise<boolean>} Whether a profile was deleted
+     */
+    async deleteProfile(pointer) {
+        throw new Error('deleteProfile not implemented');
+    }
+
+    /**
+     * Delete every encrypted profile of a wallet
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<number>} Number of profiles deleted
+     */
+    async deleteProfiles(ethereumAddress) {
+        throw new Error('deleteProfiles not implemented');
+    }
+
+    /**
+     * Get the wrapped profile key of a wallet
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<object|null>}
+     */
+    async getProfileKey(ethereumAddress) {
+        throw new Error('getProfileKey not implemented');
+    }
+
+    /**
+     * Create or replace the wrapped profile key of a wallet
+     * @param {object} record - Profile key record keyed by ethereumAddress
+     * @returns {Promise<object>}
+     */
+    async saveProfileKey(record) {
+        throw new Error('saveProfileKey not implemented');
+    }
+
+    /**
+     * Delete the wrapped profile key of a wallet
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<boolean>} Whether a key was deleted
+     */
+    async deleteProfileKey(ethereumAddress) {
+        throw new Error('deleteProfileKey not implemented');
+    }
+
+    /**
+     * Get which fields a profile version changed
+     * @param {string} profileHash - Hash of the profile version, as anchored on chain
+     * @returns {Promise<object|null>}
+     */
+    async getProfileChange(profileHash) {
+        throw new Error('getProfileChange not implemented');
+    }
+
+    /**
+     * Record which fields a profile version changed
+     * @param {object} change - Profile change record keyed by profileHash
+     * @returns {Promise<object>}
+     */
+    async saveProfileChange(change) {
+        throw new Error('saveProfileChange not implemented');
+    }
+
+    /**
+     * Get the role assignment of a wallet
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<object|null>}
+     */
+    async getRoles(ethereumAddress) {
+        throw new Error('getRoles not implemented');
+    }
+
+    /**
+     * Create or replace the role assignment of a wallet
+     * @param {object} record - Role assignment keyed by ethereumAddress
+     * @returns {Promise<object>}
+     */
+    async saveRoles(record) {
+        throw new Error('saveRoles not implemented');
+    }
+
+    /**
+     * List all role assignments
+     * @returns {Promise<Array>}
+     */
+    async listRoles() {
+        throw new Error('listRoles not implemented');
+    }
+
+    /**
+     * Get the state of an event indexer
+     * @param {string} name - Indexer name (the contract it indexes)
+     * @returns {Promise<object|null>}
+     */
+    async getIndexerState(name) {
+        throw new Error('getIndexerState not implemented');
+    }
+
+    /**
+     * Create or replace the state of an event indexer
+     * @param {object} state - Indexer state keyed by name
+     * @returns {Promise<object>}
+     */
+    async saveIndexerState(state) {
+        throw new Error('saveIndexerState not implemented');
+    }
+
+    /**
+     * Create or replace indexed events
+     * @param {Array<object>} events - Indexed events keyed by eventId
+     * @returns {Promise<void>}
+     */
+    async saveIndexedEvents(events) {
+        throw new Error('saveIndexedEvents not implemented');
+    }
+
+    /**
+     * List the indexed events involving an address, oldest first
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<Array>}
+     */
+    async listIndexedEvents(ethereumAddress) {
+        throw new Error('listIndexedEvents not implemented');
+    }
+
+    /**
+     * List the indexed events of blocks after the given one, oldest first
+     * @param {number} blockNumber - Last block to skip
+     * @returns {Promise<Array>}
+     */
+    async listIndexedEventsAfter(blockNumber) {
+        throw new Error('listIndexedEventsAfter not implemented');
+    }
+
+    /**
+     * Delete the indexed events of blocks after the given one (reorg rollback)
+     * @param {number} blockNumber - Last block to keep
+     * @returns {Promise<Array>} The deleted events
+     */
+    async deleteIndexedEventsAfter(blockNumber) {
+        throw new Error('deleteIndexedEventsAfter not implemented');
+    }
+
+    /**
+     * Get the indexed identity of an address
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<object|null>}
+     */
+    async getIndexedIdentity(ethereumAddress) {
+        throw new Error('getIndexedIdentity not implemented');
+    }
+
+    /**
+     * Create or replace an indexed identity
+     * @param {object} record - Indexed identity keyed by ethereumAddress
+     * @returns {Promise<object>}
+     */
+    async saveIndexedIdentity(record) {
+        throw new Error('saveIndexedIdentity not implemented');
+    }
+
+    /**
+     * Delete an indexed identity
+     * @param {string} ethereumAddress - Checksummed Ethereum address
+     * @returns {Promise<boolean>} Whether a record was deleted
+     */
+    async deleteIndexedIdentity(ethereumAddress) {
+        throw new Error('deleteIndexedIdentity not implemented');
+    }
+
+    /**
+     * Page through indexed identities ordered by registrationTime, then ethereumAddress
+     * @param {object} filter
+     * @param {Array<string>} filter.statuses - Statuses to include
+     * @param {number} [filter.registeredFrom] - Earliest registrationTime (unix seconds)
+     * @param {number} [filter.registeredTo] - Latest registrationTime (unix seconds)
+     * @param {string} [filter.emailIndex] - Exact email index
+     * @param {object} page
+     * @param {object} [page.after] - { registrationTime, ethereumAddress } of the last record seen
+     * @param {number} page.limit - Maximum number of records
+     * @returns {Promise<{ identities: Array, total: number }>} total counts all matches of the filter
+     */
+    async queryIndexedIdentities(filter, page) {
+        throw new Error('queryIndexedIdentities not implemented');
+    }
+
+    /**
+     * Delete all indexed events and identities, e.g. after the contract was redeployed
+     * @returns {Promise<void>}
+     */
+    async clearIndex() {
+        throw new Error('clearIndex not implemented');
+    }
+
+    /**
+     * Get a webhook subscription
+     * @param {string} id - Webhook ID
+     * @returns {Promise<object|null>}
+     */
+    async getWebhook(id) {
+        throw new Error('getWebhook not implemented');
+    }
+
+    /**
+     * Create or replace a webhook subscription
+     * @param {object} record - Webhook keyed by id
+     * @returns {Promise<object>}
+     */
+    async saveWebhook(record) {
+        throw new Error('saveWebhook not implemented');
+    }
+
+    /**
+     * List webhook subscriptions, oldest first
+     * @returns {Promise<Array>}
+     */
+    async listWebhooks() {
+        throw new Error('listWebhooks not implemented');
+    }
+
+    /**
+     * Delete a webhook subscription and its deliveries
+     * @param {string} id - Webhook ID
+     * @returns {Promise<boolean>} Whether a webhook was deleted
+     */
+    async deleteWebhook(id) {
+        throw new Error('deleteWebhook not implemented');
+    }
+
+    /**
+     * Get a webhook delivery
+     * @param {string} id - Delivery ID
+     * @returns {Promise<object|null>}
+     */
+    async getWebhookDelivery(id) {
+        throw new Error('getWebhookDelivery not implemented');
+    }
+
+    /**
+     * Create or replace a webhook delivery
+     * @param {object} record - Delivery keyed by id
+     * @returns {Promise<object>}
+     */
+    async saveWebhookDelivery(record) {
+        throw new Error('saveWebhookDelivery not implemented');
+    }
+
+    /**
+     * List webhook deliveries, newest first
+     * @param {object} filter
+     * @param {string} [filter.webhookId] - Only this webhook's deliveries
+     * @param {string} [filter.status] - Only deliveries with this status
+     * @param {number} limit - Maximum number of records
+     * @returns {Promise<Array>}
+     */
+    async listWebhookDeliveries(filter, limit) {
+        throw new Error('listWebhookDeliveries not implemented');
+    }
+
+    /**
+     * List webhook deliveries that are due, earliest first: pending ones whose
+     * next attempt is due, and ones whose sending lease has run out
+     * @param {string} now - ISO 8601 time
+     * @param {number} limit - Maximum number of records
+     * @returns {Promise<Array>}
+     */
+    async listDueWebhookDeliveries(now, limit) {
+        throw new Error('listDueWebhookDeliveries not implemented');
+    }
+
+    /**
+     * Atomically claim a due webhook delivery for sending
+     * Sets its status to 'sending' and its leaseExpiresAt, so only one
+     * dispatcher sends it until the lease runs out.
+     * @param {string} id - Delivery ID
+     * @param {string} now - ISO 8601 time
+     * @param {string} leaseExpiresAt - ISO 8601 time the claim lapses
+     * @returns {Promise<object|null>} The claimed delivery, or null if it is not due
+     */
+    async claimWebhookDelivery(id, now, leaseExpiresAt) {
+        throw new Error('claimWebhookDelivery not implemented');
+    }
+
+    /**
+     * Mark the queued (pending or sending) webhook deliveries of events after a
+     * block as dropped, for a reorg that rolled those blocks back
+     * @param {number} blockNumber - Last block kept
+     * @returns {Promise<number>} Number of deliveries dropped
+     */
+    async dropWebhookDeliveriesAfter(blockNumber) {
+        throw new Error('dropWebhookDeliveriesAfter not implemented');
+    }
+}
+
+module.exports = Store;
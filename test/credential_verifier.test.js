@@ -0,0 +1,202 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Web3 = require("web3");
+
+// The verifier trusts the issuer configured here
+const issuerKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+process.env.VC_ISSUER_PRIVATE_KEY = issuerKey.export({ type: "pkcs8", format: "pem" });
+delete process.env.VC_TRUSTED_ISSUERS;
+
+const jwtVc = require("../credentials/jwt-vc");
+const verifier = require("../credentials/verifier");
+
+/**
+ * Test suite for JWT-VC and JWT-VP verification
+ * The contract clients are in-memory stand-ins exposing the methods the verifier calls
+ */
+describe("Credential verifier", () => {
+  const web3 = new Web3();
+  const chainId = 1337;
+  const holder = web3.eth.accounts.create();
+  const stranger = web3.eth.accounts.create();
+
+  let identities;
+  let revokedIds;
+  let identityManager;
+  let revocationRegistry;
+
+  const context = () => ({ identityManager, chainId, revocationRegistry });
+
+  const issue = (address = holder.address) => jwtVc.issueIdentityCredential({
+    identity: {
+      ethereumAddress: address,
+      name: "Alice",
+      email: "alice@example.com",
+      registrationTime: 1700000000,
+      registeredAt: new Date(1700000000 * 1000).toISOString()
+    },
+    aadhaarVerified: true,
+    contractAddress: identityManager.address,
+    chainId
+  });
+
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+
+  // Re-sign an issued credential's payload, changed by `update`, with any P-256 key
+  // (signed by hand so malformed claims get through)
+  const resign = (token, update, privateKey = jwtVc.getIssuer().privateKey) => {
+    const { header, payload } = jwt.decode(token, { complete: true });
+    const claims = update({ ...payload });
+    const signingInput = `${encode({ ...header, kid: `${claims.iss}#0` })}.${encode(claims)}`;
+    const signature = crypto.sign("sha256", Buffer.from(signingInput), { key: privateKey, dsaEncoding: "ieee-p1363" });
+    return `${signingInput}.${signature.toString("base64url")}`;
+  };
+
+  // JWT-VP signed by a wallet with personal_sign, as a did:pkh holder does
+  const present = (account, credentials, claims = {}) => {
+    const did = `did:pkh:eip155:${chainId}:${account.address}`;
+    const signingInput = `${encode({ alg: verifier.WALLET_ALGORITHM, typ: "JWT" })}.${encode({
+      iss: did,
+      iat: Math.floor(Date.now() / 1000),
+      vp: {
+        "@context": [jwtVc.VC_CONTEXT],
+        type: ["VerifiablePresentation"],
+        holder: did,
+        verifiableCredential: credentials
+      },
+      ...claims
+    })}`;
+    const signature = account.sign(signingInput).signature;
+    return `${signingInput}.${Buffer.from(signature.slice(2), "hex").toString("base64url")}`;
+  };
+
+  const checkStatus = (result, check) => {
+    const entry = result.checks.find((item) => item.check === check);
+    assert.ok(entry, `Result should report the ${check} check`);
+    return entry.status;
+  };
+
+  beforeEach(() => {
+    identities = { [holder.address]: "active" };
+    revokedIds = new Set();
+
+    identityManager = {
+      address: "0x0000000000000000000000000000000000000001",
+      isRegistered: async (address) => identities[address] === "active",
+      isDeactivated: async (address) => identities[address] === "deactivated",
+      getErasure: async () => null
+    };
+    revocationRegistry = {
+      toAttestationId: (id) => web3.utils.keccak256(id),
+      getStatus: async (attestationId) => ({
+        attestationId,
+        revoked: revokedIds.has(attestationId),
+        revokedAt: revokedIds.has(attestationId) ? new Date().toISOString() : null
+      })
+    };
+  });
+
+  describe("Credentials", () => {
+    it("should verify a credential this server issued", async () => {
+      const result = await verifier.verifyCredential(issue().jwt, context());
+
+      assert.ok(result.verified, "Credential should verify");
+      assert.equal(result.ethereumAddress, holder.address, "Result should name the subject's wallet");
+      assert.equal(checkStatus(result, "holder_binding"), "skipped", "Holder binding needs a presentation");
+    });
+
+    it("should reject a credential whose signature does not verify", async () => {
+      const [header, payload, signature] = issue().jwt.split(".");
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      claims.vc.credentialSubject.name = "Mallory";
+      const tampered = `${header}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}.${signature}`;
+
+      const result = await verifier.verifyCredential(tampered, context());
+      assert.ok(!result.verified, "Tampered credential should fail");
+      assert.equal(checkStatus(result, "issuer_signature"), "failed");
+    });
+
+    it("should reject a validly signed credential from an untrusted issuer", async () => {
+      const otherKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+      const { kty, crv, x, y } = crypto.createPublicKey(otherKey).export({ format: "jwk" });
+      const otherDid = "did:jwk:" + Buffer.from(JSON.stringify({ kty, crv, x, y })).toString("base64url");
+      const token = resign(issue().jwt, (payload) => ({ ...payload, iss: otherDid, vc: { ...payload.vc, issuer: otherDid } }), otherKey);
+
+      const result = await verifier.verifyCredential(token, context());
+      assert.ok(!result.verified, "Untrusted issuer should fail");
+      assert.equal(checkStatus(result, "issuer_signature"), "passed", "Signature itself should verify");
+      assert.equal(checkStatus(result, "issuer_trusted"), "failed");
+    });
+
+    it("should reject an expired credential", async () => {
+      const token = resign(issue().jwt, (payload) => ({ ...payload, exp: Math.floor(Date.now() / 1000) - 3600 }));
+
+      const result = await verifier.verifyCredential(token, context());
+      assert.ok(!result.verified, "Expired credential should fail");
+      assert.equal(checkStatus(result, "expiry"), "failed");
+    });
+
+    it("should report malformed validity dates as a failed check", async () => {
+      for (const exp of ["tomorrow", 1e20, null]) {
+        const token = resign(issue().jwt, (payload) => ({ ...payload, exp }));
+        const result = await verifier.verifyCredential(token, context());
+        assert.ok(!result.verified, `exp ${exp} should fail`);
+        assert.equal(checkStatus(result, "expiry"), "failed", `exp ${exp} should fail the expiry check`);
+      }
+    });
+
+    it("should reject a revoked credential", async () => {
+      const { jwt: token, credential } = issue();
+      revokedIds.add(revocationRegistry.toAttestationId(credential.id));
+
+      const result = await verifier.verifyCredential(token, context());
+      assert.ok(!result.verified, "Revoked credential should fail");
+      assert.equal(checkStatus(result, "revocation"), "failed");
+    });
+
+    it("should reject a credential for a deactivated identity", async () => {
+      const { jwt: token } = issue();
+      identities[holder.address] = "deactivated";
+
+      const result = await verifier.verifyCredential(token, context());
+      assert.ok(!result.verified, "Deactivated identity should fail");
+      const entry = result.checks.find((item) => item.check === "identity_registered");
+      assert.equal(entry.status, "failed");
+      assert.equal(entry.message, "Identity has been deactivated");
+    });
+  });
+
+  describe("Presentations", () => {
+    it("should verify a presentation by the credential subject", async () => {
+      const presentation = present(holder, [issue().jwt], { nonce: "n-1", aud: "verifier.example" });
+
+      const result = await verifier.verifyPresentation(presentation,
+        { ...context(), challenge: "n-1", domain: "verifier.example" });
+      assert.ok(result.verified, "Presentation should verify");
+      assert.equal(checkStatus(result, "holder_signature"), "passed");
+      assert.equal(checkStatus(result.credentials[0], "holder_binding"), "passed");
+    });
+
+    it("should reject a credential presented by someone other than its subject", async () => {
+      const presentation = present(stranger, [issue().jwt]);
+
+      const result = await verifier.verifyPresentation(presentation, context());
+      assert.ok(!result.verified, "Presentation should fail");
+      assert.equal(checkStatus(result, "holder_signature"), "passed", "Stranger's own signature is valid");
+      assert.equal(checkStatus(result.credentials[0], "holder_binding"), "failed");
+    });
+
+    it("should reject a presentation for another challenge or domain", async () => {
+      const presentation = present(holder, [issue().jwt], { nonce: "n-1", aud: "verifier.example" });
+
+      const replayed = await verifier.verifyPresentation(presentation, { ...context(), challenge: "n-2" });
+      assert.ok(!replayed.verified, "Other challenge should fail");
+      assert.equal(checkStatus(replayed, "challenge"), "failed");
+
+      const elsewhere = await verifier.verifyPresentation(presentation, { ...context(), domain: "other.example" });
+      assert.ok(!elsewhere.verified, "Other domain should fail");
+      assert.equal(checkStatus(elsewhere, "domain"), "failed");
+    });
+  });
+});
\ No newline at end of file
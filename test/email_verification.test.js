@@ -0,0 +1,168 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The routes pick their store and mail transport up on first use
+process.env.STORAGE_DRIVER = "local";
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "email-verification-"));
+process.env.STORAGE_DIR = storageDir;
+process.env.EMAIL_TRANSPORT = "capture";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "email-verification-test-secret";
+
+const express = require("express");
+const authRoutes = require("../routes/auth");
+const emailVerification = require("../email/email-verification");
+const { getCapturedMessages, clearCapturedMessages } = require("../email/mailer");
+
+/**
+ * Test suite for email verification codes
+ * Codes are read from the capture mail transport; expiry is tested by moving Date.now
+ */
+describe("Email verification", () => {
+  let server;
+  let baseUrl;
+  const realNow = Date.now;
+
+  const post = async (route, body) => {
+    const response = await fetch(`${baseUrl}/api/auth${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Code in the last message sent to an address
+  const codeSentTo = (email) => {
+    const message = getCapturedMessages().filter((sent) => sent.to === email).pop();
+    assert.ok(message, `A message should have been sent to ${email}`);
+    return /\b(\d{6})\b/.exec(message.text)[1];
+  };
+
+  const advanceClock = (ms) => {
+    Date.now = () => realNow() + ms;
+  };
+
+  before((done) => {
+    const app = express();
+    app.use("/api/auth", authRoutes);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(() => {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    clearCapturedMessages();
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  describe("Issuing and confirming codes", () => {
+    it("should email a code that is exchanged for a verification token", async () => {
+      const started = await post("/email/verification", { email: "alice@example.com" });
+      assert.equal(started.status, 200, "Code should be sent");
+      assert.ok(started.body.verificationId, "Response should hold the verification ID");
+
+      const messages = getCapturedMessages();
+      assert.equal(messages.length, 1, "One message should be sent");
+      assert.equal(messages[0].to, "alice@example.com", "Message should go to the address");
+
+      const confirmed = await post("/email/verification/confirm", {
+        verificationId: started.body.verificationId,
+        code: codeSentTo("alice@example.com")
+      });
+      assert.equal(confirmed.status, 200, "Code should be accepted");
+      assert.equal(confirmed.body.email, "alice@example.com", "Response should name the email");
+      assert.ok(emailVerification.isEmailVerified(confirmed.body.emailVerificationToken, "Alice@Example.com"),
+        "Token should prove the email");
+      assert.ok(!emailVerification.isEmailVerified(confirmed.body.emailVerificationToken, "bob@example.com"),
+        "Token should not prove another email");
+    });
+
+    it("should only accept a code once", async () => {
+      const started = await post("/email/verification", { email: "once@example.com" });
+      const confirmation = { verificationId: started.body.verificationId, code: codeSentTo("once@example.com") };
+
+      assert.equal((await post("/email/verification/confirm", confirmation)).status, 200, "First use should pass");
+      const reused = await post("/email/verification/confirm", confirmation);
+      assert.equal(reused.status, 400, "Second use should fail");
+      assert.equal(reused.body.error, "Invalid or expired verification");
+    });
+
+    it("should keep a code after a wrong guess and void it after five", async () => {
+      const started = await post("/email/verification", { email: "guess@example.com" });
+      const code = codeSentTo("guess@example.com");
+      const wrongCode = code === "000000" ? "111111" : "000000";
+
+      const wrong = await post("/email/verification/confirm", { verificationId: started.body.verificationId, code: wrongCode });
+      assert.equal(wrong.status, 400, "Wrong code should fail");
+      assert.equal(wrong.body.error, "Incorrect verification code");
+
+      const right = await post("/email/verification/confirm", { verificationId: started.body.verificationId, code });
+      assert.equal(right.status, 200, "Right code should still pass");
+
+      advanceClock(61 * 1000);
+      const restarted = await post("/email/verification", { email: "guess@example.com" });
+      const newCode = codeSentTo("guess@example.com");
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await post("/email/verification/confirm", { verificationId: restarted.body.verificationId, code: newCode === "000000" ? "111111" : "000000" });
+      }
+      const voided = await post("/email/verification/confirm", { verificationId: restarted.body.verificationId, code: newCode });
+      assert.equal(voided.status, 400, "Code should be void after five wrong guesses");
+      assert.equal(voided.body.error, "Invalid or expired verification");
+    });
+
+    it("should reject a code after it expires", async () => {
+      const started = await post("/email/verification", { email: "late@example.com" });
+      const code = codeSentTo("late@example.com");
+
+      advanceClock(10 * 60 * 1000 + 1000);
+      const expired = await post("/email/verification/confirm", { verificationId: started.body.verificationId, code });
+      assert.equal(expired.status, 400, "Expired code should fail");
+      assert.equal(expired.body.error, "Invalid or expired verification");
+    });
+
+    it("should reject malformed requests", async () => {
+      assert.equal((await post("/email/verification", { email: "not-an-email" })).status, 400, "Invalid email should fail");
+      assert.equal((await post("/email/verification/confirm", { code: "123456" })).status, 400, "Missing ID should fail");
+      assert.equal(getCapturedMessages().length, 0, "No message should be sent");
+    });
+  });
+
+  describe("Resend throttle", () => {
+    it("should send to an address at most once a minute", async () => {
+      assert.equal((await post("/email/verification", { email: "carol@example.com" })).status, 200, "First code should be sent");
+
+      const again = await post("/email/verification", { email: "Carol@Example.com" });
+      assert.equal(again.status, 429, "Resend should be throttled, whatever the case");
+      assert.equal((await post("/email/verification", { email: "dave@example.com" })).status, 200,
+        "Other addresses should not be throttled");
+
+      advanceClock(61 * 1000);
+      assert.equal((await post("/email/verification", { email: "carol@example.com" })).status, 200,
+        "Resend should pass after a minute");
+      assert.equal(getCapturedMessages().filter((sent) => sent.to === "carol@example.com").length, 2,
+        "Two codes should be sent to the throttled address");
+    });
+
+    it("should let one of simultaneous requests through", async () => {
+      const responses = await Promise.all(Array.from({ length: 5 },
+        () => post("/email/verification", { email: "erin@example.com" })));
+
+      assert.deepEqual(responses.map((response) => response.status).sort(), [200, 429, 429, 429, 429],
+        "Only one request should send a code");
+      assert.equal(getCapturedMessages().length, 1, "One message should be sent");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+const IdentityManager = artifacts.require("IdentityManager");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const IdentityManagerClient = require("../blockchain/identity-manager-client");
+const EventIndexer = require("../blockchain/event-indexer");
+const LocalStore = require("../storage/local-store");
+
+/**
+ * Test suite for the IdentityManager event indexer
+ * Runs against a fresh contract; reorgs are simulated with evm_snapshot and evm_revert
+ */
+contract("EventIndexer", (accounts) => {
+  const [owner, alice, bob, carol, dave] = accounts;
+  const keyVersion = 1;
+
+  let storageDir;
+  let identityManager;
+  let client;
+  let store;
+  let indexer;
+
+  // Stand-ins for the on-chain anchors of an encrypted profile and Aadhaar commitment
+  const digest = (value) => "0x" + crypto.createHash("sha256").update(value).digest("hex");
+  const register = (account, email) => identityManager.registerIdentity(
+    digest(`profile:${email}`), `profile:${email}`, digest(`email:${email}`), digest(`aadhaar:${email}`), keyVersion,
+    { from: account }
+  );
+
+  const rpc = (method, params = []) => new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) => {
+      if (error || response.error) {
+        return reject(error || new Error(response.error.message));
+      }
+      resolve(response.result);
+    });
+  });
+
+  const eventsOf = async (address) => (await store.listIndexedEvents(address)).map((event) => event.event);
+
+  // Indexed identities, oldest first, read in pages of `limit`
+  const pageThrough = async (limit) => {
+    const seen = [];
+    let after = null;
+    for (;;) {
+      const { identities, total } = await store.queryIndexedIdentities({ statuses: ["active", "deactivated"] }, { after, limit: limit + 1 });
+      const page = identities.slice(0, limit);
+      seen.push(...page.map((record) => record.ethereumAddress));
+      if (identities.length <= limit) {
+        return { seen, total };
+      }
+      const last = page[page.length - 1];
+      after = { registrationTime: last.registrationTime, ethereumAddress: last.ethereumAddress };
+    }
+  };
+
+  before(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-indexer-"));
+
+    // A client for a fresh contract, through an artifact that only knows that deployment
+    identityManager = await IdentityManager.new(await web3.eth.getChainId(), { from: owner });
+    const artifactPath = path.join(storageDir, "IdentityManager.json");
+    fs.writeFileSync(artifactPath, JSON.stringify({
+      ...IdentityManager.toJSON(),
+      networks: { [await web3.eth.net.getId()]: { address: identityManager.address } }
+    }));
+    client = new IdentityManagerClient(web3, artifactPath);
+    await client.init();
+
+    store = new LocalStore({ dir: path.join(storageDir, "store") });
+    indexer = new EventIndexer({ identityManager: client, store });
+  });
+
+  after(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe("Backfill", () => {
+    it("should index the events and identities from before it started", async () => {
+      await register(alice, "alice@example.com");
+      await register(bob, "bob@example.com");
+      await identityManager.deactivateIdentity({ from: bob });
+
+      const state = await indexer.sync();
+
+      assert.equal(state.blockNumber, await web3.eth.getBlockNumber(), "Should index up to the latest block");
+      assert.equal(state.contractAddress, identityManager.address, "State should record the contract");
+      assert.deepEqual(await eventsOf(alice), ["IdentityRegistered"], "Alice's registration should be stored");
+      assert.deepEqual(await eventsOf(bob), ["IdentityRegistered", "IdentityDeactivated"], "Bob's events should be stored in chain order");
+
+      const aliceRecord = await store.getIndexedIdentity(alice);
+      assert.equal(aliceRecord.status, "active", "Alice should be active");
+      assert.equal(aliceRecord.profilePointer, "profile:alice@example.com", "Alice's profile pointer should be indexed");
+      assert.equal((await store.getIndexedIdentity(bob)).status, "deactivated", "Bob should be deactivated");
+    });
+
+    it("should only index new blocks on the next sync", async () => {
+      const before = await indexer.getState();
+      await register(carol, "carol@example.com");
+
+      const state = await indexer.sync();
+
+      assert.equal(state.blockNumber, before.blockNumber + 1, "Should index the one new block");
+      assert.deepEqual(await eventsOf(carol), ["IdentityRegistered"], "Carol's registration should be stored");
+      assert.deepEqual(await eventsOf(bob), ["IdentityRegistered", "IdentityDeactivated"], "Earlier events should not be stored again");
+      assert.equal((await store.getIndexedIdentity(carol)).status, "active", "Carol should be indexed");
+    });
+
+    it("should page through identities without skipping or repeating any", async () => {
+      const { seen, total } = await pageThrough(2);
+
+      assert.equal(total, 3, "Total should count every match");
+      assert.deepEqual([...seen].sort(), [alice, bob, carol].sort(), "Every identity should be listed once");
+
+      const { seen: onePerPage } = await pageThrough(1);
+      assert.deepEqual(onePerPage, seen, "Page size should not change the order");
+    });
+  });
+
+  describe("Reorganizations", () => {
+    it("should roll back events dropped by a reorg and index the new chain", async () => {
+      const forkBlock = (await indexer.sync()).blockNumber;
+      const snapshot = await rpc("evm_snapshot");
+
+      // Dave registers and Alice deactivates on the branch that gets dropped
+      await register(dave, "dave@example.com");
+      await identityManager.deactivateIdentity({ from: alice });
+      await indexer.sync();
+      assert.equal((await store.getIndexedIdentity(dave)).status, "active", "Dave should be indexed on the old branch");
+      assert.equal((await store.getIndexedIdentity(alice)).status, "deactivated", "Alice should be deactivated on the old branch");
+
+      // The new branch is as long as the old one but has other blocks
+      await rpc("evm_revert", [snapshot]);
+      await rpc("evm_mine");
+      await identityManager.reactivateIdentity({ from: bob });
+
+      const rollbacks = [];
+      indexer.on("rollback", (rollback) => rollbacks.push(rollback));
+      const state = await indexer.sync();
+      indexer.removeAllListeners("rollback");
+
+      assert.deepEqual(rollbacks, [{ blockNumber: forkBlock }], "Should roll back to the last block both branches share");
+      assert.equal(state.blockNumber, await web3.eth.getBlockNumber(), "Should index the new branch");
+      assert.equal(await store.getIndexedIdentity(dave), null, "Dave's dropped registration should be removed");
+      assert.equal((await store.getIndexedIdentity(alice)).status, "active", "Alice's dropped deactivation should be undone");
+      assert.equal((await store.getIndexedIdentity(bob)).status, "active", "Bob's reactivation on the new branch should be indexed");
+      assert.deepEqual(await eventsOf(dave), [], "Dave's dropped events should be removed");
+      assert.deepEqual(await eventsOf(alice), ["IdentityRegistered"], "Alice's dropped deactivation event should be removed");
+      assert.deepEqual(await eventsOf(bob), ["IdentityRegistered", "IdentityDeactivated", "IdentityReactivated"],
+        "The new branch's events should be stored");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,218 @@
+const IdentityManager = artifacts.require("IdentityManager");
+const GuardianRecovery = artifacts.require("GuardianRecovery");
+const crypto = require('crypto');
+
+/**
+ * Test suite for GuardianRecovery smart contract
+ * Tests guardian setup, M-of-N approvals, the recovery delay, cancellation
+ * and moving the identity in IdentityManager
+ */
+contract("GuardianRecovery", (accounts) => {
+  let identityManager;
+  let guardianRecovery;
+  const [owner, holder, guardian1, guardian2, guardian3, newAddress, outsider] = accounts;
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+  // Stand-ins for the on-chain anchors of an identity (see test/identity_manager.test.js)
+  const hash = (value) => '0x' + crypto.createHash('sha256').update(value).digest('hex');
+  const identityOf = (email, aadhaar) => [
+    hash(`profile:${email}`),
+    `profile:${email}`,
+    hash(`email:${email}`),
+    hash(`aadhaar:${aadhaar}`),
+    1
+  ];
+
+  // Advance the chain clock past a recovery delay
+  const rpc = (method, params) => new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: "2.0", method: method, params: params, id: Date.now() }, (error, result) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(result);
+    });
+  });
+  const increaseTime = async (seconds) => {
+    await rpc("evm_increaseTime", [seconds]);
+    await rpc("evm_mine", []);
+  };
+
+  const expectRevert = async (promise, reason) => {
+    try {
+      await promise;
+      assert.fail("Should have thrown an error");
+    } catch (error) {
+      assert(error.message.includes(reason), `Should throw '${reason}' error, got: ${error.message}`);
+    }
+  };
+
+  beforeEach(async () => {
+    identityManager = await IdentityManager.deployed();
+    guardianRecovery = await GuardianRecovery.deployed();
+  });
+
+  describe("Contract Deployment", () => {
+    it("should be the recovery manager of IdentityManager", async () => {
+      assert.equal(await guardianRecovery.identityManager(), identityManager.address, "Should point at IdentityManager");
+      assert.equal(await identityManager.recoveryManager(), guardianRecovery.address, "Should be the recovery manager");
+      assert.equal(await guardianRecovery.owner(), owner, "Owner should be the deployer");
+      assert((await guardianRecovery.recoveryDelay()).toNumber() > 0, "Recovery delay should be set");
+    });
+
+    it("should not let anyone else move identities", async () => {
+      await expectRevert(
+        identityManager.recoverIdentity(holder, newAddress, { from: owner }),
+        "Caller is not the recovery manager"
+      );
+    });
+  });
+
+  describe("Guardians", () => {
+    it("should only let registered users set guardians", async () => {
+      await expectRevert(
+        guardianRecovery.setGuardians([guardian1, guardian2], 1, { from: holder }),
+        "User not registered or inactive"
+      );
+    });
+
+    it("should store guardians and a threshold and emit GuardiansChanged", async () => {
+      await identityManager.registerIdentity(...identityOf("recoverable@example.com", "565656565656"), { from: holder });
+
+      const result = await guardianRecovery.setGuardians([guardian1, guardian2, guardian3], 2, { from: holder });
+
+      assert.equal(result.logs[0].event, "GuardiansChanged", "Should emit GuardiansChanged event");
+      assert.deepEqual(result.logs[0].args.guardians, [guardian1, guardian2, guardian3], "Event should carry the guardians");
+
+      const guardians = await guardianRecovery.getGuardians(holder);
+      assert.deepEqual(guardians[0], [guardian1, guardian2, guardian3], "Guardians should be stored");
+      assert.equal(guardians[1].toNumber(), 2, "Threshold should be stored");
+      assert.equal(await guardianRecovery.isGuardian(holder, guardian2), true, "guardian2 should be a guardian");
+      assert.equal(await guardianRecovery.isGuardian(holder, outsider), false, "outsider should not be a guardian");
+    });
+
+    it("should reject thresholds outside 1 to the number of guardians", async () => {
+      await expectRevert(guardianRecovery.setGuardians([guardian1], 0, { from: holder }), "Invalid threshold");
+      await expectRevert(guardianRecovery.setGuardians([guardian1], 2, { from: holder }), "Invalid threshold");
+      await expectRevert(guardianRecovery.setGuardians([], 1, { from: holder }), "Invalid threshold");
+    });
+
+    it("should reject the holder, the zero address and duplicates as guardians", async () => {
+      await expectRevert(guardianRecovery.setGuardians([holder], 1, { from: holder }), "Invalid guardian");
+      await expectRevert(
+        guardianRecovery.setGuardians(["0x0000000000000000000000000000000000000000"], 1, { from: holder }),
+        "Invalid guardian"
+      );
+      await expectRevert(guardianRecovery.setGuardians([guardian1, guardian1], 1, { from: holder }), "Duplicate guardian");
+    });
+
+    it("should only let the owner set guardians on a user's behalf", async () => {
+      await expectRevert(
+        guardianRecovery.setGuardiansFor(holder, [outsider], 1, { from: outsider }),
+        "Caller is not the owner"
+      );
+    });
+  });
+
+  describe("Recovery", () => {
+    it("should only let guardians initiate a recovery", async () => {
+      await expectRevert(
+        guardianRecovery.initiateRecovery(holder, newAddress, { from: outsider }),
+        "Caller is not a guardian"
+      );
+    });
+
+    it("should count the initiating guardian's approval", async () => {
+      const result = await guardianRecovery.initiateRecovery(holder, newAddress, { from: guardian1 });
+
+      assert.equal(result.logs[0].event, "RecoveryInitiated", "Should emit RecoveryInitiated event");
+      assert.equal(result.logs[0].args.newAddress, newAddress, "Event should carry the new address");
+      assert.equal(result.logs[1].event, "RecoveryApproved", "Should emit RecoveryApproved event");
+
+      const recovery = await guardianRecovery.recoveries(holder);
+      assert.equal(recovery.newAddress, newAddress, "Recovery should be pending");
+      assert.equal(recovery.approvals.toNumber(), 1, "Initiator should have approved");
+      assert.equal(await guardianRecovery.hasApproved(holder, guardian1), true, "guardian1 should have approved");
+    });
+
+    it("should allow one pending recovery and freeze the guardians meanwhile", async () => {
+      await expectRevert(
+        guardianRecovery.initiateRecovery(holder, outsider, { from: guardian2 }),
+        "Recovery already in progress"
+      );
+      await expectRevert(
+        guardianRecovery.setGuardians([outsider], 1, { from: holder }),
+        "Recovery in progress"
+      );
+    });
+
+    it("should not finalize without enough approvals", async () => {
+      await expectRevert(guardianRecovery.finalizeRecovery(holder), "Not enough guardian approvals");
+    });
+
+    it("should not count a guardian twice", async () => {
+      await expectRevert(
+        guardianRecovery.approveRecovery(holder, { from: guardian1 }),
+        "Recovery already approved"
+      );
+    });
+
+    it("should let the holder cancel and drop the approvals", async () => {
+      await expectRevert(guardianRecovery.cancelRecovery({ from: guardian1 }), "No recovery in progress");
+
+      const result = await guardianRecovery.cancelRecovery({ from: holder });
+      assert.equal(result.logs[0].event, "RecoveryCancelled", "Should emit RecoveryCancelled event");
+
+      await guardianRecovery.initiateRecovery(holder, newAddress, { from: guardian2 });
+      assert.equal(await guardianRecovery.hasApproved(holder, guardian1), false, "Earlier approvals should not carry over");
+      assert.equal((await guardianRecovery.recoveries(holder)).approvals.toNumber(), 1, "Only the new initiator should have approved");
+    });
+
+    it("should not finalize before the recovery delay has passed", async () => {
+      const result = await guardianRecovery.approveRecoveryFor(holder, guardian3, { from: owner });
+      assert.equal(result.logs[0].args.approvals.toNumber(), 2, "Relayed approval should count");
+
+      await expectRevert(guardianRecovery.finalizeRecovery(holder), "Recovery delay has not passed");
+    });
+
+    it("should move the identity and its guardians once finalized", async () => {
+      const before = await identityManager.getIdentity(holder);
+
+      await increaseTime((await guardianRecovery.recoveryDelay()).toNumber());
+      const result = await guardianRecovery.finalizeRecovery(holder, { from: outsider });
+
+      assert.equal(result.logs[0].event, "RecoveryFinalized", "Should emit RecoveryFinalized event");
+
+      const identity = await identityManager.getIdentity(newAddress);
+      assert.equal(identity.ethAddress, newAddress, "Identity should belong to the new address");
+      assert.equal(identity.profileHash, before.profileHash, "Profile should move along");
+      assert.equal(identity.registrationTime.toString(), before.registrationTime.toString(), "Registration time should be kept");
+
+      assert.equal(await identityManager.isRegistered(holder), false, "Old address should be empty");
+      assert.equal(await identityManager.recoveredTo(holder), newAddress, "Old address should record where it moved");
+      assert.equal(await identityManager.originalAddress(newAddress), holder, "New address should record where it was registered");
+
+      const users = await identityManager.getAllUsers();
+      assert(users.includes(newAddress) && !users.includes(holder), "Only the new address should be listed");
+
+      const guardians = await guardianRecovery.getGuardians(newAddress);
+      assert.deepEqual(guardians[0], [guardian1, guardian2, guardian3], "Guardians should move along");
+      assert.equal((await guardianRecovery.getGuardians(holder))[0].length, 0, "Old address should have no guardians");
+      assert.equal((await guardianRecovery.recoveries(holder)).newAddress, "0x0000000000000000000000000000000000000000",
+        "Recovery should be closed");
+    });
+
+    it("should keep the first address across recoveries and forget it when the address registers again", async () => {
+      await guardianRecovery.initiateRecovery(newAddress, outsider, { from: guardian1 });
+      await guardianRecovery.approveRecovery(newAddress, { from: guardian2 });
+      await increaseTime((await guardianRecovery.recoveryDelay()).toNumber());
+      await guardianRecovery.finalizeRecovery(newAddress);
+
+      assert.equal(await identityManager.originalAddress(outsider), holder, "Should still name the first address");
+      assert.equal(await identityManager.originalAddress(newAddress), ZERO_ADDRESS, "Intermediate address should be cleared");
+
+      await identityManager.eraseIdentity({ from: outsider });
+      await identityManager.registerIdentity(...identityOf("fresh@example.com", "575757575757"), { from: outsider });
+      assert.equal(await identityManager.originalAddress(outsider), ZERO_ADDRESS, "A new registration should start afresh");
+    });
+  });
+});
\ No newline at end of file
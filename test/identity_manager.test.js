@@ -17,6 +17,26 @@ contract("IdentityManager", (accounts) => {
     address: user1
   };
 
+  // Keyed Aadhaar commitment, as computed by blockchain/aadhaar-commitment.js
+  const keyVersion = 1;
+  const commitAadhaar = (aadhaar) => '0x' + crypto.createHmac('sha256', 'test-commitment-key')
+    .update(`aadhaar:${aadhaar}`)
+    .digest('hex');
+
+  // Stand-ins for the on-chain anchors of an encrypted profile (profiles/profile-vault.js)
+  const emailIndex = (email) => '0x' + crypto.createHmac('sha256', 'test-index-key')
+    .update(email.toLowerCase())
+    .digest('hex');
+  const profileHash = (name, email) => '0x' + crypto.createHash('sha256')
+    .update(`${name}:${email}`)
+    .digest('hex');
+  const profileOf = (name, email) => ({
+    profileHash: profileHash(name, email),
+    profilePointer: `profile:${email}`,
+    emailIndex: emailIndex(email)
+  });
+  const profile = (name, email) => Object.values(profileOf(name, email));
+
   beforeEach(async () => {
     // Deploy fresh contract instance for each test
     identityManager = await IdentityManager.deployed();
@@ -277,4 +297,743 @@ contract("IdentityManager", (accounts) => {
       assert.equal(user.name, "Retrieval Test User", "Retrieval should work correctly");
     });
   });
+
+  describe("Identity Updates", () => {
+    const updater = accounts[5];
+
+    before(async () => {
+      const aadhaarCommitment = commitAadhaar("555555555555");
+
+      await identityManager.registerIdentity(
+        ...profile("Update User", "update@example.com"),
+        aadhaarCommitment,
+        keyVersion,
+        { from: updater }
+      );
+    });
+
+    it("should point to the new profile and emit IdentityUpdated", async () => {
+      const result = await identityManager.updateIdentity(
+        ...profile("Updated User", "updated@example.com"),
+        { from: updater }
+      );
+
+      assert.equal(result.logs[0].event, "IdentityUpdated", "Should emit IdentityUpdated event");
+      assert.equal(result.logs[0].args.userAddress, updater, "Event should contain correct address");
+
+      const identity = await identityManager.getIdentity(updater);
+      assert.equal(identity.profileHash, profileHash("Updated User", "updated@example.com"), "Profile hash should be updated");
+      assert.equal(identity.emailIndex, emailIndex("updated@example.com"), "Email index should be updated");
+    });
+
+    it("should release the old email and reserve the new one", async () => {
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("update@example.com")), false, "Old email should be released");
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("updated@example.com")), true, "New email should be reserved");
+    });
+
+    it("should not allow updating to an email registered by someone else", async () => {
+      const aadhaarCommitment = commitAadhaar("565656565656");
+
+      await identityManager.registerIdentity(
+        ...profile("Other User", "other@example.com"),
+        aadhaarCommitment,
+        keyVersion,
+        { from: accounts[6] }
+      );
+
+      try {
+        await identityManager.updateIdentity(...profile("Updated User", "other@example.com"), { from: updater });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Email already registered"), "Should throw 'Email already registered' error");
+      }
+    });
+
+    it("should only allow the owner to update on a user's behalf", async () => {
+      try {
+        await identityManager.updateIdentityFor(updater, ...profile("Hijacked", "hijack@example.com"), { from: accounts[6] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      await identityManager.updateIdentityFor(updater, ...profile("Owner Updated", "updated@example.com"), { from: owner });
+      const identity = await identityManager.getIdentity(updater);
+      assert.equal(identity.profileHash, profileHash("Owner Updated", "updated@example.com"), "Owner should be able to update the identity");
+    });
+  });
+
+  describe("Identity Deactivation and Reactivation", () => {
+    const holder = accounts[7];
+    const aadhaarCommitment = commitAadhaar("777777777777");
+
+    before(async () => {
+      await identityManager.registerIdentity(
+        ...profile("Lifecycle User", "lifecycle@example.com"),
+        aadhaarCommitment,
+        keyVersion,
+        { from: holder }
+      );
+    });
+
+    it("should deactivate an identity and emit IdentityDeactivated", async () => {
+      const totalBefore = await identityManager.getTotalUsers();
+      const result = await identityManager.deactivateIdentity({ from: holder });
+
+      assert.equal(result.logs[0].event, "IdentityDeactivated", "Should emit IdentityDeactivated event");
+      assert.equal(await identityManager.isRegistered(holder), false, "Identity should be inactive");
+      assert.equal(await identityManager.isDeactivated(holder), true, "Identity should be reactivatable");
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("lifecycle@example.com")), false, "Email should be released");
+
+      const totalAfter = await identityManager.getTotalUsers();
+      assert.equal(totalAfter.toNumber(), totalBefore.toNumber() - 1, "Active user count should drop");
+    });
+
+    it("should not allow updating a deactivated identity", async () => {
+      try {
+        await identityManager.updateIdentity(...profile("Ghost", "ghost@example.com"), { from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("User not registered or inactive"), "Should throw 'User not registered or inactive' error");
+      }
+    });
+
+    it("should let the user reactivate their identity", async () => {
+      const result = await identityManager.reactivateIdentity({ from: holder });
+
+      assert.equal(result.logs[0].event, "IdentityReactivated", "Should emit IdentityReactivated event");
+      assert.equal(await identityManager.isRegistered(holder), true, "Identity should be active again");
+
+      const identity = await identityManager.getIdentity(holder);
+      assert.equal(identity.emailIndex, emailIndex("lifecycle@example.com"), "Identity data should be preserved");
+    });
+
+    it("should only allow the owner to deactivate or reactivate on a user's behalf", async () => {
+      try {
+        await identityManager.deactivateIdentityFor(holder, { from: accounts[8] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      await identityManager.deactivateIdentityFor(holder, { from: owner });
+      assert.equal(await identityManager.isRegistered(holder), false, "Owner should be able to deactivate");
+
+      await identityManager.reactivateIdentityFor(holder, { from: owner });
+      assert.equal(await identityManager.isRegistered(holder), true, "Owner should be able to reactivate");
+    });
+
+    it("should not reactivate when the email was claimed while deactivated", async () => {
+      await identityManager.deactivateIdentity({ from: holder });
+
+      await identityManager.registerIdentity(
+        ...profile("Email Taker", "lifecycle@example.com"),
+        commitAadhaar("888888888888"),
+        keyVersion,
+        { from: accounts[8] }
+      );
+
+      try {
+        await identityManager.reactivateIdentity({ from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Email already registered"), "Should throw 'Email already registered' error");
+      }
+    });
+
+    it("should not list a re-registered address twice", async () => {
+      const before = await identityManager.getAllUsers();
+
+      await identityManager.registerIdentity(
+        ...profile("Lifecycle User", "lifecycle-again@example.com"),
+        aadhaarCommitment,
+        keyVersion,
+        { from: holder }
+      );
+
+      const after = await identityManager.getAllUsers();
+      assert.equal(after.length, before.length + 1, "Re-registered identity should be counted once");
+      assert.equal(after.filter(address => address === holder).length, 1, "Address should appear once");
+    });
+  });
+
+  describe("Signed Registration", () => {
+    const signer = accounts[9];
+    const relayer = owner;
+    const aadhaarCommitment = commitAadhaar("999999999999");
+    const registration = {
+      ...profileOf("Signed User", "signed@example.com"),
+      aadhaarCommitment: aadhaarCommitment,
+      aadhaarKeyVersion: keyVersion
+    };
+
+    // Sign RegisterIdentity typed data the way a wallet would (eth_signTypedData_v4)
+    const signRegistration = async (from, userAddress, fields, deadline) => {
+      const domain = await identityManager.eip712Domain();
+      const nonce = await identityManager.nonces(userAddress);
+      const typedData = {
+        types: {
+          EIP712Domain: [
+            { name: "name", type: "string" },
+            { name: "version", type: "string" },
+            { name: "chainId", type: "uint256" },
+            { name: "verifyingContract", type: "address" }
+          ],
+          RegisterIdentity: [
+            { name: "userAddress", type: "address" },
+            { name: "profileHash", type: "bytes32" },
+            { name: "profilePointer", type: "string" },
+            { name: "emailIndex", type: "bytes32" },
+            { name: "aadhaarCommitment", type: "bytes32" },
+            { name: "aadhaarKeyVersion", type: "uint16" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        primaryType: "RegisterIdentity",
+        domain: {
+          name: domain.name,
+          version: domain.version,
+          chainId: domain.chainId.toString(),
+          verifyingContract: domain.verifyingContract
+        },
+        message: { userAddress, ...fields, nonce: nonce.toString(), deadline }
+      };
+
+      return new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method: "eth_signTypedData_v4",
+          params: [from, typedData]
+        }, (error, response) => (error || response.error ? reject(error || response.error) : resolve(response.result)));
+      });
+    };
+
+    const farDeadline = () => Math.floor(Date.now() / 1000) + 3600;
+
+    it("should reject a signature from someone other than the user", async () => {
+      const deadline = farDeadline();
+      const signature = await signRegistration(accounts[6], signer, registration, deadline);
+
+      try {
+        await identityManager.registerIdentityWithSignature(
+          signer,
+          registration.profileHash,
+          registration.profilePointer,
+          registration.emailIndex,
+          registration.aadhaarCommitment,
+          registration.aadhaarKeyVersion,
+          deadline,
+          signature,
+          { from: relayer }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Invalid signature"), "Should throw 'Invalid signature' error");
+      }
+    });
+
+    it("should reject an expired signature", async () => {
+      const deadline = Math.floor(Date.now() / 1000) - 60;
+      const signature = await signRegistration(signer, signer, registration, deadline);
+
+      try {
+        await identityManager.registerIdentityWithSignature(
+          signer,
+          registration.profileHash,
+          registration.profilePointer,
+          registration.emailIndex,
+          registration.aadhaarCommitment,
+          registration.aadhaarKeyVersion,
+          deadline,
+          signature,
+          { from: relayer }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Signature expired"), "Should throw 'Signature expired' error");
+      }
+    });
+
+    it("should register the signer when relayed by another account", async () => {
+      const deadline = farDeadline();
+      const signature = await signRegistration(signer, signer, registration, deadline);
+
+      const result = await identityManager.registerIdentityWithSignature(
+        signer,
+        registration.profileHash,
+        registration.profilePointer,
+        registration.emailIndex,
+        registration.aadhaarCommitment,
+        registration.aadhaarKeyVersion,
+        deadline,
+        signature,
+        { from: relayer }
+      );
+
+      assert.equal(result.logs[0].event, "IdentityRegistered", "Should emit IdentityRegistered event");
+      assert.equal(result.logs[0].args.userAddress, signer, "Identity should belong to the signer");
+
+      const identity = await identityManager.getIdentity(signer);
+      assert.equal(identity.ethAddress, signer, "Stored address should be the signer");
+      assert.equal(await identityManager.isRegistered(relayer), false, "Relayer should not be registered");
+      assert.equal((await identityManager.nonces(signer)).toNumber(), 1, "Nonce should be incremented");
+    });
+
+    it("should not accept the same signature twice", async () => {
+      const deadline = farDeadline();
+      const again = { ...registration, ...profileOf("Signed User", "signed-again@example.com") };
+      const signature = await signRegistration(signer, signer, again, deadline);
+
+      // Free the address so only the nonce stands in the way
+      await identityManager.deactivateIdentity({ from: signer });
+      await identityManager.registerIdentityWithSignature(
+        signer,
+        again.profileHash,
+        again.profilePointer,
+        again.emailIndex,
+        registration.aadhaarCommitment,
+        registration.aadhaarKeyVersion,
+        deadline,
+        signature,
+        { from: relayer }
+      );
+      await identityManager.deactivateIdentity({ from: signer });
+
+      try {
+        await identityManager.registerIdentityWithSignature(
+          signer,
+          again.profileHash,
+          again.profilePointer,
+          again.emailIndex,
+          registration.aadhaarCommitment,
+          registration.aadhaarKeyVersion,
+          deadline,
+          signature,
+          { from: relayer }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Invalid signature"), "Should throw 'Invalid signature' error");
+      }
+    });
+  });
+
+  describe("Aadhaar Commitments", () => {
+    const holder = accounts[5];
+
+    it("should store the commitment and key version, not a hash string", async () => {
+      const identity = await identityManager.getIdentity(holder);
+
+      assert.equal(identity.aadhaarCommitment, commitAadhaar("555555555555"), "Commitment should be stored as bytes32");
+      assert.equal(identity.aadhaarKeyVersion.toNumber(), keyVersion, "Key version should be stored");
+      assert.equal(await identityManager.isAadhaarRegistered(commitAadhaar("555555555555")), true, "Commitment should be reserved");
+    });
+
+    it("should not allow registering the same commitment twice", async () => {
+      try {
+        await identityManager.registerIdentity(
+          ...profile("Duplicate Aadhaar", "duplicate-aadhaar@example.com"),
+          commitAadhaar("555555555555"),
+          keyVersion,
+          { from: accounts[3] }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Aadhaar already registered"), "Should throw 'Aadhaar already registered' error");
+      }
+    });
+
+    it("should let only the owner replace a commitment", async () => {
+      const rotated = '0x' + crypto.createHmac('sha256', 'rotated-commitment-key')
+        .update("aadhaar:555555555555")
+        .digest('hex');
+
+      try {
+        await identityManager.updateAadhaarCommitmentFor(holder, rotated, 2, { from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      const result = await identityManager.updateAadhaarCommitmentFor(holder, rotated, 2, { from: owner });
+      assert.equal(result.logs[0].event, "AadhaarCommitmentUpdated", "Should emit AadhaarCommitmentUpdated event");
+
+      const identity = await identityManager.getIdentity(holder);
+      assert.equal(identity.aadhaarCommitment, rotated, "Commitment should be replaced");
+      assert.equal(identity.aadhaarKeyVersion.toNumber(), 2, "Key version should be replaced");
+      assert.equal(await identityManager.isAadhaarRegistered(commitAadhaar("555555555555")), false, "Old commitment should be released");
+    });
+
+    it("should import identities with their registration time until migration is closed", async () => {
+      const imported = web3.eth.accounts.create().address;
+      const registrationTime = 1700000000;
+
+      try {
+        await identityManager.importIdentity(
+          imported, ...profile("Imported User", "imported@example.com"), commitAadhaar("121212121212"), keyVersion, registrationTime,
+          { from: accounts[3] }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      await identityManager.importIdentity(
+        imported, ...profile("Imported User", "imported@example.com"), commitAadhaar("121212121212"), keyVersion, registrationTime,
+        { from: owner }
+      );
+
+      const identity = await identityManager.getIdentity(imported);
+      assert.equal(identity.registrationTime.toNumber(), registrationTime, "Registration time should be preserved");
+
+      await identityManager.closeMigration({ from: owner });
+      assert.equal(await identityManager.migrationOpen(), false, "Migration should be closed");
+
+      try {
+        await identityManager.importIdentity(
+          web3.eth.accounts.create().address, ...profile("Late Import", "late@example.com"), commitAadhaar("131313131313"), keyVersion, registrationTime,
+          { from: owner }
+        );
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Migration is closed"), "Should throw 'Migration is closed' error");
+      }
+    });
+  });
+
+  describe("Delegates and Services", () => {
+    const holder = accounts[5];
+    const delegate = accounts[8];
+    const veriKey = web3.utils.padRight(web3.utils.utf8ToHex("veriKey"), 64);
+
+    it("should add a delegate that is valid until it expires", async () => {
+      const result = await identityManager.addDelegate(veriKey, delegate, 3600, { from: holder });
+
+      assert.equal(result.logs[0].event, "DelegateChanged", "Should emit DelegateChanged event");
+      assert.equal(await identityManager.validDelegate(holder, veriKey, delegate), true, "Delegate should be valid");
+
+      const delegates = await identityManager.getDelegates(holder);
+      assert.equal(delegates.length, 1, "Should list one delegate");
+      assert.equal(delegates[0].delegate, delegate, "Should list the delegate address");
+    });
+
+    it("should extend an existing delegate instead of adding it twice", async () => {
+      await identityManager.addDelegate(veriKey, delegate, 7200, { from: holder });
+
+      const delegates = await identityManager.getDelegates(holder);
+      assert.equal(delegates.length, 1, "Should still list one delegate");
+    });
+
+    it("should let only the owner manage delegates on a user's behalf", async () => {
+      try {
+        await identityManager.revokeDelegateFor(holder, veriKey, delegate, { from: accounts[3] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      await identityManager.revokeDelegateFor(holder, veriKey, delegate, { from: owner });
+      assert.equal(await identityManager.validDelegate(holder, veriKey, delegate), false, "Delegate should be revoked");
+      assert.equal((await identityManager.getDelegates(holder)).length, 0, "Delegate should be removed");
+    });
+
+    it("should not let an identity delegate to itself", async () => {
+      try {
+        await identityManager.addDelegate(veriKey, holder, 3600, { from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Invalid delegate"), "Should throw 'Invalid delegate' error");
+      }
+    });
+
+    it("should add, replace and remove service endpoints by ID", async () => {
+      await identityManager.setService("hub", "IdentityHub", "https://hub.example.com", { from: holder });
+      await identityManager.setServiceFor(holder, "hub", "IdentityHub", "https://hub2.example.com", { from: owner });
+
+      let services = await identityManager.getServices(holder);
+      assert.equal(services.length, 1, "Service with the same ID should be replaced");
+      assert.equal(services[0].endpoint, "https://hub2.example.com", "Endpoint should be updated");
+
+      const result = await identityManager.removeService("hub", { from: holder });
+      assert.equal(result.logs[0].event, "ServiceRemoved", "Should emit ServiceRemoved event");
+
+      services = await identityManager.getServices(holder);
+      assert.equal(services.length, 0, "Service should be removed");
+    });
+
+    it("should not allow unregistered addresses to publish services", async () => {
+      try {
+        await identityManager.setService("hub", "IdentityHub", "https://hub.example.com", { from: accounts[3] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("User not registered or inactive"), "Should throw 'User not registered or inactive' error");
+      }
+    });
+  });
+
+  describe("Selective Disclosure", () => {
+    const holder = accounts[5];
+
+    // Salted leaves and sorted-pair nodes, as built by blockchain/attribute-disclosure.js
+    const salt = (label) => web3.utils.keccak256(label);
+    const hashLeaf = (attribute, value, leafSalt) => web3.utils.keccak256(web3.utils.keccak256(
+      web3.eth.abi.encodeParameters(["string", "string", "bytes32"], [attribute, value, leafSalt])
+    ));
+    const hashPair = (a, b) => web3.utils.keccak256("0x" + [a, b].sort().map((node) => node.slice(2)).join(""));
+
+    // Values the server would decrypt from the holder's profile
+    const identity = { name: "Disclosed User", email: "disclosed@example.com" };
+    let leaves;
+    let root;
+
+    before(async () => {
+      leaves = [
+        hashLeaf("name", identity.name, salt("name")),
+        hashLeaf("email", identity.email, salt("email")),
+        hashLeaf("aadhaarVerified", "true", salt("aadhaarVerified"))
+      ];
+      root = hashPair(hashPair(leaves[0], leaves[1]), leaves[2]);
+    });
+
+    it("should let only the owner commit an attribute root", async () => {
+      try {
+        await identityManager.setAttributeRootFor(holder, root, { from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      const result = await identityManager.setAttributeRootFor(holder, root, { from: owner });
+      assert.equal(result.logs[0].event, "AttributeRootUpdated", "Should emit AttributeRootUpdated event");
+      assert.equal(await identityManager.attributeRoots(holder), root, "Root should be stored");
+    });
+
+    it("should verify a single disclosed attribute with its inclusion proof", async () => {
+      const emailProof = [leaves[0], leaves[2]];
+      const aadhaarProof = [hashPair(leaves[0], leaves[1])];
+
+      assert.equal(await identityManager.verifyAttribute(holder, "email", identity.email, salt("email"), emailProof), true, "Email should verify");
+      assert.equal(await identityManager.verifyAttribute(holder, "aadhaarVerified", "true", salt("aadhaarVerified"), aadhaarProof), true, "Aadhaar flag should verify");
+    });
+
+    it("should reject a wrong value, salt or attribute name", async () => {
+      const emailProof = [leaves[0], leaves[2]];
+
+      assert.equal(await identityManager.verifyAttribute(holder, "email", "other@example.com", salt("email"), emailProof), false, "Wrong value should fail");
+      assert.equal(await identityManager.verifyAttribute(holder, "email", identity.email, salt("name"), emailProof), false, "Wrong salt should fail");
+      assert.equal(await identityManager.verifyAttribute(holder, "name", identity.email, salt("email"), emailProof), false, "Wrong attribute should fail");
+    });
+
+    it("should clear the root when the identity is updated", async () => {
+      await identityManager.updateIdentity(...profile(identity.name, identity.email), { from: holder });
+
+      assert.equal(await identityManager.attributeRoots(holder), "0x" + "0".repeat(64), "Root should be cleared");
+      assert.equal(await identityManager.verifyAttribute(holder, "email", identity.email, salt("email"), [leaves[0], leaves[2]]), false, "Old proofs should no longer verify");
+    });
+  });
+
+  describe("Consent Grants", () => {
+    const holder = accounts[5];
+    const verifier = accounts[8];
+    const NAME = 1;
+    const EMAIL = 2;
+
+    const inOneHour = async () => (await web3.eth.getBlock("latest")).timestamp + 3600;
+
+    it("should grant a verifier access to some fields until it expires", async () => {
+      const expiresAt = await inOneHour();
+      const result = await identityManager.grantAccess(verifier, NAME | EMAIL, expiresAt, { from: holder });
+
+      assert.equal(result.logs[0].event, "AccessGranted", "Should emit AccessGranted event");
+      assert.equal(result.logs[0].args.verifier, verifier, "Event should name the verifier");
+      assert.equal(result.logs[0].args.expiresAt.toNumber(), expiresAt, "Event should carry the expiry");
+      assert.equal((await identityManager.grantedFields(holder, verifier)).toNumber(), NAME | EMAIL, "Verifier should be granted both fields");
+      assert.equal((await identityManager.grantedFields(holder, accounts[6])).toNumber(), 0, "Others should be granted nothing");
+    });
+
+    it("should replace an existing grant instead of adding it twice", async () => {
+      await identityManager.grantAccess(verifier, EMAIL, await inOneHour(), { from: holder });
+
+      const grants = await identityManager.getAccessGrants(holder);
+      assert.equal(grants.length, 1, "Should still list one grant");
+      assert.equal((await identityManager.grantedFields(holder, verifier)).toNumber(), EMAIL, "Grant should be narrowed");
+    });
+
+    it("should reject empty, expired and self grants", async () => {
+      const now = (await web3.eth.getBlock("latest")).timestamp;
+      const cases = [
+        [[verifier, 0, now + 3600], "Fields cannot be empty"],
+        [[verifier, NAME, now], "Expiry must be in the future"],
+        [[holder, NAME, now + 3600], "Invalid verifier"]
+      ];
+
+      for (const [args, message] of cases) {
+        try {
+          await identityManager.grantAccess(...args, { from: holder });
+          assert.fail("Should have thrown an error");
+        } catch (error) {
+          assert(error.message.includes(message), `Should throw '${message}' error`);
+        }
+      }
+    });
+
+    it("should let only the owner manage grants on a user's behalf", async () => {
+      try {
+        await identityManager.grantAccessFor(holder, accounts[6], NAME, await inOneHour(), { from: accounts[6] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+
+      await identityManager.grantAccessFor(holder, accounts[6], NAME, await inOneHour(), { from: owner });
+      assert.equal((await identityManager.grantedFields(holder, accounts[6])).toNumber(), NAME, "Owner should be able to grant access");
+    });
+
+    it("should suspend grants while the identity is deactivated", async () => {
+      await identityManager.deactivateIdentity({ from: holder });
+      assert.equal((await identityManager.grantedFields(holder, verifier)).toNumber(), 0, "Deactivated identity should grant nothing");
+
+      await identityManager.reactivateIdentity({ from: holder });
+      assert.equal((await identityManager.grantedFields(holder, verifier)).toNumber(), EMAIL, "Grant should apply again after reactivation");
+    });
+
+    it("should revoke access and emit AccessRevoked", async () => {
+      const result = await identityManager.revokeAccess(verifier, { from: holder });
+
+      assert.equal(result.logs[0].event, "AccessRevoked", "Should emit AccessRevoked event");
+      assert.equal((await identityManager.grantedFields(holder, verifier)).toNumber(), 0, "Verifier should lose access");
+
+      try {
+        await identityManager.revokeAccess(verifier, { from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Access grant not found"), "Should throw 'Access grant not found' error");
+      }
+    });
+  });
+
+  describe("Off-chain Profiles and Erasure", () => {
+    const holder = accounts[3];
+    const holderProfile = profileOf("Erasable User", "erasable@example.com");
+
+    it("should keep only the profile hash, pointer and email index on chain", async () => {
+      const result = await identityManager.registerIdentity(
+        ...Object.values(holderProfile),
+        commitAadhaar("343434343434"),
+        keyVersion,
+        { from: holder }
+      );
+
+      assert.equal(result.logs[0].args.profileHash, holderProfile.profileHash, "Event should carry the profile hash");
+      assert.equal(result.logs[0].args.name, undefined, "Event should not carry the name");
+
+      const identity = await identityManager.getIdentity(holder);
+      assert.equal(identity.profilePointer, holderProfile.profilePointer, "Pointer should be stored");
+      assert.equal(identity.emailIndex, holderProfile.emailIndex, "Email index should be stored");
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("erasable@example.com")), true, "Email should be reserved");
+
+      const expiresAt = (await web3.eth.getBlock("latest")).timestamp + 3600;
+      await identityManager.grantAccess(accounts[8], 1, expiresAt, { from: holder });
+    });
+
+    it("should let only the owner erase on a user's behalf", async () => {
+      try {
+        await identityManager.eraseIdentityFor(holder, { from: accounts[6] });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the owner"), "Should throw 'Caller is not the owner' error");
+      }
+    });
+
+    it("should erase an identity and leave a tombstone", async () => {
+      const result = await identityManager.eraseIdentity({ from: holder });
+
+      assert.equal(result.logs[0].event, "IdentityErased", "Should emit IdentityErased event");
+      assert.equal(result.logs[0].args.profileHash, holderProfile.profileHash, "Tombstone should name the erased profile");
+      assert((await identityManager.erasedAt(holder)).toNumber() > 0, "Erasure time should be recorded");
+      assert.equal(await identityManager.isRegistered(holder), false, "Identity should be gone");
+      assert.equal(await identityManager.isDeactivated(holder), false, "Erased identity should not be reactivatable");
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("erasable@example.com")), false, "Email should be released");
+      assert.equal(await identityManager.isAadhaarRegistered(commitAadhaar("343434343434")), false, "Aadhaar should be released");
+      assert.equal((await identityManager.getAccessGrants(holder)).length, 0, "Access grants should be deleted");
+
+      try {
+        await identityManager.eraseIdentity({ from: holder });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Identity not found"), "Should throw 'Identity not found' error");
+      }
+    });
+
+    it("should list an erased address once when it registers again", async () => {
+      const before = await identityManager.getAllUsers();
+
+      await identityManager.registerIdentity(
+        ...profile("Returning User", "returning@example.com"),
+        commitAadhaar("343434343434"),
+        keyVersion,
+        { from: holder }
+      );
+
+      const after = await identityManager.getAllUsers();
+      assert.equal(after.filter(address => address === holder).length, 1, "Address should appear once");
+      assert.equal(after.length, before.length + 1, "Re-registered identity should be counted once");
+    });
+
+    it("should not release an email claimed after deactivation when erasing", async () => {
+      await identityManager.deactivateIdentity({ from: holder });
+      await identityManager.registerIdentity(
+        ...profile("Email Claimer", "returning@example.com"),
+        commitAadhaar("353535353535"),
+        keyVersion,
+        { from: accounts[4] }
+      );
+
+      await identityManager.eraseIdentityFor(holder, { from: owner });
+      assert.equal(await identityManager.isEmailRegistered(emailIndex("returning@example.com")), true, "Claimed email should stay reserved");
+    });
+  });
+
+  describe("Roles", () => {
+    const ADMIN_ROLE = web3.utils.keccak256("ADMIN_ROLE");
+    const VERIFIER_ROLE = web3.utils.keccak256("VERIFIER_ROLE");
+    const admin = accounts[6];
+    const verifier = accounts[8];
+
+    it("should make the owner an admin", async () => {
+      assert.equal(await identityManager.ADMIN_ROLE(), ADMIN_ROLE, "ADMIN_ROLE should be keccak256(\"ADMIN_ROLE\")");
+      assert.equal(await identityManager.hasRole(ADMIN_ROLE, owner), true, "Owner should be an admin");
+      assert.equal(await identityManager.hasRole(ADMIN_ROLE, admin), false, "Others should not be admins");
+    });
+
+    it("should not allow non-admins to grant roles", async () => {
+      try {
+        await identityManager.grantRole(VERIFIER_ROLE, verifier, { from: admin });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is missing the required role"), "Should throw 'Caller is missing the required role' error");
+      }
+    });
+
+    it("should let admins grant roles and emit RoleGranted once", async () => {
+      const result = await identityManager.grantRole(ADMIN_ROLE, admin, { from: owner });
+      assert.equal(result.logs[0].event, "RoleGranted", "Should emit RoleGranted event");
+      assert.equal(result.logs[0].args.sender, owner, "Event should name the granting admin");
+
+      await identityManager.grantRole(VERIFIER_ROLE, verifier, { from: admin });
+      assert.equal(await identityManager.hasRole(VERIFIER_ROLE, verifier), true, "Verifier role should be granted");
+
+      const again = await identityManager.grantRole(VERIFIER_ROLE, verifier, { from: admin });
+      assert.equal(again.logs.length, 0, "Granting a held role should not emit an event");
+    });
+
+    it("should let admins revoke roles and emit RoleRevoked", async () => {
+      const result = await identityManager.revokeRole(VERIFIER_ROLE, verifier, { from: admin });
+
+      assert.equal(result.logs[0].event, "RoleRevoked", "Should emit RoleRevoked event");
+      assert.equal(await identityManager.hasRole(VERIFIER_ROLE, verifier), false, "Verifier role should be revoked");
+    });
+  });
 });
\ No newline at end of file
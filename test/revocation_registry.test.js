@@ -0,0 +1,82 @@
+const RevocationRegistry = artifacts.require("RevocationRegistry");
+
+/**
+ * Test suite for RevocationRegistry smart contract
+ * Tests revoking and reinstating attestations and issuer-only access
+ */
+contract("RevocationRegistry", (accounts) => {
+  let revocationRegistry;
+  const [issuer, other] = accounts;
+
+  // Attestation IDs as produced by blockchain/revocation-registry-client.js
+  const attestationId = web3.utils.keccak256("urn:uuid:4f8a2b8e-0c1d-4d55-9a3e-8f2b6c1d7e90");
+
+  beforeEach(async () => {
+    revocationRegistry = await RevocationRegistry.deployed();
+  });
+
+  describe("Contract Deployment", () => {
+    it("should set the deployer as issuer", async () => {
+      assert.equal(await revocationRegistry.issuer(), issuer, "Issuer should be the deployer");
+    });
+  });
+
+  describe("Revocation", () => {
+    it("should treat unknown attestations as not revoked", async () => {
+      assert.equal(await revocationRegistry.isRevoked(attestationId), false, "Attestation should not be revoked");
+      assert.equal((await revocationRegistry.revokedAt(attestationId)).toString(), "0", "revokedAt should be 0");
+    });
+
+    it("should only allow the issuer to revoke", async () => {
+      try {
+        await revocationRegistry.revoke(attestationId, { from: other });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the issuer"), "Should throw 'Caller is not the issuer' error");
+      }
+    });
+
+    it("should revoke an attestation and emit AttestationRevoked", async () => {
+      const result = await revocationRegistry.revoke(attestationId, { from: issuer });
+
+      assert.equal(result.logs[0].event, "AttestationRevoked", "Should emit AttestationRevoked event");
+      assert.equal(result.logs[0].args.attestationId, attestationId, "Event should carry the attestation ID");
+      assert.equal(await revocationRegistry.isRevoked(attestationId), true, "Attestation should be revoked");
+      assert((await revocationRegistry.revokedAt(attestationId)).toNumber() > 0, "revokedAt should be set");
+    });
+
+    it("should not revoke an attestation twice", async () => {
+      try {
+        await revocationRegistry.revoke(attestationId, { from: issuer });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Attestation already revoked"), "Should throw 'Attestation already revoked' error");
+      }
+    });
+
+    it("should only allow the issuer to reinstate", async () => {
+      try {
+        await revocationRegistry.unrevoke(attestationId, { from: other });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Caller is not the issuer"), "Should throw 'Caller is not the issuer' error");
+      }
+    });
+
+    it("should reinstate a revoked attestation and emit AttestationUnrevoked", async () => {
+      const result = await revocationRegistry.unrevoke(attestationId, { from: issuer });
+
+      assert.equal(result.logs[0].event, "AttestationUnrevoked", "Should emit AttestationUnrevoked event");
+      assert.equal(await revocationRegistry.isRevoked(attestationId), false, "Attestation should be reinstated");
+    });
+
+    it("should not reinstate an attestation that is not revoked", async () => {
+      try {
+        await revocationRegistry.unrevoke(attestationId, { from: issuer });
+        assert.fail("Should have thrown an error");
+      } catch (error) {
+        assert(error.message.includes("Attestation not revoked"), "Should throw 'Attestation not revoked' error");
+      }
+    });
+  });
+});
\ No newline at end of file
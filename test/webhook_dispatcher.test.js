@@ -0,0 +1,240 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const EventIndexer = require("../blockchain/event-indexer");
+const LocalStore = require("../storage/local-store");
+const WebhookDispatcher = require("../webhooks/webhook-dispatcher");
+
+/**
+ * Test suite for webhook deliveries
+ * Events are written straight into the index, as the event indexer would, and
+ * delivered to a receiver on a local port that answers with the status it is told to
+ */
+describe("Webhook dispatcher", () => {
+  const secret = "webhook-test-secret";
+  const userAddress = "0x1111111111111111111111111111111111111111";
+
+  let storageDir;
+  let store;
+  let eventIndexer;
+  let dispatcher;
+  let receiver;
+  let requests;
+  let responseStatus;
+  let webhook;
+  let nextBlock;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Index an event in a new block, as the event indexer does
+  const indexEvent = async (event = "IdentityRegistered", blockHash = "0x" + crypto.randomBytes(32).toString("hex")) => {
+    const blockNumber = nextBlock++;
+    const indexed = {
+      eventId: `${blockNumber}:0`,
+      event: event,
+      blockNumber: blockNumber,
+      blockHash: blockHash,
+      logIndex: 0,
+      transactionHash: "0x" + crypto.randomBytes(32).toString("hex"),
+      args: { userAddress },
+      addresses: [userAddress],
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+    await store.saveIndexedEvents([indexed]);
+    await store.saveIndexerState({
+      name: EventIndexer.STATE_NAME,
+      contractAddress: "0x0000000000000000000000000000000000000001",
+      blockNumber: blockNumber,
+      recentBlocks: []
+    });
+    return indexed;
+  };
+
+  const deliveries = async () => store.listWebhookDeliveries({ webhookId: webhook.id }, 100);
+
+  // Milliseconds from the end of an attempt to the retry it scheduled
+  const retryDelay = (delivery, attempt) => {
+    const { attemptedAt, durationMs } = delivery.attempts[attempt];
+    return Date.parse(delivery.nextAttemptAt) - Date.parse(attemptedAt) - durationMs;
+  };
+
+  before((done) => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => { body += chunk; });
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    receiver.listen(0, done);
+  });
+
+  after((done) => {
+    receiver.close(done);
+  });
+
+  beforeEach(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-dispatcher-"));
+    store = new LocalStore({ dir: storageDir });
+    eventIndexer = new EventIndexer({ identityManager: null, store });
+    dispatcher = new WebhookDispatcher({ eventIndexer, store, maxAttempts: 3, retryBaseDelay: 100 });
+    requests = [];
+    responseStatus = 200;
+    nextBlock = 1;
+
+    webhook = await store.saveWebhook({
+      id: crypto.randomUUID(),
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      events: ["IdentityRegistered", "IdentityDeactivated"],
+      secret: secret,
+      createdAt: new Date(Date.now() - 1000).toISOString()
+    });
+  });
+
+  afterEach(() => {
+    dispatcher.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe("Delivery", () => {
+    it("should send subscribed events once, signed with the webhook secret", async () => {
+      const registered = await indexEvent("IdentityRegistered");
+      await indexEvent("IdentityUpdated");
+
+      await dispatcher.dispatch();
+      await dispatcher.dispatch();
+      await dispatcher.deliverDue();
+
+      assert.equal(requests.length, 1, "Only the subscribed event should be sent, once");
+      const { headers, body } = requests[0];
+      const expected = WebhookDispatcher.sign(secret, headers["x-webhook-timestamp"], body);
+      assert.equal(headers["x-webhook-signature"], `sha256=${expected}`, "Signature should cover the timestamp and body");
+      assert.equal(headers["x-webhook-event"], "IdentityRegistered");
+
+      const payload = JSON.parse(body);
+      assert.equal(payload.id, headers["x-webhook-id"], "Payload should carry the delivery ID");
+      assert.equal(payload.data.transactionHash, registered.transactionHash);
+
+      const [delivery] = await deliveries();
+      assert.equal(delivery.status, "delivered");
+      assert.equal(delivery.attempts[0].statusCode, 200, "Attempt should be logged");
+    });
+
+    it("should not send events from before the webhook was created", async () => {
+      await store.saveWebhook({ ...webhook, createdAt: new Date(Date.now() + 60 * 1000).toISOString() });
+      await indexEvent();
+
+      await dispatcher.dispatch();
+      await dispatcher.deliverDue();
+      assert.equal(requests.length, 0, "Older events should be skipped");
+    });
+  });
+
+  describe("Retries", () => {
+    it("should back off exponentially and then dead-letter the delivery", async () => {
+      responseStatus = 500;
+      await indexEvent();
+      await dispatcher.dispatch();
+
+      await dispatcher.deliverDue();
+      let [delivery] = await deliveries();
+      assert.equal(delivery.status, "pending", "Failed delivery should be retried");
+      assert.equal(delivery.attempts[0].error, "HTTP 500");
+      const firstDelay = retryDelay(delivery, 0);
+      assert.ok(firstDelay >= 100 && firstDelay < 150, `First retry should wait the base delay (waited ${firstDelay}ms)`);
+
+      await dispatcher.deliverDue();
+      assert.equal(requests.length, 1, "Retry should wait until it is due");
+
+      await sleep(150);
+      await dispatcher.deliverDue();
+      [delivery] = await deliveries();
+      const secondDelay = retryDelay(delivery, 1);
+      assert.ok(secondDelay >= 200 && secondDelay < 250, `Second retry should wait twice as long (waited ${secondDelay}ms)`);
+
+      await sleep(250);
+      await dispatcher.deliverDue();
+      [delivery] = await deliveries();
+      assert.equal(requests.length, 3, "Every attempt should be sent");
+      assert.equal(delivery.status, "dead", "Delivery should be a dead letter after maxAttempts");
+      assert.equal(delivery.nextAttemptAt, null, "Dead letters are not scheduled");
+    });
+
+    it("should send a dead letter again when it is redelivered", async () => {
+      await indexEvent();
+      await dispatcher.dispatch();
+      const [queued] = await deliveries();
+      await store.saveWebhookDelivery({ ...queued, status: "dead", attemptCount: 3, nextAttemptAt: null });
+
+      responseStatus = 204;
+      await dispatcher.redeliver(await store.getWebhookDelivery(queued.id));
+      await dispatcher.deliverDue();
+
+      const [delivery] = await deliveries();
+      assert.equal(requests.length, 1, "Redelivered dead letter should be sent");
+      assert.equal(delivery.status, "delivered");
+      assert.equal(delivery.attemptCount, 1, "Redelivery should start a fresh set of attempts");
+    });
+  });
+
+  describe("Claims", () => {
+    it("should send a delivery once when two dispatchers poll together", async () => {
+      const other = new WebhookDispatcher({ eventIndexer, store, maxAttempts: 3, retryBaseDelay: 100 });
+      await indexEvent();
+      await indexEvent("IdentityDeactivated");
+      await dispatcher.dispatch();
+
+      await Promise.all([dispatcher.deliverDue(), other.deliverDue()]);
+
+      assert.equal(requests.length, 2, "Each delivery should be sent once");
+      assert.equal(new Set(requests.map((request) => request.headers["x-webhook-id"])).size, 2);
+      assert.ok((await deliveries()).every((delivery) => delivery.attemptCount === 1), "Each delivery should have one attempt");
+    });
+
+    it("should reclaim a delivery whose sender stopped before its lease ran out", async () => {
+      await indexEvent();
+      await dispatcher.dispatch();
+      const [queued] = await deliveries();
+
+      const now = new Date().toISOString();
+      await store.claimWebhookDelivery(queued.id, now, new Date(Date.now() + 60 * 1000).toISOString());
+      await dispatcher.deliverDue();
+      assert.equal(requests.length, 0, "A leased delivery should not be sent by another dispatcher");
+
+      await store.saveWebhookDelivery({ ...(await store.getWebhookDelivery(queued.id)), leaseExpiresAt: now });
+      await dispatcher.deliverDue();
+      assert.equal(requests.length, 1, "An expired lease should be reclaimed");
+      assert.equal((await store.getWebhookDelivery(queued.id)).status, "delivered");
+    });
+  });
+
+  describe("Reorganizations", () => {
+    it("should drop deliveries of rolled back events and queue the new chain's", async () => {
+      eventIndexer.on("rollback", dispatcher.onRollback);
+      await indexEvent();
+      const orphaned = await indexEvent("IdentityDeactivated");
+      await dispatcher.dispatch();
+
+      // The index drops the orphaned block and indexes its replacement
+      nextBlock = orphaned.blockNumber;
+      await store.deleteIndexedEventsAfter(orphaned.blockNumber - 1);
+      eventIndexer.emit("rollback", { blockNumber: orphaned.blockNumber - 1 });
+      const replacement = await indexEvent("IdentityDeactivated");
+
+      await dispatcher.dispatch();
+      await dispatcher.deliverDue();
+
+      const byBlockHash = {};
+      for (const delivery of await deliveries()) {
+        byBlockHash[delivery.id.split(":")[1]] = delivery.status;
+      }
+      assert.equal(byBlockHash[orphaned.blockHash], "dropped", "Orphaned event should not be sent");
+      assert.equal(byBlockHash[replacement.blockHash], "delivered", "Replacement event should be sent");
+      assert.equal(requests.length, 2, "Only the surviving and replacement events should be sent");
+    });
+  });
+});
\ No newline at end of file
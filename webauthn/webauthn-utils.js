@@ -1,8 +1,14 @@
 const crypto = require('crypto');
+const { verifyRegistrationResponse, verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const { decodeCredentialPublicKey, cose } = require('@simplewebauthn/server/helpers');
+
+const COSE_ALG = { ES256: cose.COSEALG.ES256, RS256: cose.COSEALG.RS256 };
+
+// Algorithms advertised in pubKeyCredParams
+const SUPPORTED_ALGORITHMS = [COSE_ALG.ES256, COSE_ALG.RS256];
 
 /**
  * WebAuthn utility functions for credential registration and verification
- * Simplified implementation for demonstration purposes
  */
 
 class WebAuthnUtils {
@@ -16,10 +22,13 @@ class WebAuthnUtils {
      * Generate registration options for WebAuthn
      * @param {string} userEmail - User's email address
      * @param {string} userName - User's display name
+     * @param {object} [options]
+     * @param {string} [options.userId] - Existing base64url user handle when adding another passkey
+     * @param {Array} [options.excludeCredentials] - Credential IDs already registered for the user
+     * @param {string} [options.residentKey] - 'required' for a discoverable (usernameless) passkey
      * @returns {object} Registration options for WebAuthn
      */
-    generateRegistrationOptions(userEmail, userName) {
-        const userId = crypto.randomBytes(32);
+    generateRegistrationOptions(userEmail, userName, { userId, excludeCredentials = [], residentKey = 'discouraged' } = {}) {
         const challenge = crypto.randomBytes(32);
 
         return {
@@ -29,18 +38,26 @@ class WebAuthnUtils {
                 id: this.rpId,
             },
             user: {
-                id: userId.toString('base64url'),
+                id: userId || crypto.randomBytes(32).toString('base64url'),
                 name: userEmail,
                 displayName: userName,
             },
+            excludeCredentials: excludeCredentials.map(credId => ({
+                id: credId,
+                type: 'public-key',
+            })),
             pubKeyCredParams: [
-                { alg: -7, type: 'public-key' }, // ES256
-                { alg: -257, type: 'public-key' }, // RS256
+                { alg: COSE_ALG.ES256, type: 'public-key' },
+                { alg: COSE_ALG.RS256, type: 'public-key' },
             ],
             authenticatorSelection: {
                 authenticatorAttachment: 'platform',
                 userVerification: 'required',
-                requireResidentKey: false,
+                residentKey: residentKey,
+                requireResidentKey: residentKey === 'required',
+            },
+            extensions: {
+                credProps: true,
             },
             timeout: 60000,
             attestation: 'direct',
@@ -49,6 +66,7 @@ class WebAuthnUtils {
 
     /**
      * Generate authentication options for WebAuthn
+     * An empty list lets the authenticator offer any discoverable credential for this RP.
      * @param {Array} allowCredentials - Array of allowed credential IDs
      * @returns {object} Authentication options for WebAuthn
      */
@@ -69,125 +87,176 @@ class WebAuthnUtils {
     }
 
     /**
-     * Verify registration credential (simplified)
+     * Verify registration credential
+     * Client data, authenticator data and the attestation statement are checked
+     * by @simplewebauthn/server. Attestation certificates are not chained to a
+     * trust anchor, as no root certificates are configured.
      * @param {object} credential - The credential from navigator.credentials.create()
      * @param {string} expectedChallenge - The challenge that was sent to client
-     * @returns {object} Verification result with credential data
+     * @returns {Promise<object>} Verification result with credential data
      */
-    verifyRegistrationCredential(credential, expectedChallenge) {
+    async verifyRegistrationCredential(credential, expectedChallenge) {
+        if (!this.isCredentialFormat(credential, ['clientDataJSON', 'attestationObject'])) {
+            return { verified: false, error: 'Invalid credential format' };
+        }
+
         try {
-            // In a real implementation, you would:
-            // 1. Verify the challenge matches
-            // 2. Verify the origin
-            // 3. Parse and validate the attestation
-            // 4. Extract and store the public key
-            
-            // For this demo, we'll do basic validation
-            if (!credential || !credential.id || !credential.response) {
-                throw new Error('Invalid credential format');
+            const { verified, registrationInfo } = await verifyRegistrationResponse({
+                response: this.toResponseJSON(credential),
+                expectedChallenge: expectedChallenge,
+                expectedOrigin: this.origin,
+                expectedRPID: this.rpId,
+                requireUserVerification: true,
+                supportedAlgorithmIDs: SUPPORTED_ALGORITHMS,
+            });
+            if (!verified) {
+                throw new Error('Attestation statement verification failed');
             }
 
-            // Decode the credential response
-            const clientDataJSON = this.base64URLToBuffer(credential.response.clientDataJSON);
-            const clientData = JSON.parse(clientDataJSON.toString());
-
-            // Verify challenge (basic check)
-            if (clientData.challenge !== expectedChallenge) {
-                throw new Error('Challenge mismatch');
+            // Credential ID in the authenticator data must match the one reported by the client
+            const credentialId = Buffer.from(registrationInfo.credentialID).toString('base64url');
+            if (credentialId !== credential.id) {
+                throw new Error('Credential ID mismatch');
             }
 
-            // Verify origin
-            if (clientData.origin !== this.origin) {
-                throw new Error('Origin mismatch');
-            }
+            const { alg, keyObject } = this.parseCOSEKey(registrationInfo.credentialPublicKey);
 
-            // For demo purposes, return success with credential info
             return {
                 verified: true,
-                credentialId: credential.id,
-                publicKey: credential.response.attestationObject, // In real impl, extract actual public key
-                counter: 0,
+                credentialId: credentialId,
+                publicKey: keyObject.export({ type: 'spki', format: 'pem' }),
+                credentialPublicKey: Buffer.from(registrationInfo.credentialPublicKey).toString('base64url'),
+                algorithm: alg,
+                counter: registrationInfo.counter,
+                aaguid: registrationInfo.aaguid,
+                attestationFormat: registrationInfo.fmt,
+                userVerified: registrationInfo.userVerified,
             };
 
         } catch (error) {
-            console.error('Registration verification failed:', error);
+            console.error('Registration verification failed:', error.message);
             return {
                 verified: false,
-                error: error.message,
+                error: 'Registration verification failed',
             };
         }
     }
 
     /**
-     * Verify authentication credential (simplified)
+     * Verify authentication credential
+     * Client data, authenticator data, the assertion signature and the signature
+     * counter are checked by @simplewebauthn/server against the stored credential.
      * @param {object} credential - The credential from navigator.credentials.get()
      * @param {string} expectedChallenge - The challenge that was sent to client
      * @param {object} storedCredential - Previously stored credential data
-     * @returns {object} Verification result
+     * @returns {Promise<object>} Verification result
      */
-    verifyAuthenticationCredential(credential, expectedChallenge, storedCredential) {
-        try {
-            // Basic validation
-            if (!credential || !credential.id || !credential.response) {
-                throw new Error('Invalid credential format');
-            }
+    async verifyAuthenticationCredential(credential, expectedChallenge, storedCredential) {
+        if (!this.isCredentialFormat(credential, ['clientDataJSON', 'authenticatorData', 'signature'])) {
+            return { verified: false, error: 'Invalid credential format' };
+        }
 
+        try {
             // Verify credential ID matches
             if (credential.id !== storedCredential.credentialId) {
                 throw new Error('Credential ID mismatch');
             }
 
-            // Decode client data
-            const clientDataJSON = this.base64URLToBuffer(credential.response.clientDataJSON);
-            const clientData = JSON.parse(clientDataJSON.toString());
-
-            // Verify challenge
-            if (clientData.challenge !== expectedChallenge) {
-                throw new Error('Challenge mismatch');
-            }
-
-            // Verify origin
-            if (clientData.origin !== this.origin) {
-                throw new Error('Origin mismatch');
+            const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+                response: this.toResponseJSON(credential),
+                expectedChallenge: expectedChallenge,
+                expectedOrigin: this.origin,
+                expectedRPID: this.rpId,
+                requireUserVerification: true,
+                authenticator: {
+                    credentialID: Buffer.from(storedCredential.credentialId, 'base64url'),
+                    credentialPublicKey: Buffer.from(storedCredential.credentialPublicKey, 'base64url'),
+                    counter: storedCredential.counter || 0,
+                },
+            });
+            if (!verified) {
+                throw new Error('Signature verification failed');
             }
 
-            // In a real implementation, you would verify the signature
-            // For demo purposes, return success
             return {
                 verified: true,
-                counter: storedCredential.counter + 1,
+                counter: authenticationInfo.newCounter,
+                userVerified: authenticationInfo.userVerified,
             };
 
         } catch (error) {
-            console.error('Authentication verification failed:', error);
+            console.error('Authentication verification failed:', error.message);
             return {
                 verified: false,
-                error: error.message,
+                error: 'Authentication verification failed',
             };
         }
     }
 
     /**
-     * Convert base64url to buffer
-     * @param {string} base64url 
-     * @returns {Buffer}
+     * Check the shape of a credential sent by the client before verifying it
+     * @param {object} credential - Credential JSON from the client
+     * @param {Array<string>} fields - base64url fields its response must carry
+     * @returns {boolean}
+     */
+    isCredentialFormat(credential, fields) {
+        const isBase64URL = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+
+        return !!credential && typeof credential === 'object' &&
+            isBase64URL(credential.id) &&
+            (credential.rawId === undefined || credential.rawId === credential.id) &&
+            (credential.type === undefined || credential.type === 'public-key') &&
+            !!credential.response && typeof credential.response === 'object' &&
+            fields.every((field) => isBase64URL(credential.response[field]));
+    }
+
+    /**
+     * Credential in the JSON form @simplewebauthn/server expects
+     * rawId and type are optional in requests; they are implied by the ID.
+     * @param {object} credential - Credential JSON from the client
+     * @returns {object}
      */
-    base64URLToBuffer(base64url) {
-        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
-        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
-        return Buffer.from(padded, 'base64');
+    toResponseJSON(credential) {
+        return {
+            ...credential,
+            rawId: credential.id,
+            type: 'public-key',
+            clientExtensionResults: credential.clientExtensionResults || {},
+        };
     }
 
     /**
-     * Convert buffer to base64url
-     * @param {Buffer} buffer 
-     * @returns {string}
+     * Convert a COSE_Key into a Node.js public key
+     * @param {Uint8Array} coseKeyBuffer - CBOR encoded COSE key
+     * @returns {object} Object with COSE algorithm and KeyObject
      */
-    bufferToBase64URL(buffer) {
-        return buffer.toString('base64')
-            .replace(/\+/g, '-')
-            .replace(/\//g, '_')
-            .replace(/=/g, '');
+    parseCOSEKey(coseKeyBuffer) {
+        const coseKey = decodeCredentialPublicKey(coseKeyBuffer);
+        const alg = coseKey.get(cose.COSEKEYS.alg);
+        const toBase64URL = (value) => Buffer.from(value).toString('base64url');
+        let jwk;
+
+        if (cose.isCOSEPublicKeyEC2(coseKey) && coseKey.get(cose.COSEKEYS.crv) === cose.COSECRV.P256) {
+            jwk = {
+                kty: 'EC',
+                crv: 'P-256',
+                x: toBase64URL(coseKey.get(cose.COSEKEYS.x)),
+                y: toBase64URL(coseKey.get(cose.COSEKEYS.y)),
+            };
+        } else if (cose.isCOSEPublicKeyRSA(coseKey)) {
+            jwk = {
+                kty: 'RSA',
+                n: toBase64URL(coseKey.get(cose.COSEKEYS.n)),
+                e: toBase64URL(coseKey.get(cose.COSEKEYS.e)),
+            };
+        } else {
+            throw new Error('Unsupported COSE key');
+        }
+
+        return {
+            alg: alg,
+            keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        };
     }
 }
 
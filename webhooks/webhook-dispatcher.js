@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+
+// Events webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+    'IdentityRegistered',
+    'IdentityUpdated',
+    'IdentityDeactivated',
+    'IdentityReactivated',
+    'IdentityErased',
+    'IdentityRecovered'
+];
+
+// Name of the dispatcher's checkpoint in the indexer state records
+const STATE_NAME = 'webhooks';
+
+// Deliveries attempted per poll
+const BATCH_SIZE = 20;
+
+// How long a receiver has to answer
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How long a claimed delivery is held; after that another poll may send it,
+// in case the process sending it stopped
+const SEND_LEASE_MS = 60 * 1000;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Delivers identity events to webhook subscriptions
+ * Follows the event index: each poll turns the events indexed since its
+ * checkpoint into a pending delivery per matching webhook, then sends the
+ * deliveries that are due. Only events from blocks mined after a webhook was
+ * created are sent to it. When a reorg rolls the index back, deliveries still
+ * queued for the events it dropped are marked 'dropped' instead of being sent,
+ * and the blocks are dispatched again. Each due delivery is claimed before it is sent
+ * (status 'sending', with a lease), so dispatchers in several processes never
+ * send it twice. A delivery that fails is retried with exponential backoff;
+ * once it runs out of attempts it becomes a dead letter, which an admin can
+ * queue again. Deliveries are not ordered across retries.
+ *
+ * Each request is a JSON POST signed with the webhook's secret:
+ * X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<body>" (see WebhookDispatcher.sign()).
+ */
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {EventIndexer} options.eventIndexer - Running event indexer
+     * @param {Store} options.store - Storage adapter holding the index and webhooks
+     * @param {number} [options.pollInterval] - Milliseconds between polls
+     * @param {number} [options.maxAttempts] - Attempts before a delivery is a dead letter
+     * @param {number} [options.retryBaseDelay] - Milliseconds before the first retry; doubles after each
+     */
+    constructor({ eventIndexer, store, pollInterval = 2000, maxAttempts = 8, retryBaseDelay = 30 * 1000 }) {
+        this.eventIndexer = eventIndexer;
+        this.store = store;
+        this.pollInterval = pollInterval;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseDelay = retryBaseDelay;
+        this.timer = null;
+
+        // Lowest block a reorg rolled the index back to since the last poll
+        this.rewindTo = null;
+        this.onRollback = ({ blockNumber }) => {
+            this.rewindTo = this.rewindTo === null ? blockNumber : Math.min(this.rewindTo, blockNumber);
+        };
+    }
+
+    /**
+     * Signature of a webhook request body
+     * @param {string} secret - Webhook secret
+     * @param {number} timestamp - Unix time sent as X-Webhook-Timestamp
+     * @param {string} body - Raw request body
+     * @returns {string} Hex HMAC-SHA256
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Start delivering in the background
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.eventIndexer.on('rollback', this.onRollback);
+
+        const poll = async () => {
+            try {
+                await this.dispatch();
+                await this.deliverDue();
+            } catch (error) {
+                console.error('Webhook dispatcher error:', error.message);
+            }
+            if (this.timer) {
+                this.timer = setTimeout(poll, this.pollInterval);
+            }
+        };
+        this.timer = setTimeout(poll, 0);
+    }
+
+    /**
+     * Stop polling; a poll in progress still completes
+     */
+    stop() {
+        this.eventIndexer.off('rollback', this.onRollback);
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue deliveries for the events indexed since the checkpoint
+     * Delivery IDs are derived from the webhook and the event's block hash and
+     * log index, so an event is never queued twice for the same webhook, while
+     * one that a reorg puts in a different block is a new delivery.
+     */
+    async dispatch() {
+        const indexState = await this.eventIndexer.getState();
+        if (!indexState) {
+            return;
+        }
+
+        let state = await this.store.getIndexerState(STATE_NAME);
+        if (!state || state.contractAddress !== indexState.contractAddress) {
+            state = { name: STATE_NAME, contractAddress: indexState.contractAddress, blockNumber: -1 };
+        }
+        if (this.rewindTo !== null) {
+            const dropped = await this.store.dropWebhookDeliveriesAfter(this.rewindTo);
+            if (dropped > 0) {
+                console.warn(`Webhook dispatcher: dropped ${dropped} deliveries of events after block ${this.rewindTo}`);
+            }
+            state.blockNumber = Math.min(state.blockNumber, this.rewindTo);
+            this.rewindTo = null;
+        }
+        if (state.blockNumber >= indexState.blockNumber) {
+            return;
+        }
+
+        const webhooks = await this.store.listWebhooks();
+        const events = (await this.store.listIndexedEventsAfter(state.blockNumber))
+            .filter((event) => event.blockNumber <= indexState.blockNumber && WEBHOOK_EVENTS.includes(event.event));
+
+        for (const event of events) {
+            for (const webhook of webhooks) {
+                if (!webhook.events.includes(event.event) ||
+                    event.timestamp < Math.floor(Date.parse(webhook.createdAt) / 1000)) {
+                    continue;
+                }
+
+                const id = `${webhook.id}:${event.blockHash}:${event.logIndex}`;
+                if (await this.store.getWebhookDelivery(id)) {
+                    continue;
+                }
+                const now = new Date().toISOString();
+                await this.store.saveWebhookDelivery({
+                    id: id,
+                    webhookId: webhook.id,
+                    eventId: event.eventId,
+                    blockNumber: event.blockNumber,
+                    event: event.event,
+                    payload: {
+                        id: id,
+                        event: event.event,
+                        createdAt: now,
+                        data: {
+                            ethereumAddress: event.args.userAddress || event.args.oldAddress,
+                            transactionHash: event.transactionHash,
+                            blockNumber: event.blockNumber,
+                            logIndex: event.logIndex,
+                            timestamp: new Date(event.timestamp * 1000).toISOString(),
+                            args: event.args
+                        }
+                    },
+                    status: 'pending',
+                    attemptCount: 0,
+                    attempts: [],
+                    nextAttemptAt: now,
+                    createdAt: now
+                });
+            }
+        }
+
+        await this.store.saveIndexerState({ ...state, blockNumber: indexState.blockNumber });
+    }
+
+    /**
+     * Send the deliveries that are due
+     * Another process may claim one first; it is skipped then.
+     */
+    async deliverDue() {
+        const due = await this.store.listDueWebhookDeliveries(new Date().toISOString(), BATCH_SIZE);
+        for (const { id } of due) {
+            const now = Date.now();
+            const claimed = await this.store.claimWebhookDelivery(id, new Date(now).toISOString(),
+                new Date(now + SEND_LEASE_MS).toISOString());
+            if (claimed) {
+                await this.deliver(claimed);
+            }
+        }
+    }
+
+    /**
+     * Attempt a delivery and record the outcome
+     * @param {object} delivery - Delivery claimed for sending (store.claimWebhookDelivery())
+     * @returns {Promise<object|null>} The updated delivery, or null if its webhook is gone
+     */
+    async deliver(delivery) {
+        const webhook = await this.store.getWebhook(delivery.webhookId);
+        if (!webhook) {
+            return null;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const attempt = { attemptedAt: new Date(started).toISOString() };
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${WebhookDispatcher.sign(webhook.secret, timestamp, body)}`
+                },
+                body: body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            attempt.statusCode = response.status;
+            if (!response.ok) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+        }
+        attempt.durationMs = Date.now() - started;
+
+        const { leaseExpiresAt, ...claimed } = delivery;
+        const attemptCount = delivery.attemptCount + 1;
+        const updated = {
+            ...claimed,
+            attemptCount: attemptCount,
+            attempts: [...delivery.attempts, attempt]
+        };
+
+        if (!attempt.error) {
+            updated.status = 'delivered';
+            updated.deliveredAt = new Date().toISOString();
+            updated.nextAttemptAt = null;
+        } else if (attemptCount >= this.maxAttempts) {
+            updated.status = 'dead';
+            updated.nextAttemptAt = null;
+        } else if ((await this.store.getWebhookDelivery(delivery.id) || {}).status === 'dropped') {
+            // A reorg dropped its event while it was being sent
+            updated.status = 'dropped';
+            updated.nextAttemptAt = null;
+        } else {
+            const delay = Math.min(this.retryBaseDelay * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+            updated.status = 'pending';
+            updated.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+
+        return this.store.saveWebhookDelivery(updated);
+    }
+
+    /**
+     * Queue a delivery again, e.g. a dead letter once the receiver is fixed
+     * It gets a fresh set of attempts; its log is kept.
+     * @param {object} delivery
+     * @returns {Promise<object>} The queued delivery
+     */
+    async redeliver(delivery) {
+        return this.store.saveWebhookDelivery({
+            ...delivery,
+            status: 'pending',
+            attemptCount: 0,
+            nextAttemptAt: new Date().toISOString()
+        });
+    }
+}
+
+WebhookDispatcher.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookDispatcher;